@@ -0,0 +1,316 @@
+/**
+ * NGO Health Landing Page - Analytics
+ * Health for All Nigeria
+ *
+ * Event bus with batching, page-hide beacons and pluggable sinks.
+ */
+
+import { CONFIG, FEATURES } from './config.js'
+import { log, safeQuerySelectorAll } from './utils.js'
+import { i18nState } from './i18n.js'
+import { getConsent } from './consent.js'
+import { observeOnce } from './observers.js'
+
+// ============================================
+// Analytics Event Bus
+// ============================================
+
+/**
+ * @typedef {Object} AnalyticsEvent
+ * @property {number} schema_version - Event schema version (CONFIG.ANALYTICS_SCHEMA_VERSION)
+ * @property {string} event - Snake_case event name (e.g. 'cta_click')
+ * @property {string} section - Page section that emitted the event (e.g. 'hero')
+ * @property {Object} properties - Event-specific data; must not contain personal data
+ * @property {string} timestamp - ISO 8601 time the event occurred
+ * @property {string} page_url - Page URL when the event occurred, with only allowlisted
+ *   query parameters (see getPageUrl)
+ * @property {string} session_id - Random per-tab session identifier, added when the batch is sent
+ * @property {string} locale - UI locale when the event occurred
+ */
+
+/**
+ * @typedef {Object} AnalyticsSink
+ * @property {string} name - Sink identifier matched against CONFIG.ANALYTICS_SINKS
+ * @property {function(Array<AnalyticsEvent>, {useBeacon: boolean}): (void|Promise<void>)} send -
+ *   Delivers a batch; useBeacon is true when the page is being hidden or unloaded
+ */
+
+// Query parameters kept in page_url; others, such as search text (q) and unsubscribe
+// tokens, can identify a visitor and are dropped
+const PAGE_URL_PARAMS = Object.freeze([
+  CONFIG.PROGRAM_FILTER_PARAM,
+  CONFIG.PROGRAM_TAG_PARAM,
+  CONFIG.PROGRAM_DETAIL_PARAM,
+])
+
+const analyticsSinks = new Map()
+const analyticsQueue = []
+let analyticsFlushTimer = null
+let analyticsSessionId = null
+
+/**
+ * Registers an analytics sink
+ * @param {AnalyticsSink} sink - Sink to register
+ * @throws {TypeError} If the sink does not implement the interface
+ */
+export const registerAnalyticsSink = (sink) => {
+  if (!sink || !sink.name || typeof sink.send !== 'function') {
+    throw new TypeError('Analytics sink must have a name and a send function')
+  }
+
+  analyticsSinks.set(sink.name, sink)
+}
+
+/**
+ * Returns the per-tab analytics session identifier, creating it if needed
+ * @returns {string} Session identifier
+ */
+const getAnalyticsSessionId = () => {
+  if (analyticsSessionId) {
+    return analyticsSessionId
+  }
+
+  try {
+    analyticsSessionId = sessionStorage.getItem('hfang:analytics-session')
+  } catch (error) {
+    log(`Unable to read analytics session: ${error.message}`, 'warn')
+  }
+
+  if (!analyticsSessionId) {
+    analyticsSessionId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+
+    try {
+      sessionStorage.setItem('hfang:analytics-session', analyticsSessionId)
+    } catch (error) {
+      log(`Unable to store analytics session: ${error.message}`, 'warn')
+    }
+  }
+
+  return analyticsSessionId
+}
+
+/**
+ * Resolves the analytics section name for an element
+ * Uses the closest data-section attribute, then the closest section id
+ * @param {Element} element - Element inside a page section
+ * @returns {string} Section name, or 'page' if none is found
+ */
+export const getSectionName = (element) => {
+  const labelled = element && element.closest('[data-section]')
+
+  if (labelled) {
+    return labelled.getAttribute('data-section')
+  }
+
+  const section = element && element.closest('section[id]')
+  return section ? section.id : 'page'
+}
+
+/**
+ * Sends all queued events to every configured sink
+ * @param {Object} options - Flush options
+ * @param {boolean} options.useBeacon - Whether the page is being hidden (default: false)
+ */
+const flushAnalytics = ({ useBeacon = false } = {}) => {
+  clearTimeout(analyticsFlushTimer)
+  analyticsFlushTimer = null
+
+  if (analyticsQueue.length === 0) {
+    return
+  }
+
+  // Hold events until analytics consent is given
+  if (getConsent('analytics') !== true) {
+    return
+  }
+
+  const sessionId = getAnalyticsSessionId()
+  const batch = analyticsQueue
+    .splice(0, analyticsQueue.length)
+    .map((eventData) => ({ ...eventData, session_id: sessionId }))
+
+  CONFIG.ANALYTICS_SINKS.forEach((name) => {
+    const sink = analyticsSinks.get(name)
+
+    if (!sink) {
+      log(`Analytics sink not registered: ${name}`, 'warn')
+      return
+    }
+
+    try {
+      Promise.resolve(sink.send(batch, { useBeacon })).catch((error) => {
+        log(`Analytics sink ${name} failed: ${error.message}`, 'warn')
+      })
+    } catch (error) {
+      log(`Analytics sink ${name} failed: ${error.message}`, 'warn')
+    }
+  })
+}
+
+/**
+ * Returns the current page URL for an event, keeping only the PAGE_URL_PARAMS query parameters
+ * @returns {string} Page URL
+ */
+const getPageUrl = () => {
+  const url = new URL(window.location.href)
+  const params = new URLSearchParams()
+
+  url.searchParams.forEach((value, key) => {
+    if (PAGE_URL_PARAMS.includes(key)) {
+      params.append(key, value)
+    }
+  })
+
+  url.search = params.toString()
+  return url.href
+}
+
+/**
+ * Records an analytics event using the shared schema
+ * Events are batched and flushed by size, by timer, or when the page is hidden.
+ * Until the user decides on analytics consent, events are held (up to
+ * ANALYTICS_PENDING_LIMIT); once consent is refused they are dropped.
+ * @param {string} event - Snake_case event name
+ * @param {string} section - Section that emitted the event
+ * @param {Object} properties - Event-specific data (no personal data)
+ * @returns {AnalyticsEvent|null} Queued event, or null if invalid or blocked by consent
+ */
+export const trackEvent = (event, section, properties = {}) => {
+  if (!/^[a-z][a-z0-9_]*$/.test(event)) {
+    log(`Invalid analytics event name: ${event}`, 'warn')
+    return null
+  }
+
+  const consent = getConsent('analytics')
+
+  if (consent === false) {
+    return null
+  }
+
+  /** @type {AnalyticsEvent} */
+  const eventData = {
+    schema_version: CONFIG.ANALYTICS_SCHEMA_VERSION,
+    event,
+    section,
+    properties,
+    timestamp: new Date().toISOString(),
+    page_url: getPageUrl(),
+    locale: i18nState.locale,
+  }
+
+  analyticsQueue.push(eventData)
+
+  if (consent === null) {
+    if (analyticsQueue.length > CONFIG.ANALYTICS_PENDING_LIMIT) {
+      analyticsQueue.shift()
+    }
+    return eventData
+  }
+
+  if (analyticsQueue.length >= CONFIG.ANALYTICS_BATCH_SIZE) {
+    flushAnalytics()
+  } else if (!analyticsFlushTimer) {
+    analyticsFlushTimer = setTimeout(flushAnalytics, CONFIG.ANALYTICS_FLUSH_INTERVAL)
+  }
+
+  return eventData
+}
+
+/**
+ * First-party sink posting batches to CONFIG.ANALYTICS_ENDPOINT
+ * Uses navigator.sendBeacon on page hide so events survive the page closing
+ * @type {AnalyticsSink}
+ */
+const endpointAnalyticsSink = {
+  name: 'endpoint',
+  send: async (events, { useBeacon }) => {
+    const body = JSON.stringify({ events })
+
+    if (useBeacon && navigator.sendBeacon) {
+      const queued = navigator.sendBeacon(
+        CONFIG.ANALYTICS_ENDPOINT,
+        new Blob([body], { type: 'application/json' })
+      )
+
+      if (queued) {
+        return
+      }
+    }
+
+    const response = await fetch(CONFIG.ANALYTICS_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true,
+    })
+
+    if (!response.ok) {
+      throw new Error(`Analytics request failed with status ${response.status}`)
+    }
+  },
+}
+
+/**
+ * Development sink that logs each batch to the console
+ * @type {AnalyticsSink}
+ */
+const debugAnalyticsSink = {
+  name: 'debug',
+  send: (events, { useBeacon }) => {
+    console.log(`[Analytics] Batch of ${events.length} events (beacon: ${useBeacon})`, events)
+  },
+}
+
+/**
+ * Sink that discards events, for environments where analytics is disabled
+ * @type {AnalyticsSink}
+ */
+const noopAnalyticsSink = {
+  name: 'noop',
+  send: () => {},
+}
+
+registerAnalyticsSink(endpointAnalyticsSink)
+registerAnalyticsSink(debugAnalyticsSink)
+registerAnalyticsSink(noopAnalyticsSink)
+
+/**
+ * Flushes analytics on page hide and tracks when each section is first seen
+ */
+export const initAnalytics = () => {
+  document.addEventListener('consentchange', () => {
+    if (getConsent('analytics')) {
+      flushAnalytics()
+      return
+    }
+
+    // Consent refused or withdrawn: discard held events and the session identifier
+    analyticsQueue.length = 0
+    analyticsSessionId = null
+    try {
+      sessionStorage.removeItem('hfang:analytics-session')
+    } catch (error) {
+      log(`Unable to clear analytics session: ${error.message}`, 'warn')
+    }
+  })
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      flushAnalytics({ useBeacon: true })
+    }
+  })
+
+  window.addEventListener('pagehide', () => flushAnalytics({ useBeacon: true }))
+
+  if (!FEATURES.intersectionObserver) {
+    log('Intersection Observer not supported - skipping section view tracking', 'warn')
+    return
+  }
+
+  const sections = safeQuerySelectorAll('[data-section], main section[id]')
+
+  observeOnce(sections, (section) => trackEvent('section_view', getSectionName(section)), {
+    threshold: CONFIG.ANALYTICS_SECTION_VIEW_THRESHOLD,
+  })
+  log(`Analytics initialized with sinks: ${CONFIG.ANALYTICS_SINKS.join(', ')}`)
+}
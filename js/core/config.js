@@ -0,0 +1,120 @@
+/**
+ * NGO Health Landing Page - Configuration
+ * Health for All Nigeria
+ *
+ * Feature detection and the settings shared by every module.
+ */
+
+// ============================================
+// Feature Detection
+// ============================================
+
+/**
+ * Detects browser support for modern features
+ * Provides fallbacks for older browsers
+ * @returns {Object} Feature support flags
+ */
+export const detectFeatures = () => {
+  return {
+    intersectionObserver: 'IntersectionObserver' in window,
+    smoothScroll: 'scrollBehavior' in document.documentElement.style,
+    customProperties: CSS.supports('--test', '0'),
+    asyncAwait: (async () => {})().constructor.name === 'AsyncFunction',
+    geolocation: 'geolocation' in navigator,
+    serviceWorker: 'serviceWorker' in navigator && window.isSecureContext !== false,
+    networkInformation: 'connection' in navigator,
+    saveData: Boolean(navigator.connection && navigator.connection.saveData),
+  }
+}
+
+export const FEATURES = detectFeatures()
+
+// ============================================
+// Configuration
+// ============================================
+
+export const CONFIG = Object.freeze({
+  MOBILE_BREAKPOINT: 768,
+  SCROLL_OFFSET: 80,
+  LAZY_LOAD_MARGIN: '50px',
+  DEBOUNCE_DELAY: 150,
+  LOG_PREFIX: '[HealthForAllNG]',
+  PARALLAX_SPEED: 0.5,
+  HERO_IMAGE_THRESHOLD: 0.1,
+  ABOUT_ANIMATION_THRESHOLD: 0.1,
+  COUNTER_DURATION: 2000,
+  VALUE_CARD_STAGGER_DELAY: 150,
+  PROGRAMS_ANIMATION_THRESHOLD: 0.1,
+  PROGRAM_CARD_STAGGER_DELAY: 100,
+  FILTER_DEBOUNCE_DELAY: 100,
+  PROGRAMS_FEED_URL: 'data/programs.json',
+  PROGRAMS_FEED_VERSION: 2,
+  PROGRAM_FILTER_PARAM: 'category', // ?category=maternal#programs opens a filtered list
+  PROGRAM_TAG_PARAM: 'tag',
+  PROGRAM_SEARCH_PARAM: 'q',
+  PROGRAM_SEARCH_DEBOUNCE: 300,
+  PROGRAM_DETAIL_PARAM: 'program', // ?program=malaria-prevention opens that program's details
+  FORM_SUBMIT_TIMEOUT: 15000,
+  FORM_MAX_RETRIES: 2,
+  FORM_RETRY_DELAY: 2000,
+  FORM_QUEUE_STORAGE_KEY: 'hfang:form-queue',
+  FORM_MIN_FILL_TIME: 3000, // Forms sent sooner after the visitor starts on them are treated as bots
+  FORM_RATE_LIMIT: 3, // Submissions per form and device within FORM_RATE_LIMIT_WINDOW
+  FORM_RATE_LIMIT_WINDOW: 600000,
+  FORM_RATE_LIMIT_STORAGE_KEY: 'hfang:form-submissions',
+  PROOF_OF_WORK_WORKER_URL: 'js/workers/proof-of-work.js',
+  PROOF_OF_WORK_DIFFICULTY: 14, // Leading zero bits; must match the server's verifier
+  PROOF_OF_WORK_TIMEOUT: 20000,
+  PAYMENT_PROVIDER: 'mock',
+  DONATION_MIN_AMOUNT: 500,
+  DONATION_MAX_AMOUNT: 5000000,
+  MOCK_PAYMENT_DELAY: 800,
+  DEFAULT_LOCALE: 'en',
+  SUPPORTED_LOCALES: Object.freeze(['en', 'ha', 'yo', 'ig', 'pcm']),
+  LOCALE_CATALOGUE_PATH: 'locales',
+  LOCALE_STORAGE_KEY: 'hfang:locale',
+  ANALYTICS_ENDPOINT: '/api/analytics',
+  ANALYTICS_SINKS: Object.freeze(['endpoint']),
+  ANALYTICS_SCHEMA_VERSION: 1,
+  ANALYTICS_BATCH_SIZE: 10,
+  ANALYTICS_FLUSH_INTERVAL: 10000,
+  ANALYTICS_SECTION_VIEW_THRESHOLD: 0.5,
+  ANALYTICS_PENDING_LIMIT: 50,
+  CONSENT_STORAGE_KEY: 'hfang:consent',
+  CONSENT_POLICY_VERSION: '2024-06',
+  SERVICE_WORKER_URL: 'sw.js',
+  SERVICE_WORKER_UPDATE_INTERVAL: 60 * 60 * 1000, // Check for a new deploy hourly
+  METRICS_FEED_URL: 'data/metrics.json',
+  METRICS_FEED_VERSION: 1,
+  FACILITIES_FEED_URL: 'data/facilities.json',
+  FACILITIES_FEED_VERSION: 1,
+  FACILITY_SEARCH_DEBOUNCE: 300,
+  GEOLOCATION_TIMEOUT: 10000,
+  FACILITY_MAP_EMBED_URL: 'https://www.openstreetmap.org/export/embed.html',
+  FACILITY_MAP_SPAN: 0.01, // Degrees either side of the marker
+  EVENTS_FEED_URL: 'data/events.json',
+  EVENTS_FEED_VERSION: 1,
+  EVENTS_TIME_ZONE: 'Africa/Lagos', // Feed times and calendar days are West Africa Time
+  EVENTS_UID_DOMAIN: 'healthforallng.org',
+  VOLUNTEER_DRAFT_STORAGE_KEY: 'hfang:volunteer-draft',
+  SUBSCRIPTION_PROVIDER: 'mock',
+  SUBSCRIPTION_CODE_LENGTH: 6,
+  SUBSCRIPTION_UNSUBSCRIBE_PARAM: 'unsubscribe', // ?unsubscribe=<token>#updates ends a subscription
+  MOCK_SUBSCRIPTION_DELAY: 600,
+  STORIES_FEED_URL: 'data/stories.json',
+  STORIES_FEED_VERSION: 1,
+  STORIES_ROTATION_INTERVAL: 8000,
+  NEWS_FEED_URL: 'data/news.json',
+  NEWS_FEED_VERSION: 1,
+  NEWS_PAGE_SIZE: 3,
+  NEWS_WORDS_PER_MINUTE: 200,
+  NEWS_ROUTE_PREFIX: '#news/', // #news/<slug> opens a single post
+  THEME_STORAGE_KEY: 'hfang:theme', // Also read by the inline script in index.html
+  THEMES: Object.freeze(['light', 'dark', 'high-contrast']),
+  LITE_MODE_STORAGE_KEY: 'hfang:lite-mode',
+  LITE_MODE_CONNECTION_TYPES: Object.freeze(['slow-2g', '2g']), // Effective types that turn it on
+  LITE_IMAGE_WIDTH: 400,
+  IMAGE_MANIFEST_URL: 'data/images.json', // Written by scripts/build-images.js at build time
+  IMAGE_MANIFEST_VERSION: 1,
+  IMAGE_FALLBACK_WIDTH: 640, // src for browsers without srcset support
+})
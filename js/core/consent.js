@@ -0,0 +1,249 @@
+/**
+ * NGO Health Landing Page - Privacy Consent
+ * Health for All Nigeria
+ *
+ * NDPR consent banner and preferences, which gate analytics and media embeds.
+ */
+
+import { CONFIG } from './config.js'
+import { log, safeQuerySelector, safeQuerySelectorAll } from './utils.js'
+import { t } from './i18n.js'
+
+// ============================================
+// Privacy Consent (NDPR)
+// ============================================
+
+/**
+ * @typedef {Object} ConsentRecord
+ * @property {string} version - Policy version the choice was made under
+ * @property {string} timestamp - ISO 8601 time the choice was made
+ * @property {{essential: boolean, analytics: boolean, media: boolean}} categories - Choices
+ */
+
+const CONSENT_CATEGORIES = Object.freeze(['essential', 'analytics', 'media'])
+
+/** @type {ConsentRecord|null} */
+let consentRecord = null
+
+/**
+ * Reads the stored consent record
+ * Records made under an older policy version are ignored so the user is asked again
+ * @returns {ConsentRecord|null} Current record or null if no valid choice exists
+ */
+const readConsentRecord = () => {
+  try {
+    const record = JSON.parse(localStorage.getItem(CONFIG.CONSENT_STORAGE_KEY))
+
+    if (record && record.version === CONFIG.CONSENT_POLICY_VERSION && record.categories) {
+      return record
+    }
+  } catch (error) {
+    log(`Unable to read consent record: ${error.message}`, 'warn')
+  }
+
+  return null
+}
+
+/**
+ * Returns the consent state for a category
+ * @param {string} category - 'essential', 'analytics' or 'media'
+ * @returns {boolean|null} True/false once decided, null while undecided
+ */
+export const getConsent = (category) => {
+  if (category === 'essential') {
+    return true
+  }
+
+  return consentRecord ? Boolean(consentRecord.categories[category]) : null
+}
+
+/**
+ * Stores a consent decision and notifies the page via a 'consentchange' event
+ * @param {{analytics: boolean, media: boolean}} choices - Optional category choices
+ * @returns {ConsentRecord} Saved record
+ */
+const saveConsent = (choices) => {
+  const previous = consentRecord
+
+  consentRecord = {
+    version: CONFIG.CONSENT_POLICY_VERSION,
+    timestamp: new Date().toISOString(),
+    categories: {
+      essential: true,
+      analytics: Boolean(choices.analytics),
+      media: Boolean(choices.media),
+    },
+  }
+
+  try {
+    localStorage.setItem(CONFIG.CONSENT_STORAGE_KEY, JSON.stringify(consentRecord))
+  } catch (error) {
+    log(`Unable to store consent record: ${error.message}`, 'error')
+  }
+
+  document.dispatchEvent(
+    new CustomEvent('consentchange', { detail: { record: consentRecord, previous } })
+  )
+
+  log(
+    `Consent saved (policy ${consentRecord.version}): analytics=${consentRecord.categories.analytics}, media=${consentRecord.categories.media}`
+  )
+  return consentRecord
+}
+
+/**
+ * Loads or blocks embeds marked with data-consent-src according to their category
+ * Blocked embeds get a placeholder with a button to allow that category
+ */
+export const applyEmbedConsent = () => {
+  safeQuerySelectorAll('[data-consent-src]').forEach((embed) => {
+    const category = embed.getAttribute('data-consent-category') || 'media'
+    const placeholder = embed.previousElementSibling
+
+    const hasPlaceholder = placeholder && placeholder.hasAttribute('data-consent-placeholder')
+
+    if (getConsent(category)) {
+      if (embed.getAttribute('src') !== embed.getAttribute('data-consent-src')) {
+        embed.setAttribute('src', embed.getAttribute('data-consent-src'))
+      }
+      embed.hidden = false
+      if (hasPlaceholder) {
+        placeholder.remove()
+      }
+      return
+    }
+
+    embed.removeAttribute('src')
+    embed.hidden = true
+
+    if (hasPlaceholder) {
+      return
+    }
+
+    const notice = document.createElement('div')
+    const text = document.createElement('p')
+    const allowButton = document.createElement('button')
+
+    notice.className = 'consent-placeholder'
+    notice.setAttribute('data-consent-placeholder', '')
+    text.setAttribute('data-i18n', 'consent.embedBlocked')
+    text.textContent = t('consent.embedBlocked')
+    allowButton.type = 'button'
+    allowButton.className = 'btn-nigerian btn-nigerian-outline'
+    allowButton.setAttribute('data-i18n', 'consent.embedAllow')
+    allowButton.textContent = t('consent.embedAllow')
+    allowButton.addEventListener('click', () => {
+      saveConsent({ ...(consentRecord ? consentRecord.categories : {}), [category]: true })
+    })
+
+    notice.append(text, allowButton)
+    embed.before(notice)
+  })
+}
+
+/**
+ * Initializes the consent banner, preferences dialog and footer link
+ */
+export const initConsentManager = () => {
+  const banner = safeQuerySelector('[data-consent-banner]')
+  const dialog = safeQuerySelector('[data-consent-dialog]')
+  const dialogForm = dialog ? safeQuerySelector('[data-consent-form]', dialog) : null
+  let dialogOpener = null
+
+  consentRecord = readConsentRecord()
+
+  /**
+   * Shows or hides the banner depending on whether a choice has been made
+   */
+  const updateBanner = () => {
+    if (banner) {
+      banner.hidden = consentRecord !== null
+    }
+  }
+
+  /**
+   * Opens the preferences dialog with the current choices pre-selected
+   */
+  const openDialog = () => {
+    if (!dialog || !dialogForm) {
+      return
+    }
+
+    CONSENT_CATEGORIES.forEach((category) => {
+      const checkbox = dialogForm.elements[category]
+      if (checkbox && !checkbox.disabled) {
+        checkbox.checked = getConsent(category) === true
+      }
+    })
+
+    dialogOpener = document.activeElement
+
+    if (typeof dialog.showModal === 'function') {
+      dialog.showModal()
+    } else {
+      // Fallback for browsers without <dialog> support
+      dialog.setAttribute('open', '')
+      const firstCheckbox = dialogForm.querySelector('input:not([disabled])')
+      if (firstCheckbox) {
+        firstCheckbox.focus()
+      }
+    }
+  }
+
+  /**
+   * Closes the preferences dialog and restores focus to the control that opened it
+   */
+  const closeDialog = () => {
+    if (typeof dialog.close === 'function') {
+      dialog.close()
+    } else {
+      dialog.removeAttribute('open')
+    }
+
+    // The banner's "Manage" button disappears once a choice is saved, so only
+    // refocus openers that are still visible
+    const openerHidden = banner && banner.hidden && banner.contains(dialogOpener)
+
+    if (dialogOpener && document.contains(dialogOpener) && !openerHidden) {
+      dialogOpener.focus()
+    }
+  }
+
+  safeQuerySelectorAll('[data-consent-open]').forEach((button) => {
+    button.addEventListener('click', openDialog)
+  })
+
+  safeQuerySelectorAll('[data-consent-action]', banner || document).forEach((button) => {
+    button.addEventListener('click', () => {
+      const acceptAll = button.getAttribute('data-consent-action') === 'accept-all'
+      saveConsent({ analytics: acceptAll, media: acceptAll })
+    })
+  })
+
+  if (dialogForm) {
+    dialogForm.addEventListener('submit', (event) => {
+      event.preventDefault()
+
+      const action = event.submitter ? event.submitter.value : 'save'
+
+      saveConsent(
+        action === 'reject-all'
+          ? { analytics: false, media: false }
+          : {
+              analytics: dialogForm.elements.analytics.checked,
+              media: dialogForm.elements.media.checked,
+            }
+      )
+      closeDialog()
+    })
+  }
+
+  document.addEventListener('consentchange', () => {
+    updateBanner()
+    applyEmbedConsent()
+  })
+
+  updateBanner()
+  applyEmbedConsent()
+  log(`Consent manager initialized (${consentRecord ? 'choice on record' : 'awaiting choice'})`)
+}
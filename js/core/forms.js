@@ -0,0 +1,927 @@
+/**
+ * NGO Health Landing Page - Forms
+ * Health for All Nigeria
+ *
+ * Field validation, fetch submission and the offline submission queue.
+ */
+
+import { CONFIG } from './config.js'
+import { log, safeQuerySelector, safeQuerySelectorAll, wait } from './utils.js'
+import { t } from './i18n.js'
+import { getSectionName, trackEvent } from './analytics.js'
+import { formatNigerianPhone, parseNigerianPhone } from './phone.js'
+import {
+  checkFormForSpam,
+  computeProofOfWork,
+  getProofOfWork,
+  recordFormSubmission,
+  SPAM_CHECK_MESSAGES,
+} from './spam-protection.js'
+
+// ============================================
+// Form Validation Helpers
+// ============================================
+
+/**
+ * Validates email format
+ * @param {string} email - Email address to validate
+ * @returns {boolean} True if valid email format
+ */
+export const isValidEmail = (email) => {
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+  return emailRegex.test(email)
+}
+
+/**
+ * Validates required field
+ * @param {string} value - Field value to validate
+ * @returns {boolean} True if field is not empty
+ */
+export const isRequired = (value) => {
+  return value.trim().length > 0
+}
+
+/**
+ * A custom field validator
+ * @callback FieldValidator
+ * @param {string} value - Field value (only called for non-empty values)
+ * @param {HTMLElement} field - Field being validated
+ * @returns {boolean|string} True if valid; otherwise false or the message key to show
+ */
+
+/** @type {Map<string, FieldValidator>} */
+const customValidators = new Map()
+
+/**
+ * Registers a custom validator, used by fields with data-validator="<name>"
+ * @param {string} name - Validator name
+ * @param {FieldValidator} validator - Validation function
+ * @throws {TypeError} If the validator is not a function
+ */
+export const registerValidator = (name, validator) => {
+  if (!name || typeof validator !== 'function') {
+    throw new TypeError('Validator must have a name and a validation function')
+  }
+
+  customValidators.set(name, validator)
+  log(`Validator registered: ${name}`)
+}
+
+let generatedIdCount = 0
+
+/**
+ * Returns an element's id, giving it a generated one first if it has none
+ * @param {HTMLElement} element - Element that needs an id
+ * @returns {string} The element's id
+ */
+const ensureId = (element) => {
+  if (!element.id) {
+    generatedIdCount += 1
+    element.id = `form-field-${generatedIdCount}`
+  }
+
+  return element.id
+}
+
+/**
+ * Adds or removes one id in aria-describedby, keeping any others (such as hints)
+ * @param {HTMLElement} element - Described element
+ * @param {string} id - Id of the describing element
+ * @param {boolean} include - Whether the id should be listed
+ */
+const setDescribedBy = (element, id, include) => {
+  const ids = (element.getAttribute('aria-describedby') || '')
+    .split(/\s+/)
+    .filter((value) => value && value !== id)
+
+  if (include) {
+    ids.push(id)
+  }
+
+  if (ids.length > 0) {
+    element.setAttribute('aria-describedby', ids.join(' '))
+  } else {
+    element.removeAttribute('aria-describedby')
+  }
+}
+
+/**
+ * Reads the visible label text of a field, without its hint text
+ * @param {HTMLElement} field - Form field, or a fieldset for a group of options
+ * @returns {string} Label or legend text, or '' if it has none
+ */
+const getFieldLabel = (field) => {
+  const label =
+    field.tagName === 'FIELDSET'
+      ? field.querySelector('legend')
+      : field.id && document.querySelector(`label[for="${field.id}"]`)
+  const text = label && (label.querySelector('[data-i18n]') || label)
+  return text ? text.textContent.trim() : field.name || ''
+}
+
+/**
+ * Builds the error summary text for a field, e.g. "Full name: This field is required"
+ * @param {HTMLElement} field - Invalid field
+ * @param {string} message - Its error message
+ * @returns {string} Summary text
+ */
+const getSummaryText = (field, message) => {
+  const label = getFieldLabel(field)
+  return label ? `${label}: ${message}` : message
+}
+
+/**
+ * Displays validation error message
+ * The message is linked to the field with aria-describedby, so it is read with the field
+ * @param {HTMLElement} field - Form field element (or a fieldset for a group of options)
+ * @param {string} message - Error message to display
+ * @param {Object} options - Display options
+ * @param {boolean} options.announce - Announce the message straight away (default: true);
+ *   turn off when an error summary will be focused instead
+ */
+export const showValidationError = (field, message, { announce = true } = {}) => {
+  if (!field) {
+    return
+  }
+
+  const errorId = `${ensureId(field)}-error`
+
+  // Remove existing error
+  const existingError = document.getElementById(errorId)
+  if (existingError) {
+    existingError.remove()
+  }
+
+  // Create error element
+  const errorElement = document.createElement('span')
+  errorElement.id = errorId
+  errorElement.className = 'validation-error text-red-600 text-sm mt-1 block'
+  errorElement.textContent = message
+
+  if (announce) {
+    errorElement.setAttribute('role', 'alert')
+  }
+
+  // Insert after field
+  field.parentElement.appendChild(errorElement)
+  field.setAttribute('aria-invalid', 'true')
+  setDescribedBy(field, errorId, true)
+
+  // Keep an open error summary in step with the message
+  const form = field.closest('form')
+  const summaryLink =
+    form && form.querySelector(`[data-error-summary] [data-error-for="${field.id}"] a`)
+  if (summaryLink) {
+    summaryLink.textContent = getSummaryText(field, message)
+  }
+
+  log(`Validation error shown for field: ${field.name || field.id}`)
+}
+
+/**
+ * Clears validation error message, and removes the field from the form's error summary
+ * @param {HTMLElement} field - Form field element
+ */
+export const clearValidationError = (field) => {
+  if (!field) {
+    return
+  }
+
+  field.removeAttribute('aria-invalid')
+
+  if (!field.id) {
+    return
+  }
+
+  const errorId = `${field.id}-error`
+  const errorElement = document.getElementById(errorId)
+  if (errorElement) {
+    errorElement.remove()
+  }
+
+  setDescribedBy(field, errorId, false)
+
+  const form = field.closest('form')
+  const summary = form && form.querySelector('[data-error-summary]')
+  const summaryItem = summary && summary.querySelector(`[data-error-for="${field.id}"]`)
+
+  if (summaryItem) {
+    summaryItem.remove()
+    summary.hidden = !summary.querySelector('[data-error-for]')
+  }
+}
+
+// Message keys for the error codes returned by parseNigerianPhone
+const PHONE_ERROR_MESSAGES = Object.freeze({
+  characters: 'validation.phoneCharacters',
+  country: 'validation.phoneCountry',
+  length: 'validation.phoneLength',
+  prefix: 'validation.phonePrefix',
+})
+
+/**
+ * Works out the first rule a field breaks
+ * Rules come from the field's type and data attributes: required, type="email", type="tel",
+ * data-minlength, data-maxlength, data-pattern, data-match (name of a field in the same form
+ * that must hold the same value) and data-validator (a registered custom validator).
+ * data-<rule>-message overrides a rule's message key, e.g. data-pattern-message
+ * @param {HTMLElement} field - Input, select or textarea
+ * @param {string} value - Submitted value of the field
+ * @returns {string|null} Error message, or null if the field is valid
+ */
+const getFieldError = (field, value) => {
+  const { dataset } = field
+
+  /**
+   * Translates a rule's message, honouring its data-<rule>-message override
+   * @param {string} rule - Rule name
+   * @param {string} key - Default message key
+   * @param {Object} params - Message parameters
+   * @returns {string} Error message
+   */
+  const message = (rule, key, params) => t(dataset[`${rule}Message`] || key, params)
+
+  // Optional fields are only checked when filled in
+  if (!isRequired(value)) {
+    return field.required ? message('required', 'validation.required') : null
+  }
+
+  if (field.type === 'email' && !isValidEmail(value)) {
+    return message('email', 'validation.email')
+  }
+
+  if (field.type === 'tel') {
+    const { error } = parseNigerianPhone(value)
+
+    if (error) {
+      return t(PHONE_ERROR_MESSAGES[error])
+    }
+  }
+
+  const length = value.trim().length
+  const minLength = Number(dataset.minlength)
+  const maxLength = Number(dataset.maxlength)
+
+  if (minLength && length < minLength) {
+    return message('minlength', 'validation.minLength', { min: minLength })
+  }
+
+  if (maxLength && length > maxLength) {
+    return message('maxlength', 'validation.maxLength', { max: maxLength })
+  }
+
+  if (dataset.pattern) {
+    try {
+      if (!new RegExp(`^(?:${dataset.pattern})$`).test(value.trim())) {
+        return message('pattern', 'validation.pattern')
+      }
+    } catch (error) {
+      log(`Invalid data-pattern on ${field.name}: ${error.message}`, 'error')
+    }
+  }
+
+  if (dataset.match) {
+    const other = field.form && field.form.elements.namedItem(dataset.match)
+
+    if (other && other.value !== value) {
+      return message('match', 'validation.match', { field: getFieldLabel(other) })
+    }
+  }
+
+  if (dataset.validator) {
+    const validator = customValidators.get(dataset.validator)
+
+    if (!validator) {
+      log(`Validator not registered: ${dataset.validator}`, 'warn')
+      return null
+    }
+
+    const result = validator(value, field)
+
+    if (result !== true) {
+      return typeof result === 'string' ? t(result) : message('validator', 'validation.invalid')
+    }
+  }
+
+  return null
+}
+
+/**
+ * Checks one field against its validation rules, showing or clearing its error
+ * @param {HTMLElement} field - Input, select or textarea
+ * @param {string} value - Submitted value of the field
+ * @param {Object} options - Passed to showValidationError (e.g. { announce: false })
+ * @returns {boolean} True if the field is valid
+ */
+export const validateField = (field, value, options) => {
+  const error = getFieldError(field, value)
+
+  if (error) {
+    showValidationError(field, error, options)
+    return false
+  }
+
+  clearValidationError(field)
+  return true
+}
+
+/**
+ * Validates fields as the visitor leaves them
+ * Empty fields are skipped until they have shown an error, so tabbing through the form
+ * does not fill it with "required" messages
+ * @param {HTMLFormElement} form - Form to watch
+ * @param {Object} options - Listener options
+ * @param {AbortSignal} options.signal - Stops validating when aborted (e.g. on section unmount)
+ */
+export const validateOnBlur = (form, { signal } = {}) => {
+  form.addEventListener(
+    'focusout',
+    (event) => {
+      const field = event.target
+
+      if (
+        !field.name ||
+        !field.matches('input, select, textarea') ||
+        ['checkbox', 'radio', 'hidden'].includes(field.type)
+      ) {
+        return
+      }
+
+      if (isRequired(field.value) || field.getAttribute('aria-invalid') === 'true') {
+        validateField(field, field.value)
+      }
+    },
+    { signal }
+  )
+}
+
+// ============================================
+// Error Summary
+// ============================================
+
+/**
+ * Creates the error summary at the top of a form
+ * @param {HTMLFormElement} form - Form that needs a summary
+ * @returns {HTMLElement} Summary element
+ */
+const createErrorSummary = (form) => {
+  const summary = document.createElement('div')
+  const title = document.createElement('h3')
+  const list = document.createElement('ul')
+
+  title.id = `${ensureId(form)}-error-summary-title`
+  title.className = 'error-summary-title'
+  title.setAttribute('data-i18n', 'validation.summaryTitle')
+  title.textContent = t('validation.summaryTitle')
+
+  list.className = 'error-summary-list'
+
+  summary.className = 'error-summary'
+  summary.hidden = true
+  summary.tabIndex = -1
+  summary.setAttribute('data-error-summary', '')
+  summary.setAttribute('aria-labelledby', title.id)
+  summary.append(title, list)
+
+  // Links move focus to the field (or the first option of a group) rather than changing the URL
+  summary.addEventListener('click', (event) => {
+    const item = event.target.closest('[data-error-for]')
+    const field = item && document.getElementById(item.getAttribute('data-error-for'))
+
+    if (!field) {
+      return
+    }
+
+    event.preventDefault()
+    const target = field.matches('input, select, textarea')
+      ? field
+      : field.querySelector('input, select, textarea')
+    ;(target || field).focus()
+  })
+
+  form.prepend(summary)
+  return summary
+}
+
+/**
+ * Lists every invalid field of a form (or part of it) in the error summary and moves focus to
+ * the summary, so screen readers read out what needs fixing. Each entry links to its field,
+ * and disappears once the field's error is cleared.
+ * @param {HTMLFormElement} form - Form that failed validation
+ * @param {HTMLElement} container - Part of the form to list, e.g. one wizard step (default: form)
+ * @returns {boolean} True if the summary is shown
+ */
+export const showErrorSummary = (form, container = form) => {
+  const summary = form.querySelector('[data-error-summary]') || createErrorSummary(form)
+  const list = safeQuerySelector('.error-summary-list', summary)
+  const invalidFields = Array.from(container.querySelectorAll('[aria-invalid="true"]'))
+
+  list.innerHTML = ''
+
+  invalidFields.forEach((field) => {
+    const errorElement = document.getElementById(`${field.id}-error`)
+    const item = document.createElement('li')
+    const link = document.createElement('a')
+
+    link.href = `#${field.id}`
+    link.textContent = getSummaryText(
+      field,
+      errorElement ? errorElement.textContent : t('validation.invalid')
+    )
+    item.setAttribute('data-error-for', field.id)
+    item.appendChild(link)
+    list.appendChild(item)
+  })
+
+  summary.hidden = invalidFields.length === 0
+
+  if (!summary.hidden) {
+    summary.focus()
+  }
+
+  return !summary.hidden
+}
+
+/**
+ * Hides a form's error summary, e.g. when a wizard moves to another step
+ * @param {HTMLFormElement} form - Form with a summary
+ */
+export const hideErrorSummary = (form) => {
+  const summary = form.querySelector('[data-error-summary]')
+
+  if (summary) {
+    summary.hidden = true
+  }
+}
+
+/**
+ * Initializes validation for forms marked with data-validate
+ * Fields are checked as the visitor leaves them and again on submit; valid forms are
+ * submitted in the background via submitForm
+ */
+export const initFormValidation = () => {
+  const forms = safeQuerySelectorAll('form[data-validate]')
+
+  if (forms.length === 0) {
+    log('No forms with validation found - skipping initialization', 'warn')
+    return
+  }
+
+  forms.forEach((form) => {
+    form.addEventListener('submit', (event) => {
+      event.preventDefault()
+
+      let isValid = true
+      const formData = new FormData(form)
+
+      // Validate each field; the summary announces the errors, so the messages stay quiet
+      form.querySelectorAll('input[name], textarea[name], select[name]').forEach((field) => {
+        if (!validateField(field, String(formData.get(field.name) || ''), { announce: false })) {
+          isValid = false
+        }
+      })
+
+      if (isValid) {
+        log('Form validation passed - submitting form')
+        submitForm(form)
+      } else {
+        showErrorSummary(form)
+        log('Form validation failed', 'warn')
+      }
+    })
+
+    validateOnBlur(form)
+
+    // Clear errors on input
+    form.querySelectorAll('input, textarea').forEach((field) => {
+      field.addEventListener('input', () => {
+        clearValidationError(field)
+      })
+    })
+  })
+
+  log(`Form validation initialized for ${forms.length} forms`)
+}
+
+/**
+ * Formats Nigerian phone numbers as they are typed (0803 123 4567 or +234 803 123 4567)
+ * Deletions are left alone, so backspacing over a space works; the whole number is
+ * tidied up when the field loses focus
+ */
+export const initPhoneInputs = () => {
+  const phoneFields = safeQuerySelectorAll('input[type="tel"]')
+
+  if (phoneFields.length === 0) {
+    return
+  }
+
+  /**
+   * Reformats a field, keeping the caret after the same number of digits
+   * @param {HTMLInputElement} field - Phone field
+   */
+  const formatField = (field) => {
+    const { value } = field
+    const formatted = formatNigerianPhone(value)
+
+    if (formatted === value) {
+      return
+    }
+
+    const caret = field.selectionStart === null ? value.length : field.selectionStart
+    const digitsBeforeCaret = value.slice(0, caret).replace(/\D/g, '').length
+    let position = 0
+
+    for (let seen = 0; position < formatted.length && seen < digitsBeforeCaret; position++) {
+      if (/\d/.test(formatted[position])) {
+        seen++
+      }
+    }
+
+    field.value = formatted
+
+    if (document.activeElement === field) {
+      field.setSelectionRange(position, position)
+    }
+  }
+
+  phoneFields.forEach((field) => {
+    field.addEventListener('input', (event) => {
+      if (!event.inputType || !event.inputType.startsWith('delete')) {
+        formatField(field)
+      }
+    })
+    field.addEventListener('blur', () => formatField(field))
+  })
+
+  log(`Phone formatting initialized for ${phoneFields.length} fields`)
+}
+
+/**
+ * Replaces phone numbers in a submission with their E.164 form, adding <name>_network
+ * with the network id, so SMS follow-up always receives numbers in one format
+ * @param {HTMLFormElement} form - Form being submitted
+ * @param {Object} payload - Serialized form values, updated in place
+ * @returns {Object} The payload
+ */
+const normalizePhoneFields = (form, payload) => {
+  form.querySelectorAll('input[type="tel"][name]').forEach((field) => {
+    const { e164, network } = parseNigerianPhone(payload[field.name])
+
+    if (e164) {
+      payload[field.name] = e164
+      payload[`${field.name}_network`] = network
+    }
+  })
+
+  return payload
+}
+
+// ============================================
+// Form Submission & Offline Queue
+// ============================================
+
+/**
+ * Reads queued form submissions from localStorage
+ * @returns {Array<Object>} Queued submissions (empty if storage is unavailable)
+ */
+const readFormQueue = () => {
+  try {
+    const queue = JSON.parse(localStorage.getItem(CONFIG.FORM_QUEUE_STORAGE_KEY))
+    return Array.isArray(queue) ? queue : []
+  } catch (error) {
+    log(`Unable to read form queue: ${error.message}`, 'warn')
+    return []
+  }
+}
+
+/**
+ * Persists queued form submissions to localStorage
+ * @param {Array<Object>} queue - Submissions to store
+ * @returns {boolean} True if the queue was saved
+ */
+const writeFormQueue = (queue) => {
+  try {
+    if (queue.length === 0) {
+      localStorage.removeItem(CONFIG.FORM_QUEUE_STORAGE_KEY)
+    } else {
+      localStorage.setItem(CONFIG.FORM_QUEUE_STORAGE_KEY, JSON.stringify(queue))
+    }
+    return true
+  } catch (error) {
+    log(`Unable to save form queue: ${error.message}`, 'error')
+    return false
+  }
+}
+
+/**
+ * Serializes a form into a plain object for JSON submission
+ * Checkbox groups (several checkboxes sharing a name) become arrays of the checked values;
+ * honeypot fields are left out
+ * @param {HTMLFormElement} form - Form to serialize
+ * @returns {Object} Field values keyed by name
+ */
+export const serializeForm = (form) => {
+  const payload = {}
+
+  new FormData(form).forEach((value, key) => {
+    if (form.querySelector(`[name="${key}"][data-honeypot]`)) {
+      return
+    }
+
+    const entry = typeof value === 'string' ? value.trim() : value
+    const isGroup = form.querySelectorAll(`input[type="checkbox"][name="${key}"]`).length > 1
+
+    payload[key] = isGroup ? [...(payload[key] || []), entry] : entry
+  })
+
+  return payload
+}
+
+/**
+ * Posts a JSON payload to a form endpoint with a timeout
+ * Network failures throw without a status; HTTP failures carry error.status
+ * @param {string} endpoint - Submission URL
+ * @param {Object} payload - Data to send
+ * @returns {Promise<Response>} Successful response
+ */
+const postFormData = async (endpoint, payload) => {
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null
+  const timeout = controller
+    ? setTimeout(() => controller.abort(), CONFIG.FORM_SUBMIT_TIMEOUT)
+    : null
+
+  try {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+      },
+      body: JSON.stringify(payload),
+      signal: controller ? controller.signal : undefined,
+    })
+
+    if (!response.ok) {
+      const error = new Error(`Form submission failed with status ${response.status}`)
+      error.status = response.status
+      throw error
+    }
+
+    return response
+  } finally {
+    clearTimeout(timeout)
+  }
+}
+
+/**
+ * Updates the status region of a form
+ * @param {HTMLFormElement} form - Form being submitted
+ * @param {string} state - One of submitting, retrying, success, queued, cancelled, pending, error
+ * @param {string} message - Message announced to the user
+ * @param {Function} onRetry - Called by the "Try again" button in the error state (optional)
+ */
+export const setFormStatus = (form, state, message, onRetry) => {
+  const status = safeQuerySelector('[data-form-status]', form)
+  const submitButton = safeQuerySelector('[type="submit"]', form)
+  const isBusy = state === 'submitting' || state === 'retrying'
+
+  form.setAttribute('data-form-state', state)
+  form.setAttribute('aria-busy', String(isBusy))
+
+  if (submitButton) {
+    submitButton.disabled = isBusy
+  }
+
+  if (!status) {
+    return
+  }
+
+  status.textContent = message
+
+  if (state === 'error' && onRetry) {
+    const retryButton = document.createElement('button')
+    retryButton.type = 'button'
+    retryButton.className = 'form-retry-btn'
+    retryButton.textContent = t('common.tryAgain')
+    retryButton.addEventListener('click', onRetry)
+    status.append(' ', retryButton)
+  }
+}
+
+/**
+ * Adds a submission to the offline queue
+ * @param {string} endpoint - Submission URL
+ * @param {string} formName - Form identifier (data-form-name)
+ * @param {Object} payload - Data to send later
+ * @returns {boolean} True if the submission was queued
+ */
+const queueFormSubmission = (endpoint, formName, payload) => {
+  const queue = readFormQueue()
+
+  queue.push({
+    endpoint,
+    form: formName,
+    payload,
+    queued_at: new Date().toISOString(),
+  })
+
+  const saved = writeFormQueue(queue)
+
+  if (saved) {
+    log(`Form submission queued for later delivery (${queue.length} pending)`)
+  }
+
+  return saved
+}
+
+/**
+ * Submits a validated form in the background
+ * Runs the spam checks, retries transient failures and queues the submission if the network
+ * is unavailable
+ * A data-form-success attribute names the message key shown on success (default: form.success)
+ * @param {HTMLFormElement} form - Form to submit
+ */
+export const submitForm = async (form) => {
+  const endpoint = form.getAttribute('action')
+  const formName = form.getAttribute('data-form-name') || form.id
+  const section = getSectionName(form)
+  const successMessage = t(form.getAttribute('data-form-success') || 'form.success')
+
+  if (!endpoint) {
+    log(`Form has no action endpoint: ${formName}`, 'error')
+    return
+  }
+
+  const spamReason = checkFormForSpam(form, formName)
+
+  if (spamReason) {
+    if (spamReason === 'honeypot') {
+      // Give bots no sign that they were caught
+      form.reset()
+      setFormStatus(form, 'success', successMessage)
+    } else {
+      setFormStatus(form, 'error', t(SPAM_CHECK_MESSAGES[spamReason]))
+    }
+
+    trackEvent('form_submit', section, { form: formName, result: 'blocked', reason: spamReason })
+    log(`Form submission blocked (${spamReason}): ${formName}`, 'warn')
+    return
+  }
+
+  setFormStatus(form, 'submitting', t('form.sending'))
+
+  const proofOfWork = await getProofOfWork(form, formName)
+  const payload = {
+    ...normalizePhoneFields(form, serializeForm(form)),
+    form: formName,
+    submitted_at: new Date().toISOString(),
+    ...(proofOfWork && { proof_of_work: proofOfWork }),
+  }
+
+  /**
+   * Stores the submission for later, falling back to the error state if storage fails
+   */
+  const queueSubmission = () => {
+    if (queueFormSubmission(endpoint, formName, payload)) {
+      recordFormSubmission(formName, form)
+      form.reset()
+      setFormStatus(form, 'queued', t('form.queued'))
+      trackEvent('form_submit', section, { form: formName, result: 'queued' })
+    } else {
+      setFormStatus(form, 'error', t('form.queueFailed'), () => submitForm(form))
+    }
+  }
+
+  if (navigator.onLine === false) {
+    queueSubmission()
+    return
+  }
+
+  let lastError = null
+
+  for (let attempt = 0; attempt <= CONFIG.FORM_MAX_RETRIES; attempt++) {
+    try {
+      await postFormData(endpoint, payload)
+      recordFormSubmission(formName, form)
+      form.reset()
+      setFormStatus(form, 'success', successMessage)
+      trackEvent('form_submit', section, {
+        form: formName,
+        result: 'success',
+        attempts: attempt + 1,
+      })
+      log(`Form submitted successfully: ${formName}`)
+      return
+    } catch (error) {
+      lastError = error
+      log(`Form submission attempt ${attempt + 1} failed: ${error.message}`, 'warn')
+
+      // Client errors will not succeed on retry
+      if (error.status && error.status < 500) {
+        break
+      }
+
+      if (attempt < CONFIG.FORM_MAX_RETRIES) {
+        setFormStatus(
+          form,
+          'retrying',
+          t('form.retrying', { attempt: attempt + 1, total: CONFIG.FORM_MAX_RETRIES })
+        )
+        await wait(CONFIG.FORM_RETRY_DELAY * (attempt + 1))
+      }
+    }
+  }
+
+  if (!lastError.status) {
+    queueSubmission()
+    return
+  }
+
+  setFormStatus(form, 'error', t('form.failed'), () => submitForm(form))
+  trackEvent('form_submit', section, {
+    form: formName,
+    result: 'failed',
+    status: lastError.status,
+  })
+  log(`Form submission failed: ${formName}`, 'error')
+}
+
+let isFlushingFormQueue = false
+
+/**
+ * Replaces the proof-of-work token of a queued submission with a fresh one
+ * Tokens expire on the server, and a submission can wait in the queue for days
+ * @param {Object} submission - Queued submission
+ * @returns {Promise<Object>} Payload to send
+ */
+const refreshQueuedProofOfWork = async (submission) => {
+  if (!submission.payload.proof_of_work) {
+    return submission.payload
+  }
+
+  const payload = { ...submission.payload }
+  delete payload.proof_of_work
+
+  const proofOfWork = await computeProofOfWork(submission.form)
+  return proofOfWork ? { ...payload, proof_of_work: proofOfWork } : payload
+}
+
+/**
+ * Sends queued form submissions, keeping any that still fail
+ * Submissions the server rejects are dropped only once the visitor has been told on the form
+ */
+const flushFormQueue = async () => {
+  const queue = readFormQueue()
+
+  if (isFlushingFormQueue || queue.length === 0 || navigator.onLine === false) {
+    return
+  }
+
+  isFlushingFormQueue = true
+  const remaining = []
+
+  for (const submission of queue) {
+    const form = safeQuerySelector(`form[data-form-name="${submission.form}"]`)
+
+    try {
+      await postFormData(submission.endpoint, await refreshQueuedProofOfWork(submission))
+
+      if (form) {
+        setFormStatus(form, 'success', t('form.queuedSent'))
+      }
+    } catch (error) {
+      const isRejected = error.status && error.status < 500
+
+      if (isRejected && form) {
+        // Retrying will not help; ask the visitor to send it again instead
+        setFormStatus(form, 'error', t('form.queuedRejected'))
+        trackEvent('form_submit', getSectionName(form), {
+          form: submission.form,
+          result: 'failed',
+          status: error.status,
+        })
+      } else {
+        // Keep it for the next attempt, or until its form is on the page to report the rejection
+        remaining.push(submission)
+      }
+      log(`Queued form submission failed: ${error.message}`, 'warn')
+    }
+  }
+
+  // Keep anything queued while this flush was in progress
+  writeFormQueue([...remaining, ...readFormQueue().slice(queue.length)])
+  isFlushingFormQueue = false
+  log(`Form queue flushed: ${queue.length - remaining.length} sent, ${remaining.length} pending`)
+}
+
+/**
+ * Delivers queued submissions now and whenever the connection returns
+ */
+export const initOfflineFormQueue = () => {
+  window.addEventListener('online', () => {
+    log('Connection restored - sending queued form submissions')
+    flushFormQueue()
+  })
+
+  flushFormQueue()
+}
@@ -0,0 +1,416 @@
+/**
+ * NGO Health Landing Page - Internationalisation
+ * Health for All Nigeria
+ *
+ * English messages, locale catalogues (Hausa, Yoruba, Igbo, Nigerian Pidgin), number and
+ * currency formatting, and the language switcher.
+ */
+
+import { CONFIG } from './config.js'
+import { log, safeQuerySelector, safeQuerySelectorAll } from './utils.js'
+import { trackEvent } from './analytics.js'
+
+// ============================================
+// Internationalisation (i18n)
+// ============================================
+
+/**
+ * English messages for strings generated in JavaScript
+ * Bundled so English never needs a network request; markup strings use the HTML text
+ */
+const MESSAGES_EN = Object.freeze({
+  'common.tryAgain': 'Try again',
+  'programs.loading': 'Loading programs…',
+  'programs.loadError': 'We could not load our programs right now.',
+  'programs.empty': 'No programs are running at the moment. Please check back soon.',
+  'programs.runningSince': 'Running since',
+  'programs.showingAll': 'Showing all {count} programs',
+  'programs.showingFiltered': '{count} of {total} programs match your filters',
+  'programs.filter.maternal': 'Maternal Health',
+  'programs.filter.child': 'Child Health',
+  'programs.filter.prevention': 'Disease Prevention',
+  'programs.filter.nutrition': 'Nutrition',
+  'programs.filter.mental-health': 'Mental Health',
+  'programs.filter.community-health': 'Community Health',
+  'programs.tag.antenatal': 'Antenatal care',
+  'programs.tag.bed-nets': 'Bed nets',
+  'programs.tag.breastfeeding': 'Breastfeeding',
+  'programs.tag.counselling': 'Counselling',
+  'programs.tag.growth-monitoring': 'Growth monitoring',
+  'programs.tag.health-education': 'Health education',
+  'programs.tag.immunisation': 'Immunisation',
+  'programs.tag.malaria': 'Malaria',
+  'programs.tag.peer-support': 'Peer support',
+  'programs.tag.rural-outreach': 'Rural outreach',
+  'programs.details.open': 'View details',
+  'programs.details.close': 'Close',
+  'programs.details.gallery': 'Photos',
+  'programs.details.photo': 'Show photo {number} of {total}',
+  'programs.details.locations': 'Where we work',
+  'programs.details.partners': 'Partners',
+  'programs.details.impact': 'Impact over time',
+  'programs.details.date': 'Date',
+  'programs.details.stories': 'Stories from the community',
+  'programs.details.ctaText': 'Help us reach more families through this program.',
+  'programs.details.cta': 'Support this program',
+  'validation.required': 'This field is required',
+  'validation.email': 'Please enter a valid email address',
+  'validation.phoneCharacters':
+    'Phone numbers can only contain digits, spaces, brackets, dashes and a leading +',
+  'validation.phoneCountry': 'Please enter a Nigerian number, starting with 0 or +234',
+  'validation.phoneLength': 'Nigerian mobile numbers have 11 digits, like 0803 123 4567',
+  'validation.phonePrefix': 'Nigerian mobile numbers start with 070, 080, 081, 090 or 091',
+  'validation.donationAmount': 'Please enter a whole amount between {min} and {max}',
+  'validation.chooseOne': 'Please choose at least one option',
+  'validation.contact': 'Please enter a valid email address or Nigerian phone number',
+  'validation.code': 'Please enter the {length}-digit code',
+  'validation.minLength': 'Please enter at least {min} characters',
+  'validation.maxLength': 'Please enter no more than {max} characters',
+  'validation.pattern': 'Please enter this in the format shown',
+  'validation.match': 'Please make sure this matches {field}',
+  'validation.invalid': 'Please check this field',
+  'validation.summaryTitle': 'Please fix the following',
+  'form.sending': 'Sending your message…',
+  'form.retrying': 'Connection problem. Retrying ({attempt} of {total})…',
+  'form.success': "Thank you! Your message has been sent. We'll be in touch soon.",
+  'form.failed': "Sorry, we couldn't send your message.",
+  'form.queued':
+    "You're offline. Your message has been saved and will be sent automatically when your connection returns.",
+  'form.queueFailed': "You're offline and we couldn't save your message.",
+  'form.queuedSent': 'Your saved message has now been sent. Thank you!',
+  'form.queuedRejected':
+    "Sorry, we couldn't send the message you saved while offline. Please fill in the form and send it again.",
+  'form.tooFast': 'That was quick! Please check your details, then send the form again.',
+  'form.rateLimited':
+    "You've sent this form several times in the last few minutes. Please wait a little, then try again.",
+  'donation.submit': 'Donate',
+  'donation.submitAmount': 'Donate {amount}',
+  'donation.submitMonthly': 'Donate {amount} monthly',
+  'donation.impactTier': '{amount} = {impact} through our {program}.',
+  'donation.impactTierMonthly': '{amount} every month = {impact} through our {program}.',
+  'donation.impactCustom': '{amount} supports all of our community health programs.',
+  'donation.impactCustomMonthly':
+    '{amount} every month supports all of our community health programs.',
+  'donation.connecting': 'Connecting to our payment provider…',
+  'donation.unavailable': 'Online giving is temporarily unavailable.',
+  'donation.success':
+    'Thank you, {name}! Your donation of {amount} was received. Reference: {reference}',
+  'donation.cancelled': 'Payment cancelled. You have not been charged.',
+  'donation.failed': 'Your payment could not be completed. You have not been charged.',
+  'donation.unreachable': 'We could not reach our payment provider. Please try again.',
+  'consent.embedBlocked':
+    'This content is hosted by another website. Allow media in your privacy settings to view it.',
+  'consent.embedAllow': 'Allow media',
+  'metrics.asOf': 'As of {date}',
+  'metrics.provenance': 'As of {date}. Source: {source}',
+  'metrics.noteLink': 'Source note {number}',
+  'metrics.note': '{source}. Figures as of {date}.',
+  'facilities.loading': 'Loading facilities…',
+  'facilities.loadError': 'We could not load the facility list right now.',
+  'facilities.empty': 'No facilities match your search.',
+  'facilities.clearFilters': 'Clear filters',
+  'facilities.count': 'Showing {count} of {total} facilities',
+  'facilities.countNearest': 'Showing {count} of {total} facilities, nearest first',
+  'facilities.distance': '{distance} km away',
+  'facilities.servicesHeading': 'Services',
+  'facilities.hoursHeading': 'Hours',
+  'facilities.showOnMap': 'Show on map',
+  'facilities.directions': 'Get directions',
+  'facilities.locating': 'Finding your location…',
+  'facilities.locateSorted': 'Sorted by distance from your location.',
+  'facilities.locateDenied': 'Location access was not allowed. You can still filter by state.',
+  'facilities.locateUnavailable': 'Your location is not available on this device.',
+  'facilities.type.teaching-hospital': 'Teaching hospital',
+  'facilities.type.specialist-hospital': 'Specialist hospital',
+  'facilities.type.general-hospital': 'General hospital',
+  'facilities.type.maternity': 'Maternity hospital',
+  'facilities.type.primary-health-centre': 'Primary Health Centre',
+  'facilities.service.emergency': 'Emergency care',
+  'facilities.service.antenatal': 'Antenatal care',
+  'facilities.service.immunization': 'Immunisation',
+  'facilities.service.malaria': 'Malaria testing & treatment',
+  'facilities.service.nutrition': 'Nutrition support',
+  'facilities.service.mental-health': 'Mental health',
+  'facilities.service.hiv-testing': 'HIV testing',
+  'facilities.service.family-planning': 'Family planning',
+  'events.loading': 'Loading events…',
+  'events.loadError': 'We could not load our events right now.',
+  'events.noneUpcoming': 'No upcoming events match your filters. Please check back soon.',
+  'events.noneInMonth': 'No events this month match your filters.',
+  'events.count': '{upcoming} upcoming, {past} past',
+  'events.pastSummary': 'Past events ({count})',
+  'events.pastBadge': 'Past event',
+  'events.addToCalendar': 'Add to calendar',
+  'events.dayLabel': '{date}, events: {count}',
+  'events.dayHeading': 'Events on {date}',
+  'volunteer.stepCount': 'Step {current} of {total}',
+  'volunteer.success': 'Thank you for registering! A volunteer coordinator will call you soon.',
+  'volunteer.notProvided': 'Not provided',
+  'volunteer.edit': 'Edit',
+  'volunteer.editLabel': 'Edit {section}',
+  'updates.sending': 'Sending your confirmation code…',
+  'updates.failed': "Sorry, we couldn't start your subscription. Please check your details.",
+  'updates.unreachable': "We couldn't reach our subscription service. Please try again.",
+  'updates.unavailable': 'Subscriptions are not available right now.',
+  'updates.codeSent.email': 'We sent a confirmation code to {address}. It may take a few minutes.',
+  'updates.codeSent.sms':
+    'We sent a confirmation code by SMS to {address}. It may take a few minutes.',
+  'updates.codeResent': 'We sent you a new code.',
+  'updates.confirming': 'Checking your code…',
+  'updates.codeInvalid': 'That code is not right. Please check it and try again.',
+  'updates.codeExpired': 'That code has expired.',
+  'updates.confirmed.email': "You're subscribed! Every email includes a link to unsubscribe.",
+  'updates.confirmed.sms': "You're subscribed! Every SMS includes a link to unsubscribe.",
+  'updates.unsubscribing': 'Unsubscribing you…',
+  'updates.unsubscribed': "You've been unsubscribed and won't receive any more updates.",
+  'updates.unsubscribeInvalid': 'This unsubscribe link is not valid or has already been used.',
+  'stories.loadError': 'We could not load stories right now.',
+  'stories.slide': 'slide',
+  'stories.slideLabel': '{current} of {total}',
+  'stories.pickLabel': "{name}'s story",
+  'stories.pause': 'Pause stories',
+  'stories.play': 'Play stories',
+  'news.loadError': 'We could not load news right now.',
+  'news.empty': 'No posts in this program area yet.',
+  'news.count': 'Showing {shown} of {total} posts',
+  'news.filter.all': 'All posts',
+  'news.readingTime': '{minutes} min read',
+  'news.byline': 'By {author}',
+  'news.updated': 'Updated {date}',
+  'news.back': 'Back to all news',
+  'news.notFound': 'We could not find that post. It may have been moved or removed.',
+})
+
+export const i18nState = {
+  locale: CONFIG.DEFAULT_LOCALE,
+  messages: {},
+}
+
+const localeCatalogues = new Map()
+
+// Original English text of translated markup, captured before the first swap
+const markupDefaults = new WeakMap()
+
+/**
+ * Translates a message key for the current locale
+ * Falls back to English, then to the key itself
+ * @param {string} key - Message key (e.g. 'form.success')
+ * @param {Object} params - Values for {placeholder} substitution
+ * @returns {string} Translated message
+ */
+export const t = (key, params = {}) => {
+  const { messages } = i18nState
+  let template = key
+
+  if (Object.prototype.hasOwnProperty.call(messages, key)) {
+    template = messages[key]
+  } else if (Object.prototype.hasOwnProperty.call(MESSAGES_EN, key)) {
+    template = MESSAGES_EN[key]
+  }
+
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+  )
+}
+
+/**
+ * Returns the Intl locale tag for the current UI locale
+ * @returns {string} BCP 47 tag with the Nigerian region (e.g. 'yo-NG')
+ */
+export const getIntlLocale = () => `${i18nState.locale}-NG`
+
+/**
+ * Formats a number for the current locale
+ * @param {number} value - Number to format
+ * @returns {string} Locale-formatted number
+ */
+export const formatNumber = (value) => {
+  return new Intl.NumberFormat(getIntlLocale()).format(value)
+}
+
+/**
+ * Resolves the locale to use on first load
+ * Prefers a stored choice, then the browser languages, then the default
+ * @returns {string} Supported locale code
+ */
+const detectLocale = () => {
+  try {
+    const stored = localStorage.getItem(CONFIG.LOCALE_STORAGE_KEY)
+    if (stored && CONFIG.SUPPORTED_LOCALES.includes(stored)) {
+      return stored
+    }
+  } catch (error) {
+    log(`Unable to read stored locale: ${error.message}`, 'warn')
+  }
+
+  const browserLocales = navigator.languages || [navigator.language || '']
+  const match = browserLocales
+    .map((language) => String(language).toLowerCase().split('-')[0])
+    .find((language) => CONFIG.SUPPORTED_LOCALES.includes(language))
+
+  return match || CONFIG.DEFAULT_LOCALE
+}
+
+/**
+ * Fetches a locale's message catalogue, caching the result
+ * @param {string} locale - Locale code
+ * @returns {Promise<Object>} Flat map of message keys to strings
+ */
+const loadLocaleCatalogue = async (locale) => {
+  if (locale === CONFIG.DEFAULT_LOCALE) {
+    return {}
+  }
+
+  if (localeCatalogues.has(locale)) {
+    return localeCatalogues.get(locale)
+  }
+
+  const response = await fetch(`${CONFIG.LOCALE_CATALOGUE_PATH}/${locale}.json`, {
+    headers: { Accept: 'application/json' },
+  })
+
+  if (!response.ok) {
+    throw new Error(`Locale catalogue request failed with status ${response.status}`)
+  }
+
+  const catalogue = await response.json()
+  localeCatalogues.set(locale, catalogue)
+  return catalogue
+}
+
+/**
+ * Looks up a markup string, falling back to bundled English or the original HTML text
+ * @param {string} key - Message key
+ * @param {string} fallback - Original English text from the markup
+ * @returns {string} Translated text
+ */
+const translateMarkupKey = (key, fallback) => {
+  const { messages } = i18nState
+
+  if (Object.prototype.hasOwnProperty.call(messages, key)) {
+    return messages[key]
+  }
+
+  return Object.prototype.hasOwnProperty.call(MESSAGES_EN, key) ? MESSAGES_EN[key] : fallback
+}
+
+/**
+ * Applies the current locale to elements marked with data-i18n / data-i18n-attr
+ * data-i18n replaces text content; data-i18n-attr takes space-separated attr:key pairs
+ * @param {Element|Document} root - Subtree to translate (default: document)
+ */
+const translatePage = (root = document) => {
+  safeQuerySelectorAll('[data-i18n], [data-i18n-attr]', root).forEach((element) => {
+    if (!markupDefaults.has(element)) {
+      const attributes = {}
+      ;(element.getAttribute('data-i18n-attr') || '').split(/\s+/).forEach((pair) => {
+        const [attribute] = pair.split(':')
+        if (attribute) {
+          attributes[attribute] = element.getAttribute(attribute) || ''
+        }
+      })
+      markupDefaults.set(element, { text: element.textContent.trim(), attributes })
+    }
+
+    const defaults = markupDefaults.get(element)
+    const textKey = element.getAttribute('data-i18n')
+
+    if (textKey) {
+      element.textContent = translateMarkupKey(textKey, defaults.text)
+    }
+
+    ;(element.getAttribute('data-i18n-attr') || '').split(/\s+/).forEach((pair) => {
+      const [attribute, key] = pair.split(':')
+      if (attribute && key) {
+        element.setAttribute(attribute, translateMarkupKey(key, defaults.attributes[attribute]))
+      }
+    })
+  })
+}
+
+/**
+ * Switches the UI locale
+ * Loads the catalogue, translates markup, updates html[lang] and notifies sections
+ * through a 'localechange' event on document
+ * @param {string} locale - Locale code
+ * @param {Object} options - Switch options
+ * @param {boolean} options.persist - Whether to remember the choice (default: true)
+ * @returns {Promise<boolean>} True if the locale was applied
+ */
+const setLocale = async (locale, { persist = true } = {}) => {
+  const nextLocale = CONFIG.SUPPORTED_LOCALES.includes(locale) ? locale : CONFIG.DEFAULT_LOCALE
+
+  try {
+    i18nState.messages = await loadLocaleCatalogue(nextLocale)
+    i18nState.locale = nextLocale
+  } catch (error) {
+    log(`Failed to load locale ${nextLocale}: ${error.message}`, 'error')
+    return false
+  }
+
+  document.documentElement.lang = nextLocale
+  translatePage()
+
+  if (persist) {
+    try {
+      localStorage.setItem(CONFIG.LOCALE_STORAGE_KEY, nextLocale)
+    } catch (error) {
+      log(`Unable to store locale preference: ${error.message}`, 'warn')
+    }
+  }
+
+  document.dispatchEvent(new CustomEvent('localechange', { detail: { locale: nextLocale } }))
+  log(`Locale changed to ${nextLocale}`)
+  return true
+}
+
+/**
+ * Initializes the header language switcher and applies the detected locale
+ */
+export const initLanguageSwitcher = () => {
+  const switcher = safeQuerySelector('[data-language-switcher]')
+  const initialLocale = detectLocale()
+
+  if (switcher) {
+    switcher.value = initialLocale
+    switcher.addEventListener('change', async () => {
+      const previousLocale = i18nState.locale
+      const applied = await setLocale(switcher.value)
+
+      if (applied) {
+        trackEvent('language_change', 'header', { from: previousLocale, to: i18nState.locale })
+      }
+
+      // Revert the control if the catalogue could not be loaded
+      if (!applied) {
+        switcher.value = i18nState.locale
+      }
+    })
+  } else {
+    log('Language switcher not found - using detected locale only', 'warn')
+  }
+
+  if (initialLocale !== CONFIG.DEFAULT_LOCALE) {
+    setLocale(initialLocale, { persist: false }).then((applied) => {
+      if (!applied && switcher) {
+        switcher.value = i18nState.locale
+      }
+    })
+  }
+
+  log(`Language switcher initialized (locale: ${initialLocale})`)
+}
+
+/**
+ * Formats an amount as Nigerian Naira without decimals
+ * @param {number} amount - Amount in naira
+ * @returns {string} Formatted amount (e.g. ₦5,000)
+ */
+export const formatNaira = (amount) => {
+  return new Intl.NumberFormat(getIntlLocale(), {
+    style: 'currency',
+    currency: 'NGN',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(amount)
+}
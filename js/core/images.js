@@ -0,0 +1,301 @@
+/**
+ * NGO Health Landing Page - Images
+ * Health for All Nigeria
+ *
+ * Lazy loading, and responsive <picture> markup built from the image manifest.
+ */
+
+import { CONFIG, FEATURES } from './config.js'
+import { log, safeQuerySelectorAll } from './utils.js'
+import { isLiteMode } from './lite-mode.js'
+
+// ============================================
+// Lazy Loading for Images
+// ============================================
+
+/** @type {IntersectionObserver|null} */
+let lazyImageObserver = null
+
+/**
+ * Loads image by setting src attribute
+ * @param {HTMLImageElement} img - Image element to load
+ */
+const loadLazyImage = (img) => {
+  const src = img.getAttribute('data-src')
+
+  if (!src) {
+    return
+  }
+
+  // Responsive images: activate the <picture> sources and srcset before the fallback src
+  if (img.parentElement && img.parentElement.tagName === 'PICTURE') {
+    img.parentElement.querySelectorAll('source[data-srcset]').forEach((source) => {
+      source.srcset = source.getAttribute('data-srcset')
+      source.removeAttribute('data-srcset')
+    })
+  }
+
+  if (img.hasAttribute('data-srcset')) {
+    img.srcset = img.getAttribute('data-srcset')
+    img.removeAttribute('data-srcset')
+  }
+
+  img.src = src
+  img.removeAttribute('data-src')
+  img.classList.add('loaded')
+
+  img.addEventListener('load', () => {
+    img.classList.remove('image-placeholder')
+    log(`Image loaded: ${src}`)
+  })
+
+  img.addEventListener('error', () => {
+    log(`Failed to load image: ${src}`, 'error')
+    img.alt = 'Image failed to load'
+  })
+}
+
+/**
+ * Loads images as they approach the viewport, sharing one Intersection Observer
+ * Also used for images rendered after start-up; without support they load immediately
+ * @param {Iterable<HTMLImageElement>} images - Images with a data-src attribute
+ */
+const observeLazyImages = (images) => {
+  if (!FEATURES.intersectionObserver) {
+    Array.from(images).forEach(loadLazyImage)
+    return
+  }
+
+  if (!lazyImageObserver) {
+    lazyImageObserver = new IntersectionObserver(
+      (entries, observer) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) {
+            const img = entry.target
+            loadLazyImage(img)
+            observer.unobserve(img)
+          }
+        })
+      },
+      {
+        rootMargin: CONFIG.LAZY_LOAD_MARGIN,
+      }
+    )
+  }
+
+  Array.from(images).forEach((img) => lazyImageObserver.observe(img))
+}
+
+/**
+ * Initializes lazy loading for images using Intersection Observer
+ * Provides fallback for browsers without support
+ */
+export const initLazyLoading = () => {
+  const lazyImages = safeQuerySelectorAll('img[data-src], img[loading="lazy"]')
+
+  if (lazyImages.length === 0) {
+    log('No lazy-loadable images found - skipping initialization', 'warn')
+    return
+  }
+
+  observeResponsiveImages(document).catch((error) => {
+    log(`Responsive image error: ${error.message}`, 'error')
+  })
+
+  if (FEATURES.intersectionObserver) {
+    log(`Lazy loading initialized with Intersection Observer for ${lazyImages.length} images`)
+  } else {
+    log(
+      `Lazy loading fallback: loaded ${lazyImages.length} images immediately (no Intersection Observer support)`,
+      'warn'
+    )
+  }
+}
+
+// ============================================
+// Responsive Images
+// ============================================
+
+/**
+ * @typedef {Object} ImageVariants
+ * @property {string} path - Output path without the "-<width>.<ext>" suffix
+ * @property {number} width - Source width in pixels
+ * @property {number} height - Source height in pixels
+ * @property {Array<number>} widths - Generated widths, smallest first
+ * @property {Array<string>} formats - Generated formats, preferred first (avif, webp, jpg)
+ * @property {string} placeholder - Tiny blurred preview as a data: URL
+ */
+
+const IMAGE_FORMAT_TYPES = Object.freeze({
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpg: 'image/jpeg',
+})
+
+/** @type {Promise<Map<string, ImageVariants>>|null} */
+let imageManifestRequest = null
+
+/**
+ * Fetches the manifest written by scripts/build-images.js (once per page)
+ * Resolves to an empty map when the images have not been built, so every image falls back
+ * to its original file
+ * @returns {Promise<Map<string, ImageVariants>>} Variants keyed by source file name
+ */
+const loadImageManifest = () => {
+  if (!imageManifestRequest) {
+    imageManifestRequest = fetch(CONFIG.IMAGE_MANIFEST_URL, {
+      headers: { Accept: 'application/json' },
+    })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Image manifest request failed with status ${response.status}`)
+        }
+        return response.json()
+      })
+      .then((manifest) => {
+        if (!manifest || manifest.version !== CONFIG.IMAGE_MANIFEST_VERSION) {
+          throw new Error(`Unsupported image manifest version: ${manifest && manifest.version}`)
+        }
+        return new Map(Object.entries(manifest.images || {}))
+      })
+      .catch((error) => {
+        log(`Responsive images unavailable - using original files (${error.message})`, 'warn')
+        return new Map()
+      })
+  }
+
+  return imageManifestRequest
+}
+
+/**
+ * Finds the generated variants of a local image
+ * @param {Map<string, ImageVariants>} manifest - Image manifest
+ * @param {string} src - Image URL, e.g. assets/images/program-nutrition.webp
+ * @returns {ImageVariants|null} Variants, or null for remote or unprocessed images
+ */
+const getImageVariants = (manifest, src) => {
+  const match = String(src || '').match(/^(?:\.\/|\/)?assets\/images\/([\w-]+)\.\w+$/)
+  return (match && manifest.get(match[1])) || null
+}
+
+/**
+ * Returns the widths to offer, keeping to CONFIG.LITE_IMAGE_WIDTH in lite mode
+ * @param {ImageVariants} variants - Image variants
+ * @returns {Array<number>} Widths, smallest first (never empty)
+ */
+const getAvailableWidths = (variants) => {
+  const widths = isLiteMode()
+    ? variants.widths.filter((width) => width <= CONFIG.LITE_IMAGE_WIDTH)
+    : variants.widths
+
+  return widths.length > 0 ? widths : variants.widths.slice(0, 1)
+}
+
+/**
+ * Builds a srcset attribute for one format
+ * @param {ImageVariants} variants - Image variants
+ * @param {string} format - avif, webp or jpg
+ * @returns {string} e.g. "assets/images/responsive/hero-bg-320.webp 320w, ..."
+ */
+const buildSrcset = (variants, format) =>
+  getAvailableWidths(variants)
+    .map((width) => `${variants.path}-${width}.${format} ${width}w`)
+    .join(', ')
+
+/**
+ * Wraps a lazy image (one with data-src) in a <picture> offering AVIF and WebP sources and
+ * a JPEG srcset. The blurred placeholder shows until loadLazyImage swaps in the real image.
+ * @param {HTMLImageElement} img - Image with data-src and optional data-sizes
+ * @param {ImageVariants} variants - Generated variants of its source
+ */
+const wrapResponsiveImage = (img, variants) => {
+  const sizes = img.getAttribute('data-sizes') || '100vw'
+  const widths = getAvailableWidths(variants)
+  const fallbackWidth =
+    widths.filter((width) => width <= CONFIG.IMAGE_FALLBACK_WIDTH).pop() || widths[0]
+  const picture = document.createElement('picture')
+  picture.className = 'responsive-image'
+
+  variants.formats
+    .filter((format) => format !== 'jpg' && IMAGE_FORMAT_TYPES[format])
+    .forEach((format) => {
+      const source = document.createElement('source')
+      source.type = IMAGE_FORMAT_TYPES[format]
+      source.sizes = sizes
+      source.setAttribute('data-srcset', buildSrcset(variants, format))
+      picture.appendChild(source)
+    })
+
+  img.sizes = sizes
+
+  // Reserve the image's space before it loads, unless the markup already sets a size
+  if (!img.hasAttribute('width')) {
+    img.width = variants.width
+    img.height = variants.height
+  }
+
+  img.setAttribute('data-srcset', buildSrcset(variants, 'jpg'))
+  img.setAttribute('data-src', `${variants.path}-${fallbackWidth}.jpg`)
+  img.removeAttribute('data-sizes')
+
+  if (variants.placeholder) {
+    img.src = variants.placeholder
+    img.classList.add('image-placeholder')
+  }
+
+  img.replaceWith(picture)
+  picture.appendChild(img)
+}
+
+/**
+ * Upgrades the lazy images in an element to responsive <picture> markup and starts
+ * lazy-loading them. Images without generated variants load their original file.
+ * @param {HTMLElement|Document} root - Element containing img[data-src] elements
+ * @returns {Promise<void>} Resolves once the images are being observed
+ */
+export const observeResponsiveImages = async (root) => {
+  const manifest = await loadImageManifest()
+  const images = Array.from(safeQuerySelectorAll('img[data-src]', root))
+
+  images.forEach((img) => {
+    const variants = getImageVariants(manifest, img.getAttribute('data-src'))
+
+    if (variants && !img.closest('picture')) {
+      wrapResponsiveImage(img, variants)
+    }
+  })
+
+  observeLazyImages(images)
+}
+
+/**
+ * Builds a CSS background for a local image, letting the browser pick the format
+ * Uses image-set() with type() where supported, otherwise the JPEG (or the original file)
+ * @param {string} src - Original image URL, e.g. assets/images/hero-bg.jpg
+ * @param {Array<{url: string, type: string}>} fallbacks - Originals to offer without variants
+ * @param {number} targetWidth - Rendered width in device pixels
+ * @returns {Promise<string>} background-image value
+ */
+export const getResponsiveBackground = async (src, fallbacks, targetWidth) => {
+  const variants = getImageVariants(await loadImageManifest(), src)
+  let candidates = fallbacks
+
+  if (variants) {
+    const widths = getAvailableWidths(variants)
+    const width = widths.find((candidate) => candidate >= targetWidth) || widths[widths.length - 1]
+    candidates = variants.formats
+      .filter((format) => IMAGE_FORMAT_TYPES[format])
+      .map((format) => ({
+        url: `${variants.path}-${width}.${format}`,
+        type: IMAGE_FORMAT_TYPES[format],
+      }))
+  }
+
+  const imageSet = `image-set(${candidates
+    .map(({ url, type }) => `url('${url}') type('${type}')`)
+    .join(', ')})`
+
+  return typeof CSS !== 'undefined' && CSS.supports && CSS.supports('background-image', imageSet)
+    ? imageSet
+    : `url('${candidates[candidates.length - 1].url}')`
+}
@@ -0,0 +1,127 @@
+/**
+ * NGO Health Landing Page - Lite Mode
+ * Health for All Nigeria
+ *
+ * Low-data mode for 2G and Save-Data connections.
+ */
+
+import { CONFIG, FEATURES } from './config.js'
+import { log, safeQuerySelector } from './utils.js'
+import { trackEvent } from './analytics.js'
+
+// ============================================
+// Lite Mode (Low-Data)
+// ============================================
+
+const liteModeState = {
+  enabled: false,
+  source: 'auto', // 'auto' follows the connection; 'user' is the visitor's stored choice
+}
+
+/**
+ * Reads the visitor's stored lite-mode choice
+ * @returns {boolean|null} The stored choice, or null to follow the connection
+ */
+const readLiteModePreference = () => {
+  try {
+    const stored = localStorage.getItem(CONFIG.LITE_MODE_STORAGE_KEY)
+    return stored === 'on' || stored === 'off' ? stored === 'on' : null
+  } catch (error) {
+    log(`Unable to read lite mode preference: ${error.message}`, 'warn')
+    return null
+  }
+}
+
+/**
+ * Checks whether the connection asks for less data (Save-Data, or a 2G effective type)
+ * @param {Object} connection - NetworkInformation object (default: navigator.connection)
+ * @returns {boolean} True if lite mode should turn on automatically
+ */
+export const isConstrainedConnection = (connection = navigator.connection) =>
+  Boolean(connection) &&
+  (connection.saveData === true ||
+    CONFIG.LITE_MODE_CONNECTION_TYPES.includes(connection.effectiveType))
+
+/**
+ * Whether lite mode is currently on
+ * @returns {boolean} True in lite mode
+ */
+export const isLiteMode = () => liteModeState.enabled
+
+/**
+ * Turns lite mode on or off
+ * The lite-mode class on <html> removes the hero background and shortens CSS animations;
+ * responsive images rendered from then on keep to CONFIG.LITE_IMAGE_WIDTH (see js/core/images.js)
+ * @param {boolean} enabled - Whether lite mode should be on
+ * @param {Object} options - Options
+ * @param {string} options.source - 'user' for the visitor's choice, 'auto' for the connection
+ * @param {boolean} options.persist - Store the choice (default: true for the visitor's choice)
+ */
+const setLiteMode = (enabled, { source = 'user', persist = source === 'user' } = {}) => {
+  liteModeState.enabled = enabled
+  liteModeState.source = source
+  document.documentElement.classList.toggle('lite-mode', enabled)
+
+  if (persist) {
+    try {
+      localStorage.setItem(CONFIG.LITE_MODE_STORAGE_KEY, enabled ? 'on' : 'off')
+    } catch (error) {
+      log(`Unable to store lite mode preference: ${error.message}`, 'warn')
+    }
+  }
+
+  document.dispatchEvent(new CustomEvent('litemodechange', { detail: { enabled, source } }))
+  log(`Lite mode ${enabled ? 'on' : 'off'} (${source})`)
+}
+
+/**
+ * Initializes lite mode from the stored choice or the connection, and the header toggle
+ * Without a stored choice, lite mode follows connection changes (e.g. dropping to 2G)
+ */
+export const initLiteMode = () => {
+  try {
+    const toggle = safeQuerySelector('[data-lite-mode-toggle]')
+    const preference = readLiteModePreference()
+
+    if (preference === null) {
+      setLiteMode(isConstrainedConnection(), { source: 'auto' })
+    } else {
+      setLiteMode(preference, { persist: false })
+    }
+
+    if (FEATURES.networkInformation && navigator.connection.addEventListener) {
+      navigator.connection.addEventListener('change', () => {
+        const constrained = isConstrainedConnection()
+
+        if (liteModeState.source === 'auto' && constrained !== liteModeState.enabled) {
+          setLiteMode(constrained, { source: 'auto' })
+        }
+      })
+    }
+
+    if (!toggle) {
+      log('Lite mode toggle not found - following the connection only', 'warn')
+      return
+    }
+
+    /**
+     * Reflects the current state on the toggle button
+     */
+    const updateToggle = () => {
+      toggle.setAttribute('aria-pressed', String(liteModeState.enabled))
+    }
+
+    toggle.addEventListener('click', () => {
+      setLiteMode(!liteModeState.enabled)
+      trackEvent('lite_mode_change', 'header', { enabled: liteModeState.enabled })
+    })
+
+    document.addEventListener('litemodechange', updateToggle)
+    updateToggle()
+
+    log(`Lite mode initialized (${liteModeState.enabled ? 'on' : 'off'})`)
+  } catch (error) {
+    log(`Lite mode initialization error: ${error.message}`, 'error')
+    console.error(error)
+  }
+}
@@ -0,0 +1,283 @@
+/**
+ * NGO Health Landing Page - Impact Metrics
+ * Health for All Nigeria
+ *
+ * The metrics feed behind every [data-metric] figure, with counters and provenance notes.
+ */
+
+import { CONFIG } from './config.js'
+import { log, safeQuerySelector, safeQuerySelectorAll } from './utils.js'
+import { formatNumber, getIntlLocale, t } from './i18n.js'
+import { shouldReduceMotion } from './motion.js'
+import { observeOnce } from './observers.js'
+
+// ============================================
+// Impact Metrics Feed
+// ============================================
+
+/**
+ * @typedef {Object} Metric
+ * @property {string} id - Identifier referenced by data-metric attributes and program impact entries
+ * @property {number} value - Numeric value
+ * @property {string} unit - 'count' or 'percent'
+ * @property {string} [suffix] - Appended after the number, e.g. '+' for "at least"
+ * @property {string} asOf - ISO date the figure was measured
+ * @property {string} source - Where the figure comes from and how it was calculated
+ * @property {Array<{asOf: string, value: number}>} [history] - Earlier values, oldest first
+ */
+
+/** @type {Promise<Map<string, Metric>>|null} */
+let metricsRequest = null
+
+/**
+ * Loads the metrics feed once and shares the result between sections
+ * A failed request is forgotten so the next call retries
+ * @returns {Promise<Map<string, Metric>>} Metrics keyed by id
+ */
+export const loadMetrics = () => {
+  if (!metricsRequest) {
+    metricsRequest = fetch(CONFIG.METRICS_FEED_URL, { headers: { Accept: 'application/json' } })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Metrics feed request failed with status ${response.status}`)
+        }
+        return response.json()
+      })
+      .then((feed) => {
+        if (!feed || feed.version !== CONFIG.METRICS_FEED_VERSION || !Array.isArray(feed.metrics)) {
+          throw new Error(`Unsupported metrics feed version: ${feed && feed.version}`)
+        }
+        return new Map(feed.metrics.map((metric) => [metric.id, metric]))
+      })
+      .catch((error) => {
+        metricsRequest = null
+        throw error
+      })
+  }
+
+  return metricsRequest
+}
+
+/**
+ * Formats a metric value for the current locale
+ * @param {number} value - Value to format
+ * @param {Object} options - Display options
+ * @param {string} options.unit - 'count' or 'percent'
+ * @param {string} options.suffix - Optional suffix such as '+'
+ * @returns {string} Formatted value, e.g. "50,000+" or "98%"
+ */
+export const formatMetric = (value, { unit = 'count', suffix = '' } = {}) => {
+  const formatted =
+    unit === 'percent'
+      ? new Intl.NumberFormat(getIntlLocale(), {
+          style: 'percent',
+          maximumFractionDigits: 1,
+        }).format(value / 100)
+      : formatNumber(value)
+
+  return `${formatted}${suffix || ''}`
+}
+
+/**
+ * Formats a metric's "as of" date for the current locale
+ * @param {string} isoDate - Date in YYYY-MM-DD form
+ * @returns {string} Localised date
+ */
+export const formatMetricDate = (isoDate) => {
+  const date = new Date(`${isoDate}T00:00:00Z`)
+
+  if (isNaN(date.getTime())) {
+    return isoDate
+  }
+
+  return new Intl.DateTimeFormat(getIntlLocale(), { dateStyle: 'long', timeZone: 'UTC' }).format(
+    date
+  )
+}
+
+/**
+ * Animates a metric counter from 0 to its data-target value with easing
+ * Uses the element's data-unit and data-suffix so percentages and "+" figures count correctly
+ * @param {HTMLElement} element - Element bound to a metric
+ * @param {number} duration - Animation duration in milliseconds
+ */
+const animateCounter = (element, duration = CONFIG.COUNTER_DURATION) => {
+  const target = Number(element.getAttribute('data-target'))
+
+  /**
+   * Writes a value using the element's unit and suffix
+   * @param {number} value - Value to display
+   */
+  const render = (value) => {
+    element.textContent = formatMetric(value, {
+      unit: element.getAttribute('data-unit'),
+      suffix: element.getAttribute('data-suffix'),
+    })
+  }
+
+  // Skip animation if reduced motion is preferred or lite mode is on
+  if (shouldReduceMotion()) {
+    render(target)
+    element.setAttribute('data-counted', '')
+    return
+  }
+
+  const startTime = performance.now()
+  const isWhole = Number.isInteger(target)
+
+  /**
+   * Easing function for smooth animation (easeOutCubic)
+   * @param {number} t - Progress (0 to 1)
+   * @returns {number} Eased value
+   */
+  const easeOutCubic = (t) => 1 - Math.pow(1 - t, 3)
+
+  /**
+   * Updates counter value using requestAnimationFrame
+   * @param {number} currentTime - Current timestamp
+   */
+  const updateCounter = (currentTime) => {
+    const progress = Math.min((currentTime - startTime) / duration, 1)
+    const currentValue = target * easeOutCubic(progress)
+
+    render(isWhole ? Math.floor(currentValue) : Math.round(currentValue * 10) / 10)
+
+    if (progress < 1) {
+      requestAnimationFrame(updateCounter)
+    } else {
+      // Re-read the target in case the feed updated it mid-animation
+      render(Number(element.getAttribute('data-target')))
+      element.setAttribute('data-counted', '')
+      log(`Counter animation completed: ${target}`)
+    }
+  }
+
+  requestAnimationFrame(updateCounter)
+}
+
+/**
+ * Binds metric values, "as of" lines and footnote references to [data-metric] elements,
+ * then rebuilds the "About these figures" notes. Safe to call repeatedly (e.g. after
+ * new program cards render or the language changes).
+ * @param {Map<string, Metric>} metrics - Metrics keyed by id
+ * @param {HTMLElement|Document} root - Element to search for [data-metric] elements
+ */
+const applyMetrics = (metrics, root = document) => {
+  safeQuerySelectorAll('[data-metric]', root).forEach((element) => {
+    const metric = metrics.get(element.getAttribute('data-metric'))
+
+    if (!metric) {
+      log(`Unknown metric: ${element.getAttribute('data-metric')}`, 'warn')
+      return
+    }
+
+    const date = formatMetricDate(metric.asOf)
+    const isNew = !element.hasAttribute('data-target')
+
+    element.setAttribute('data-target', String(metric.value))
+    element.setAttribute('data-unit', metric.unit || 'count')
+    element.setAttribute('data-suffix', metric.suffix || '')
+    element.title = t('metrics.provenance', { date, source: metric.source })
+
+    let asOf = safeQuerySelector('.metric-as-of', element.parentElement)
+    if (!asOf) {
+      asOf = document.createElement('p')
+      asOf.className = 'metric-as-of'
+      element.parentElement.appendChild(asOf)
+    }
+    asOf.setAttribute('data-metric-note-key', `${metric.source}|${metric.asOf}`)
+    asOf.replaceChildren(t('metrics.asOf', { date }))
+
+    if (element.hasAttribute('data-counted')) {
+      element.textContent = formatMetric(metric.value, metric)
+    } else if (isNew) {
+      observeOnce([element], animateCounter, { threshold: 0.5 })
+    }
+  })
+
+  renderMetricNotes(metrics)
+}
+
+/**
+ * Rebuilds the numbered source notes and links each "as of" line to its note
+ * Figures sharing a source and date share one note
+ * @param {Map<string, Metric>} metrics - Metrics keyed by id
+ */
+const renderMetricNotes = (metrics) => {
+  const notesSection = safeQuerySelector('[data-metric-notes]')
+  const notesList = safeQuerySelector('[data-metric-notes-list]')
+
+  if (!notesSection || !notesList) {
+    return
+  }
+
+  const metricsByNote = new Map(
+    Array.from(metrics.values()).map((metric) => [`${metric.source}|${metric.asOf}`, metric])
+  )
+  const noteNumbers = new Map()
+  const items = []
+
+  safeQuerySelectorAll('.metric-as-of[data-metric-note-key]').forEach((asOf) => {
+    const key = asOf.getAttribute('data-metric-note-key')
+    const metric = metricsByNote.get(key)
+
+    if (!noteNumbers.has(key)) {
+      noteNumbers.set(key, noteNumbers.size + 1)
+
+      const item = document.createElement('li')
+      item.id = `metric-note-${noteNumbers.get(key)}`
+      item.textContent = t('metrics.note', {
+        source: metric.source,
+        date: formatMetricDate(metric.asOf),
+      })
+      items.push(item)
+    }
+
+    const number = noteNumbers.get(key)
+    const reference = document.createElement('sup')
+    const link = document.createElement('a')
+    reference.className = 'metric-ref'
+    link.href = `#metric-note-${number}`
+    link.textContent = String(number)
+    link.setAttribute('aria-label', t('metrics.noteLink', { number }))
+    reference.appendChild(link)
+
+    const existingReference = safeQuerySelector('.metric-ref', asOf)
+    if (existingReference) {
+      existingReference.replaceWith(reference)
+    } else {
+      asOf.append(' ', reference)
+    }
+  })
+
+  notesList.replaceChildren(...items)
+  notesSection.hidden = items.length === 0
+}
+
+/**
+ * Loads the metrics feed and binds it to every [data-metric] element on the page
+ * Elements keep their placeholder if the feed cannot be loaded
+ * @param {HTMLElement|Document} root - Element containing the metric elements
+ * @returns {Promise<void>} Resolves once metrics are applied (or the failure logged)
+ */
+export const refreshMetrics = (root = document) =>
+  loadMetrics()
+    .then((metrics) => applyMetrics(metrics, root))
+    .catch((error) => {
+      log(`Impact metrics unavailable: ${error.message}`, 'error')
+    })
+
+/**
+ * Initializes impact metrics for statically rendered counters
+ * Program cards bind their own metrics once rendered
+ */
+export const initImpactMetrics = () => {
+  refreshMetrics()
+
+  // Re-format numbers, dates and notes when the language changes
+  document.addEventListener('localechange', () => {
+    if (metricsRequest) {
+      refreshMetrics()
+    }
+  })
+}
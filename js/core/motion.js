@@ -0,0 +1,23 @@
+/**
+ * NGO Health Landing Page - Motion
+ * Health for All Nigeria
+ *
+ * The single place sections ask whether decorative motion should run.
+ */
+
+import { isLiteMode } from './lite-mode.js'
+
+/**
+ * Whether the visitor has asked their device to minimise motion
+ * @returns {boolean} True if prefers-reduced-motion is set
+ */
+export const prefersReducedMotion = () =>
+  window.matchMedia('(prefers-reduced-motion: reduce)').matches
+
+/**
+ * Whether decorative motion (fades, staggered cards, counters, parallax) should be skipped
+ * Lite mode is treated like prefers-reduced-motion; check again when the effect runs, since
+ * lite mode can change during the visit
+ * @returns {boolean} True if animations should be skipped
+ */
+export const shouldReduceMotion = () => prefersReducedMotion() || isLiteMode()
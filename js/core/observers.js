@@ -0,0 +1,46 @@
+/**
+ * NGO Health Landing Page - Observers
+ * Health for All Nigeria
+ *
+ * Shared Intersection Observer helper for reveal animations, lazy loading and view tracking.
+ */
+
+import { FEATURES } from './config.js'
+
+/**
+ * Calls onEnter once for each element, the first time it scrolls into view
+ * Without Intersection Observer support onEnter runs straight away, so content that waits
+ * to be revealed or loaded is never left hidden
+ * @param {Iterable<Element>} elements - Elements to watch
+ * @param {function(Element): void} onEnter - Called with each element as it becomes visible
+ * @param {Object} options - IntersectionObserver options (root, rootMargin, threshold)
+ * @param {AbortSignal} options.signal - Stops observing when aborted (e.g. on section unmount)
+ * @returns {Function} Stops observing the remaining elements
+ */
+export const observeOnce = (elements, onEnter, { signal, ...observerOptions } = {}) => {
+  const targets = Array.from(elements)
+
+  if (!FEATURES.intersectionObserver) {
+    targets.forEach((element) => onEnter(element))
+    return () => {}
+  }
+
+  const observer = new IntersectionObserver((entries) => {
+    entries.forEach((entry) => {
+      if (entry.isIntersecting) {
+        observer.unobserve(entry.target)
+        onEnter(entry.target)
+      }
+    })
+  }, observerOptions)
+
+  targets.forEach((element) => observer.observe(element))
+
+  const disconnect = () => observer.disconnect()
+
+  if (signal) {
+    signal.addEventListener('abort', disconnect, { once: true })
+  }
+
+  return disconnect
+}
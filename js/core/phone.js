@@ -0,0 +1,209 @@
+/**
+ * NGO Health Landing Page - Phone Numbers
+ * Health for All Nigeria
+ *
+ * Nigerian mobile numbers: parsing, E.164 normalisation, network detection and display formatting.
+ */
+
+// ============================================
+// Nigerian Mobile Numbers
+// ============================================
+
+/** Display names of the mobile networks, keyed by the id reported with submissions */
+export const NIGERIAN_NETWORKS = Object.freeze({
+  mtn: 'MTN',
+  airtel: 'Airtel',
+  glo: 'Glo',
+  '9mobile': '9mobile',
+})
+
+// Leading digits of the national number (without the trunk 0); the longest match wins.
+// Numbers ported to another network keep their prefix, so the network is a best guess.
+const NETWORK_PREFIXES = Object.freeze({
+  mtn: [
+    '703',
+    '704',
+    '706',
+    '7025',
+    '7026',
+    '803',
+    '806',
+    '810',
+    '813',
+    '814',
+    '816',
+    '903',
+    '906',
+    '913',
+    '916',
+  ],
+  airtel: ['701', '708', '802', '808', '812', '901', '902', '904', '907', '911', '912'],
+  glo: ['705', '805', '807', '811', '815', '905', '915'],
+  '9mobile': ['809', '817', '818', '908', '909'],
+})
+
+const NATIONAL_NUMBER_LENGTH = 10
+const COUNTRY_CODE = '234'
+
+// Digits plus the separators people type: spaces, dots, dashes, brackets and a leading +
+const PHONE_CHARACTERS = /^\+?[\d\s().-]*$/
+
+/**
+ * Identifies the mobile network from the leading digits of a national number
+ * @param {string} nationalNumber - Number without country code or trunk 0, e.g. 8031234567
+ * @returns {string|null} Network id (a key of NIGERIAN_NETWORKS), or null if unknown
+ */
+export const getNigerianNetwork = (nationalNumber) => {
+  let match = null
+
+  Object.entries(NETWORK_PREFIXES).forEach(([network, prefixes]) => {
+    prefixes.forEach((prefix) => {
+      if (nationalNumber.startsWith(prefix) && (!match || prefix.length > match.prefix.length)) {
+        match = { network, prefix }
+      }
+    })
+  })
+
+  return match ? match.network : null
+}
+
+/**
+ * Splits typed digits into the international (+234 / 00234 / 234) or local form
+ * @param {string} value - Phone number as typed
+ * @returns {{international: boolean, digits: string}} Digits after the country code, if any
+ */
+const splitCountryCode = (value) => {
+  const trimmed = String(value || '').trim()
+  const digits = trimmed.replace(/\D/g, '')
+
+  if (trimmed.startsWith('+')) {
+    return { international: true, digits }
+  }
+
+  if (digits.startsWith(`00${COUNTRY_CODE}`)) {
+    return { international: true, digits: digits.slice(2) }
+  }
+
+  // 234 without the plus: only when the number is long enough that it cannot be local
+  if (digits.startsWith(COUNTRY_CODE) && digits.length > NATIONAL_NUMBER_LENGTH + 1) {
+    return { international: true, digits }
+  }
+
+  return { international: false, digits }
+}
+
+/**
+ * Parses a Nigerian mobile number typed in any common form
+ * Accepts 0803 123 4567, 803 123 4567, +234 803 123 4567, +234 (0) 803-123-4567, 2348031234567
+ * and 002348031234567
+ * @param {string} value - Phone number as typed
+ * @returns {{e164: string|null, network: string|null, error: string|null}} Normalised number
+ *   (e.g. +2348031234567) and network id, or an error code: empty, characters, country,
+ *   length or prefix
+ */
+export const parseNigerianPhone = (value) => {
+  const input = String(value || '').trim()
+  const invalid = (error) => ({ e164: null, network: null, error })
+
+  if (!input) {
+    return invalid('empty')
+  }
+
+  if (!PHONE_CHARACTERS.test(input)) {
+    return invalid('characters')
+  }
+
+  const { international, digits } = splitCountryCode(input)
+
+  if (international && !digits.startsWith(COUNTRY_CODE)) {
+    return invalid('country')
+  }
+
+  let nationalNumber = international ? digits.slice(COUNTRY_CODE.length) : digits
+
+  // Drop the trunk 0, including the "+234 0803..." form
+  if (nationalNumber.startsWith('0')) {
+    nationalNumber = nationalNumber.slice(1)
+  }
+
+  if (nationalNumber.length !== NATIONAL_NUMBER_LENGTH) {
+    return invalid('length')
+  }
+
+  // Mobile ranges: 070, 080, 081, 090 and 091
+  if (!/^[789][01]/.test(nationalNumber)) {
+    return invalid('prefix')
+  }
+
+  return {
+    e164: `+${COUNTRY_CODE}${nationalNumber}`,
+    network: getNigerianNetwork(nationalNumber),
+    error: null,
+  }
+}
+
+/**
+ * Converts a Nigerian mobile number to E.164 format
+ * @param {string} phone - Phone number as typed
+ * @returns {string|null} Number such as +2348031234567, or null if it is not a valid Nigerian number
+ */
+export const normalizeNigerianPhone = (phone) => parseNigerianPhone(phone).e164
+
+/**
+ * Validates phone number (Nigerian format)
+ * @param {string} phone - Phone number to validate
+ * @returns {boolean} True if valid Nigerian phone format
+ */
+export const isValidNigerianPhone = (phone) => normalizeNigerianPhone(phone) !== null
+
+/**
+ * Groups a full or partly typed number for display, keeping the form the visitor chose:
+ * 0803 123 4567 locally, +234 803 123 4567 internationally
+ * Input with other characters, or another country code, is returned unchanged
+ * @param {string} value - Phone number as typed
+ * @returns {string} Formatted number
+ */
+export const formatNigerianPhone = (value) => {
+  const input = String(value || '')
+
+  if (!PHONE_CHARACTERS.test(input.trim())) {
+    return input
+  }
+
+  const { international, digits } = splitCountryCode(input)
+
+  /**
+   * Joins digits in groups of the given sizes; anything left over stays on the last group
+   * @param {string} text - Digits to group
+   * @param {Array<number>} sizes - Group sizes
+   * @returns {string} Grouped digits
+   */
+  const group = (text, sizes) => {
+    const groups = []
+    let rest = text
+
+    sizes.forEach((size, index) => {
+      const isLast = index === sizes.length - 1
+      const part = isLast ? rest : rest.slice(0, size)
+      rest = isLast ? '' : rest.slice(size)
+
+      if (part) {
+        groups.push(part)
+      }
+    })
+
+    return groups.join(' ')
+  }
+
+  if (international) {
+    if (!digits.startsWith(COUNTRY_CODE)) {
+      return input.trim()
+    }
+
+    const nationalNumber = digits.slice(COUNTRY_CODE.length)
+    const sizes = nationalNumber.startsWith('0') ? [4, 3, 4] : [3, 3, 4]
+    return [`+${COUNTRY_CODE}`, group(nationalNumber, sizes)].filter(Boolean).join(' ')
+  }
+
+  return group(digits, digits.startsWith('0') ? [4, 3, 4] : [3, 3, 4])
+}
@@ -0,0 +1,122 @@
+/**
+ * NGO Health Landing Page - Programs Feed
+ * Health for All Nigeria
+ *
+ * The programs data feed and program categories, shared by several sections.
+ */
+
+import { CONFIG } from './config.js'
+import { log, normalizeSearchText } from './utils.js'
+
+// ============================================
+// Programs Data Feed
+// ============================================
+
+/**
+ * Program categories, in the order of the programs filter bar
+ * Labels come from the 'programs.filter.<id>' messages; events use the same ids
+ */
+export const PROGRAM_CATEGORIES = Object.freeze([
+  'maternal',
+  'child',
+  'prevention',
+  'nutrition',
+  'mental-health',
+  'community-health',
+])
+
+/** @type {Promise<Array<Object>>|null} */
+let programsRequest = null
+
+/**
+ * Fetches and validates the versioned programs data feed
+ * The feed is requested once and shared between sections; a failed request is forgotten
+ * so the next call retries
+ * @returns {Promise<Array<Object>>} Program entries from the feed
+ * @throws {Error} If the request fails or the feed version is unsupported
+ */
+export const fetchProgramsFeed = () => {
+  if (!programsRequest) {
+    programsRequest = fetch(CONFIG.PROGRAMS_FEED_URL, { headers: { Accept: 'application/json' } })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Programs feed request failed with status ${response.status}`)
+        }
+        return response.json()
+      })
+      .then((feed) => {
+        if (
+          !feed ||
+          feed.version !== CONFIG.PROGRAMS_FEED_VERSION ||
+          !Array.isArray(feed.programs)
+        ) {
+          throw new Error(`Unsupported programs feed version: ${feed && feed.version}`)
+        }
+        return feed.programs
+      })
+      .catch((error) => {
+        programsRequest = null
+        throw error
+      })
+  }
+
+  return programsRequest
+}
+
+/**
+ * Checks whether a program entry is complete and currently running
+ * Programs without a start date, or whose end date has passed, are retired
+ * @param {Object} program - Program entry from the feed
+ * @param {Date} now - Reference date (default: current date)
+ * @returns {boolean} True if the program should be displayed
+ */
+export const isActiveProgram = (program, now = new Date()) => {
+  if (
+    !program ||
+    !program.id ||
+    !program.title ||
+    !Array.isArray(program.categories) ||
+    program.categories.length === 0
+  ) {
+    log(`Skipping malformed program entry: ${JSON.stringify(program)}`, 'warn')
+    return false
+  }
+
+  const startDate = program.startDate ? new Date(program.startDate) : null
+  const endDate = program.endDate ? new Date(program.endDate) : null
+
+  if (startDate && startDate > now) {
+    return false
+  }
+
+  return !endDate || endDate >= now
+}
+
+/**
+ * Checks a program against the programs section filters
+ * Categories match if the program has any selected category, tags likewise; the search,
+ * categories and tags must all match. Search terms are matched against title and description.
+ * @param {Object} program - Program entry from the feed
+ * @param {Object} filters - Active filters
+ * @param {Set<string>} filters.categories - Selected categories (empty for any)
+ * @param {Set<string>} filters.tags - Selected tags (empty for any)
+ * @param {string} filters.query - Free-text search
+ * @returns {boolean} True if the program should be shown
+ */
+export const matchesProgramFilters = (program, { categories, tags, query }) => {
+  const programCategories = program.categories || []
+  const programTags = program.tags || []
+
+  if (categories.size > 0 && !programCategories.some((category) => categories.has(category))) {
+    return false
+  }
+
+  if (tags.size > 0 && !programTags.some((tag) => tags.has(tag))) {
+    return false
+  }
+
+  const terms = normalizeSearchText(query).split(/\s+/).filter(Boolean)
+  const haystack = normalizeSearchText(`${program.title} ${program.description || ''}`)
+
+  return terms.every((term) => haystack.includes(term))
+}
@@ -0,0 +1,113 @@
+/**
+ * NGO Health Landing Page - Section Registry
+ * Health for All Nigeria
+ *
+ * Page sections are ES modules that are only downloaded when their markup is on the page.
+ * Each one exports mount(context) and, if it needs more clean-up than its abort signal
+ * gives, unmount(). Register new sections in js/main.js.
+ */
+
+import { log, safeQuerySelector } from './utils.js'
+
+/**
+ * @typedef {Object} SectionContext
+ * @property {HTMLElement} root - The section's root element (first match for its selector)
+ * @property {AbortSignal} signal - Aborted on unmount; pass it to addEventListener and
+ *   observeOnce so the section's listeners and observers are removed with it
+ */
+
+/**
+ * @typedef {Object} SectionModule
+ * @property {function(SectionContext): (void|Promise<void>)} mount - Sets the section up
+ * @property {function(): void} [unmount] - Extra clean-up, e.g. clearing timers
+ */
+
+/**
+ * @typedef {Object} SectionDefinition
+ * @property {string} selector - Root element; the module is only loaded when it exists
+ * @property {function(): Promise<SectionModule>} load - Dynamic import() of the module
+ */
+
+/** @type {Map<string, SectionDefinition>} */
+const sectionRegistry = new Map()
+
+/** @type {Map<string, {module: SectionModule|null, controller: AbortController}>} */
+const mountedSections = new Map()
+
+/**
+ * Registers a section, to be mounted by mountSections
+ * @param {string} name - Section name used in logs (e.g. 'programs')
+ * @param {SectionDefinition} definition - Root selector and module loader
+ */
+export const registerSection = (name, definition) => {
+  sectionRegistry.set(name, definition)
+}
+
+/**
+ * Loads and mounts one registered section, if its root element is on the page
+ * Errors are logged here, so one broken section never stops the others
+ * @param {string} name - Registered section name
+ * @returns {Promise<boolean>} True if the section was mounted
+ */
+export const mountSection = async (name) => {
+  const definition = sectionRegistry.get(name)
+
+  if (!definition || mountedSections.has(name)) {
+    return false
+  }
+
+  const root = safeQuerySelector(definition.selector)
+
+  if (!root) {
+    log(`${name} section not on this page - module not loaded`)
+    return false
+  }
+
+  const entry = { module: null, controller: new AbortController() }
+  mountedSections.set(name, entry)
+
+  try {
+    entry.module = await definition.load()
+    await entry.module.mount({ root, signal: entry.controller.signal })
+    log(`${name} section mounted`)
+    return true
+  } catch (error) {
+    log(`${name} section initialization error: ${error.message}`, 'error')
+    console.error(error)
+    unmountSection(name)
+    return false
+  }
+}
+
+/**
+ * Unmounts a section: aborts its signal, then calls its unmount hook
+ * @param {string} name - Registered section name
+ */
+export const unmountSection = (name) => {
+  const entry = mountedSections.get(name)
+
+  if (!entry) {
+    return
+  }
+
+  mountedSections.delete(name)
+  entry.controller.abort()
+
+  try {
+    if (entry.module && entry.module.unmount) {
+      entry.module.unmount()
+    }
+  } catch (error) {
+    log(`${name} section unmount error: ${error.message}`, 'error')
+    console.error(error)
+  }
+}
+
+/**
+ * Mounts every registered section whose root element is on the page
+ * Sections load in parallel; each one's errors are contained in mountSection
+ * @returns {Promise<void>} Resolves once every section has settled
+ */
+export const mountSections = async () => {
+  await Promise.all(Array.from(sectionRegistry.keys(), (name) => mountSection(name)))
+}
@@ -0,0 +1,102 @@
+/**
+ * NGO Health Landing Page - Service Worker
+ * Health for All Nigeria
+ *
+ * Service worker registration and the update prompt.
+ */
+
+import { CONFIG, FEATURES } from './config.js'
+import { log, safeQuerySelector } from './utils.js'
+
+// ============================================
+// Service Worker & Update Prompt
+// ============================================
+
+/**
+ * Shows the "new version available" prompt for a waiting service worker
+ * Reloading hands control to the new worker; dismissing keeps the current version
+ * @param {ServiceWorker} worker - Installed worker waiting to activate
+ */
+const showUpdatePrompt = (worker) => {
+  const prompt = safeQuerySelector('[data-update-prompt]')
+
+  if (!prompt) {
+    return
+  }
+
+  const reloadButton = safeQuerySelector('[data-update-action="reload"]', prompt)
+  const dismissButton = safeQuerySelector('[data-update-action="dismiss"]', prompt)
+
+  reloadButton.onclick = () => {
+    reloadButton.disabled = true
+    worker.postMessage({ type: 'SKIP_WAITING' })
+  }
+
+  dismissButton.onclick = () => {
+    prompt.hidden = true
+  }
+
+  prompt.hidden = false
+  log('New version available - showing update prompt')
+}
+
+/**
+ * Registers the service worker and watches for new deploys
+ * The first install takes effect silently; later versions wait for the user via the prompt
+ */
+export const initServiceWorker = async () => {
+  if (!FEATURES.serviceWorker) {
+    log('Service workers not supported - offline mode unavailable')
+    return
+  }
+
+  // clients.claim() also fires controllerchange on the very first install; only reload on updates
+  const hadController = Boolean(navigator.serviceWorker.controller)
+  let isReloading = false
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!hadController || isReloading) {
+      return
+    }
+    isReloading = true
+    window.location.reload()
+  })
+
+  try {
+    const registration = await navigator.serviceWorker.register(CONFIG.SERVICE_WORKER_URL)
+
+    /**
+     * Prompts once a worker has installed alongside an already-controlling one
+     * @param {ServiceWorker|null} worker - Candidate waiting worker
+     */
+    const promptWhenInstalled = (worker) => {
+      if (!worker || !navigator.serviceWorker.controller) {
+        return
+      }
+
+      if (worker.state === 'installed') {
+        showUpdatePrompt(worker)
+        return
+      }
+
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed') {
+          showUpdatePrompt(worker)
+        }
+      })
+    }
+
+    promptWhenInstalled(registration.waiting)
+    registration.addEventListener('updatefound', () => promptWhenInstalled(registration.installing))
+
+    setInterval(() => {
+      registration.update().catch((error) => {
+        log(`Service worker update check failed: ${error.message}`, 'warn')
+      })
+    }, CONFIG.SERVICE_WORKER_UPDATE_INTERVAL)
+
+    log(`Service worker registered (scope: ${registration.scope})`)
+  } catch (error) {
+    log(`Service worker registration failed: ${error.message}`, 'error')
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * NGO Health Landing Page - Smooth Scroll
+ * Health for All Nigeria
+ *
+ * Anchor-link scrolling with the sticky header offset, and restoring the hash position
+ * after content renders.
+ */
+
+import { CONFIG, FEATURES } from './config.js'
+import { log, safeQuerySelector, safeQuerySelectorAll, updateUrlState } from './utils.js'
+
+// ============================================
+// Smooth Scroll to Anchor Links
+// ============================================
+
+/**
+ * Scrolls to an element, leaving CONFIG.SCROLL_OFFSET pixels above it
+ * @param {HTMLElement} target - Element to scroll to
+ * @param {Object} options - Scroll options
+ * @param {boolean} options.smooth - Animate the scroll when supported (default: true)
+ * @param {boolean} options.focus - Move keyboard focus to the target (default: true)
+ */
+export const scrollToElement = (target, { smooth = true, focus = true } = {}) => {
+  // Calculate scroll position with offset
+  const targetPosition = target.getBoundingClientRect().top + window.pageYOffset
+  const offsetPosition = targetPosition - CONFIG.SCROLL_OFFSET
+
+  // Use native smooth scroll if supported
+  if (smooth && FEATURES.smoothScroll) {
+    window.scrollTo({
+      top: offsetPosition,
+      behavior: 'smooth',
+    })
+  } else {
+    // Fallback for older browsers
+    window.scrollTo(0, offsetPosition)
+  }
+
+  // Update focus for accessibility without a second jump
+  if (focus) {
+    target.setAttribute('tabindex', '-1')
+    target.focus({ preventScroll: true })
+  }
+}
+
+/**
+ * Re-applies the offset for a hash present when the page loads
+ * Browsers jump to the raw anchor position before content (e.g. program cards) has rendered
+ * @param {string} prefix - Only restore hashes starting with this prefix (default: any)
+ */
+export const restoreHashPosition = (prefix = '#') => {
+  const { hash } = window.location
+
+  // Route hashes such as #news/<slug> are not element ids; their section restores them
+  if (!hash || hash === '#main' || !hash.startsWith(prefix) || hash.includes('/')) {
+    return
+  }
+
+  const target = safeQuerySelector(hash)
+
+  if (target) {
+    scrollToElement(target, { smooth: false, focus: false })
+  }
+}
+
+/**
+ * Initializes smooth scrolling for anchor links
+ * Provides fallback for browsers without native support
+ */
+export const initSmoothScroll = () => {
+  const anchorLinks = safeQuerySelectorAll('a[href^="#"]')
+
+  if (anchorLinks.length === 0) {
+    log('No anchor links found - skipping smooth scroll initialization', 'warn')
+    return
+  }
+
+  anchorLinks.forEach((anchor) => {
+    anchor.addEventListener('click', function (event) {
+      const href = this.getAttribute('href')
+
+      // Skip empty anchors and main content skip link
+      if (!href || href === '#' || href === '#main') {
+        return
+      }
+
+      const target = safeQuerySelector(href)
+
+      if (!target) {
+        log(`Anchor target not found: ${href}`, 'warn')
+        return
+      }
+
+      event.preventDefault()
+      scrollToElement(target)
+
+      // Update URL without triggering scroll (query state such as filters is kept)
+      updateUrlState({}, { hash: href })
+
+      log(`Scrolled to anchor: ${href}`)
+    })
+  })
+
+  window.addEventListener('load', () => restoreHashPosition())
+
+  log(`Smooth scroll initialized for ${anchorLinks.length} anchor links`)
+}
@@ -0,0 +1,219 @@
+/**
+ * NGO Health Landing Page - Spam Protection
+ * Health for All Nigeria
+ *
+ * Bot defences for public forms without a third-party CAPTCHA: a honeypot field, a minimum
+ * time to fill the form, a per-device rate limit and an optional proof-of-work token.
+ */
+
+import { CONFIG } from './config.js'
+import { log, safeQuerySelector, safeQuerySelectorAll } from './utils.js'
+
+// ============================================
+// Spam Checks
+// ============================================
+
+const PROOF_OF_WORK_VERSION = 'v1'
+
+/** Message keys for submissions stopped by the checks; a filled honeypot should look like success */
+export const SPAM_CHECK_MESSAGES = Object.freeze({
+  'too-fast': 'form.tooFast',
+  'rate-limited': 'form.rateLimited',
+})
+
+/** @type {WeakMap<HTMLFormElement, {startedAt: number|null, proofOfWork: Promise<string|null>|null}>} */
+const protectedForms = new WeakMap()
+
+/**
+ * Reads recent submission times, keyed by form name
+ * @returns {Object<string, Array<number>>} Timestamps per form (empty if storage is unavailable)
+ */
+const readSubmissionTimes = () => {
+  try {
+    const times = JSON.parse(localStorage.getItem(CONFIG.FORM_RATE_LIMIT_STORAGE_KEY))
+    return times && typeof times === 'object' ? times : {}
+  } catch (error) {
+    log(`Unable to read form submission times: ${error.message}`, 'warn')
+    return {}
+  }
+}
+
+/**
+ * Returns the times a form was sent within the rate-limit window
+ * @param {string} formName - Form name
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<number>} Timestamps, oldest first
+ */
+const getRecentSubmissions = (formName, now = Date.now()) => {
+  const times = readSubmissionTimes()[formName]
+  return Array.isArray(times)
+    ? times.filter((time) => now - time < CONFIG.FORM_RATE_LIMIT_WINDOW)
+    : []
+}
+
+/**
+ * Records a sent (or queued) submission for the rate limit, and restarts the form's fill-time
+ * clock so the next submission must also take FORM_MIN_FILL_TIME
+ * @param {string} formName - Form name
+ * @param {HTMLFormElement} [form] - Form that was sent
+ */
+export const recordFormSubmission = (formName, form) => {
+  const now = Date.now()
+  const times = readSubmissionTimes()
+  const state = form && protectedForms.get(form)
+  times[formName] = [...getRecentSubmissions(formName, now), now]
+
+  if (state) {
+    state.startedAt = now
+  }
+
+  try {
+    localStorage.setItem(CONFIG.FORM_RATE_LIMIT_STORAGE_KEY, JSON.stringify(times))
+  } catch (error) {
+    log(`Unable to save form submission times: ${error.message}`, 'warn')
+  }
+}
+
+/**
+ * Computes a proof-of-work token in a Web Worker, keeping the page responsive
+ * The token is "v1:<form>:<issued ms>:<salt>:<nonce>"; its SHA-256 hash starts with
+ * CONFIG.PROOF_OF_WORK_DIFFICULTY zero bits, which the server checks (see scripts/form-verifier.js)
+ * Also used to re-issue the token of a submission queued offline, which may have expired
+ * @param {string} formName - Form name, bound into the token so it cannot be reused elsewhere
+ * @returns {Promise<string|null>} Token, or null without Worker / Web Crypto support or on timeout
+ */
+export const computeProofOfWork = (formName) => {
+  if (typeof Worker === 'undefined' || !window.crypto || !window.crypto.subtle) {
+    log('Proof of work unavailable - Web Workers or Web Crypto not supported', 'warn')
+    return Promise.resolve(null)
+  }
+
+  const salt = Array.from(window.crypto.getRandomValues(new Uint8Array(8)), (byte) =>
+    byte.toString(16).padStart(2, '0')
+  ).join('')
+  const challenge = `${PROOF_OF_WORK_VERSION}:${formName}:${Date.now()}:${salt}`
+
+  return new Promise((resolve) => {
+    let worker = null
+    let timer = null
+
+    /**
+     * Stops the worker and settles the promise
+     * @param {string|null} token - Finished token, or null on failure
+     */
+    const finish = (token) => {
+      clearTimeout(timer)
+      worker.terminate()
+      resolve(token)
+    }
+
+    try {
+      worker = new Worker(CONFIG.PROOF_OF_WORK_WORKER_URL)
+    } catch (error) {
+      log(`Unable to start proof-of-work worker: ${error.message}`, 'warn')
+      resolve(null)
+      return
+    }
+
+    timer = setTimeout(() => {
+      log('Proof of work timed out - sending without a token', 'warn')
+      finish(null)
+    }, CONFIG.PROOF_OF_WORK_TIMEOUT)
+
+    worker.addEventListener('message', (event) => {
+      const { nonce } = event.data || {}
+      finish(Number.isInteger(nonce) ? `${challenge}:${nonce}` : null)
+    })
+
+    worker.addEventListener('error', (event) => {
+      log(`Proof-of-work worker failed: ${event.message}`, 'warn')
+      finish(null)
+    })
+
+    worker.postMessage({ challenge, difficulty: CONFIG.PROOF_OF_WORK_DIFFICULTY })
+  })
+}
+
+/**
+ * Runs the checks that need no server before a form is sent
+ * @param {HTMLFormElement} form - Form about to be sent
+ * @param {string} formName - Form name
+ * @returns {string|null} Why the submission looks automated ('honeypot', 'too-fast' or
+ *   'rate-limited'), or null if it may be sent
+ */
+export const checkFormForSpam = (form, formName) => {
+  const state = protectedForms.get(form)
+
+  if (!state) {
+    return null
+  }
+
+  const honeypot = safeQuerySelector('[data-honeypot]', form)
+
+  if (honeypot && honeypot.value) {
+    return 'honeypot'
+  }
+
+  // A form sent without ever being focused was not filled in by a person
+  if (state.startedAt === null || Date.now() - state.startedAt < CONFIG.FORM_MIN_FILL_TIME) {
+    return 'too-fast'
+  }
+
+  if (getRecentSubmissions(formName).length >= CONFIG.FORM_RATE_LIMIT) {
+    return 'rate-limited'
+  }
+
+  return null
+}
+
+/**
+ * Returns a fresh proof-of-work token for forms marked with data-proof-of-work
+ * Each token is used once; the next submission computes a new one
+ * @param {HTMLFormElement} form - Form about to be sent
+ * @param {string} formName - Form name
+ * @returns {Promise<string|null>} Token, or null if the form does not use proof of work
+ */
+export const getProofOfWork = async (form, formName) => {
+  const state = protectedForms.get(form)
+
+  if (!state || !form.hasAttribute('data-proof-of-work')) {
+    return null
+  }
+
+  const token = await (state.proofOfWork || computeProofOfWork(formName))
+  state.proofOfWork = null
+  return token
+}
+
+/**
+ * Initializes spam protection for forms marked with data-spam-check
+ * The fill-time clock starts when the visitor first focuses the form, not when the page loads.
+ * Proof of work starts then too, so it is usually ready by the time they send it, and visitors
+ * who never use the form spend no battery on it
+ */
+export const initSpamProtection = () => {
+  const forms = safeQuerySelectorAll('form[data-spam-check]')
+
+  if (forms.length === 0) {
+    return
+  }
+
+  forms.forEach((form) => {
+    const state = { startedAt: null, proofOfWork: null }
+    const formName = form.getAttribute('data-form-name') || form.id
+    const usesProofOfWork = form.hasAttribute('data-proof-of-work')
+    protectedForms.set(form, state)
+
+    form.addEventListener('focusin', () => {
+      if (state.startedAt === null) {
+        state.startedAt = Date.now()
+      }
+
+      if (usesProofOfWork && !state.proofOfWork) {
+        state.proofOfWork = computeProofOfWork(formName)
+      }
+    })
+  })
+
+  log(`Spam protection initialized for ${forms.length} forms`)
+}
@@ -0,0 +1,151 @@
+/**
+ * NGO Health Landing Page - Themes
+ * Health for All Nigeria
+ *
+ * Light, dark and high-contrast themes, following the device unless the visitor picks one.
+ */
+
+import { CONFIG, FEATURES } from './config.js'
+import { log, safeQuerySelector } from './utils.js'
+import { trackEvent } from './analytics.js'
+
+// ============================================
+// Themes (Light, Dark, High Contrast)
+// ============================================
+
+/** Browser UI colour (meta theme-color) for each theme */
+const THEME_COLORS = Object.freeze({
+  light: '#008751',
+  dark: '#121212',
+  'high-contrast': '#00573a',
+})
+
+const themeState = {
+  preference: 'system', // 'system' follows the device; otherwise one of CONFIG.THEMES
+  theme: 'light',
+}
+
+/**
+ * Reads the visitor's stored theme choice
+ * @returns {string} A theme from CONFIG.THEMES, or 'system' to follow the device
+ */
+const readThemePreference = () => {
+  try {
+    const stored = localStorage.getItem(CONFIG.THEME_STORAGE_KEY)
+    return CONFIG.THEMES.includes(stored) ? stored : 'system'
+  } catch (error) {
+    log(`Unable to read theme preference: ${error.message}`, 'warn')
+    return 'system'
+  }
+}
+
+/**
+ * Picks the theme matching the device settings
+ * An increased-contrast request wins over a dark colour scheme
+ * Keep in step with the inline script in the <head> of index.html, which applies the theme
+ * before first paint
+ * @returns {string} 'high-contrast', 'dark' or 'light'
+ */
+const getSystemTheme = () => {
+  if (window.matchMedia('(prefers-contrast: more)').matches) {
+    return 'high-contrast'
+  }
+
+  return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light'
+}
+
+/**
+ * Applies a theme preference
+ * Sets data-theme on <html> (which switches the CSS custom properties) and the browser UI colour
+ * @param {string} preference - A theme from CONFIG.THEMES, or 'system'
+ * @param {Object} options - Options
+ * @param {boolean} options.persist - Store the choice (default: true)
+ */
+const setTheme = (preference, { persist = true } = {}) => {
+  const theme = preference === 'system' ? getSystemTheme() : preference
+  const themeColor = safeQuerySelector('meta[name="theme-color"]')
+
+  themeState.preference = preference
+  themeState.theme = theme
+  document.documentElement.setAttribute('data-theme', theme)
+
+  if (themeColor) {
+    themeColor.setAttribute('content', THEME_COLORS[theme])
+  }
+
+  if (persist) {
+    try {
+      if (preference === 'system') {
+        localStorage.removeItem(CONFIG.THEME_STORAGE_KEY)
+      } else {
+        localStorage.setItem(CONFIG.THEME_STORAGE_KEY, preference)
+      }
+    } catch (error) {
+      log(`Unable to store theme preference: ${error.message}`, 'warn')
+    }
+  }
+
+  document.dispatchEvent(new CustomEvent('themechange', { detail: { theme, preference } }))
+  log(`Theme set to ${theme} (${preference})`)
+}
+
+/**
+ * Initializes the theme from the stored choice or the device, and the header theme switcher
+ * Without a stored choice, the theme follows device changes (e.g. night mode switching on)
+ */
+export const initThemeSwitcher = () => {
+  try {
+    const switcher = safeQuerySelector('[data-theme-switcher]')
+
+    if (!FEATURES.customProperties) {
+      log('CSS custom properties not supported - themes unavailable', 'warn')
+      if (switcher) {
+        switcher.closest('.theme-switcher').hidden = true
+      }
+      return
+    }
+
+    setTheme(readThemePreference(), { persist: false })
+
+    /**
+     * Re-applies the device theme when the device settings change
+     */
+    const handleSystemChange = () => {
+      if (themeState.preference === 'system') {
+        setTheme('system', { persist: false })
+      }
+    }
+
+    ;['(prefers-contrast: more)', '(prefers-color-scheme: dark)'].forEach((query) => {
+      const mediaQuery = window.matchMedia(query)
+
+      // Safari before 14 only supports addListener
+      if (mediaQuery.addEventListener) {
+        mediaQuery.addEventListener('change', handleSystemChange)
+      } else if (mediaQuery.addListener) {
+        mediaQuery.addListener(handleSystemChange)
+      }
+    })
+
+    if (!switcher) {
+      log('Theme switcher not found - following the device only', 'warn')
+      return
+    }
+
+    switcher.value = themeState.preference
+    switcher.addEventListener('change', () => {
+      const from = themeState.theme
+      setTheme(switcher.value)
+      trackEvent('theme_change', 'header', {
+        from,
+        to: themeState.theme,
+        preference: themeState.preference,
+      })
+    })
+
+    log(`Theme switcher initialized (${themeState.theme})`)
+  } catch (error) {
+    log(`Theme initialization error: ${error.message}`, 'error')
+    console.error(error)
+  }
+}
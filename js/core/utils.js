@@ -0,0 +1,223 @@
+/**
+ * NGO Health Landing Page - Utilities
+ * Health for All Nigeria
+ *
+ * Logging, safe DOM queries, URL state and keyboard helpers.
+ */
+
+import { CONFIG } from './config.js'
+
+// ============================================
+// Utility Functions
+// ============================================
+
+/**
+ * Debounces function execution for performance
+ * @param {Function} func - Function to debounce
+ * @param {number} wait - Delay in milliseconds
+ * @returns {Function} Debounced function
+ */
+export const debounce = (func, wait) => {
+  let timeout
+  return function executedFunction(...args) {
+    const later = () => {
+      clearTimeout(timeout)
+      func.apply(this, args)
+    }
+    clearTimeout(timeout)
+    timeout = setTimeout(later, wait)
+  }
+}
+
+/**
+ * Logs messages with consistent prefix
+ * @param {string} message - Log message
+ * @param {string} level - Log level (info, warn, error)
+ */
+export const log = (message, level = 'info') => {
+  const timestamp = new Date().toISOString()
+  const logMessage = `${CONFIG.LOG_PREFIX} [${timestamp}] ${message}`
+
+  switch (level) {
+    case 'error':
+      console.error(logMessage)
+      break
+    case 'warn':
+      console.warn(logMessage)
+      break
+    default:
+      console.log(logMessage)
+  }
+}
+
+/**
+ * Safely queries DOM elements with error handling
+ * @param {string} selector - CSS selector
+ * @param {Element} context - Context element (default: document)
+ * @returns {Element|null} Found element or null
+ */
+export const safeQuerySelector = (selector, context = document) => {
+  try {
+    return context.querySelector(selector)
+  } catch (error) {
+    log(`Invalid selector: ${selector} - ${error.message}`, 'error')
+    return null
+  }
+}
+
+/**
+ * Safely queries multiple DOM elements with error handling
+ * @param {string} selector - CSS selector
+ * @param {Element} context - Context element (default: document)
+ * @returns {NodeList|Array} Found elements or empty array
+ */
+export const safeQuerySelectorAll = (selector, context = document) => {
+  try {
+    return context.querySelectorAll(selector)
+  } catch (error) {
+    log(`Invalid selector: ${selector} - ${error.message}`, 'error')
+    return []
+  }
+}
+
+/**
+ * Returns a promise that resolves after the given delay
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>} Resolves once the delay has elapsed
+ */
+export const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Lower-cases text and strips diacritics so "Ọ̀yọ́" matches "oyo"
+ * @param {string} text - Text to normalise
+ * @returns {string} Normalised text
+ */
+export const normalizeSearchText = (text) =>
+  String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+
+/**
+ * Reads a shareable state value from the URL query string
+ * @param {string} name - Query parameter name
+ * @returns {string} Parameter value, or '' when absent
+ */
+export const getUrlParam = (name) => new URLSearchParams(window.location.search).get(name) || ''
+
+/**
+ * Writes shareable state to the URL with the History API
+ * Empty values remove their parameter; unchanged URLs create no history entry
+ * @param {Object<string, string>} params - Query parameters to set or remove
+ * @param {Object} options - Update options
+ * @param {string} options.hash - New hash (e.g. '#programs'), or undefined to keep the current one
+ * @param {boolean} options.replace - Replace the current history entry instead of adding one
+ */
+export const updateUrlState = (params = {}, { hash, replace = false } = {}) => {
+  if (!window.history || !window.history.pushState) {
+    return
+  }
+
+  const url = new URL(window.location.href)
+
+  Object.entries(params).forEach(([name, value]) => {
+    if (value) {
+      url.searchParams.set(name, value)
+    } else {
+      url.searchParams.delete(name)
+    }
+  })
+
+  if (hash !== undefined) {
+    url.hash = hash
+  }
+
+  if (url.href === window.location.href) {
+    return
+  }
+
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', url.href)
+}
+
+/**
+ * Handles keyboard navigation within a group of buttons (filter bars, galleries, card lists)
+ * Supports arrow keys, Home/End, Enter, and Space; buttons inside hidden elements are skipped
+ * @param {KeyboardEvent} event - Keydown event from one of the buttons
+ * @param {string} groupSelector - Selector for the element containing the group
+ */
+export const handleGroupKeyboard = (event, groupSelector = '[role="group"]') => {
+  const currentButton = event.target
+  const groupButtons = Array.from(
+    currentButton.closest(groupSelector).querySelectorAll('button')
+  ).filter((button) => !button.closest('[hidden], .hidden'))
+  const currentIndex = groupButtons.indexOf(currentButton)
+
+  switch (event.key) {
+    case 'ArrowLeft':
+    case 'ArrowUp':
+      event.preventDefault()
+      const prevIndex = currentIndex > 0 ? currentIndex - 1 : groupButtons.length - 1
+      groupButtons[prevIndex].focus()
+      break
+
+    case 'ArrowRight':
+    case 'ArrowDown':
+      event.preventDefault()
+      const nextIndex = currentIndex < groupButtons.length - 1 ? currentIndex + 1 : 0
+      groupButtons[nextIndex].focus()
+      break
+
+    case 'Enter':
+    case ' ':
+      event.preventDefault()
+      currentButton.click()
+      break
+
+    case 'Home':
+      event.preventDefault()
+      groupButtons[0].focus()
+      break
+
+    case 'End':
+      event.preventDefault()
+      groupButtons[groupButtons.length - 1].focus()
+      break
+  }
+}
+
+/**
+ * Keeps Tab and Shift+Tab inside a dialog, wrapping between its first and last controls
+ * @param {KeyboardEvent} event - Keydown event from within the container
+ * @param {HTMLElement} container - Element focus must stay within
+ */
+export const trapFocus = (event, container) => {
+  if (event.key !== 'Tab') {
+    return
+  }
+
+  const focusable = Array.from(
+    container.querySelectorAll(
+      'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+        'textarea:not([disabled]), [tabindex]:not([tabindex="-1"])'
+    )
+  ).filter((element) => !element.closest('[hidden]'))
+
+  if (focusable.length === 0) {
+    event.preventDefault()
+    return
+  }
+
+  const first = focusable[0]
+  const last = focusable[focusable.length - 1]
+
+  const isOutside = !container.contains(document.activeElement)
+
+  if (event.shiftKey && (document.activeElement === first || isOutside)) {
+    event.preventDefault()
+    last.focus()
+  } else if (!event.shiftKey && document.activeElement === last) {
+    event.preventDefault()
+    first.focus()
+  }
+}
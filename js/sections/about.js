@@ -0,0 +1,135 @@
+/**
+ * NGO Health Landing Page - About Section
+ * Health for All Nigeria
+ *
+ * Section module: scroll animations and lazy-loaded images.
+ */
+
+import { CONFIG } from '../core/config.js'
+import { log, safeQuerySelectorAll } from '../core/utils.js'
+import { shouldReduceMotion } from '../core/motion.js'
+import { observeOnce } from '../core/observers.js'
+
+// ============================================
+// About Section Enhancements
+// ============================================
+
+/**
+ * Mounts the about section
+ * Implements scroll animations and lazy loading
+ * @param {import('../core/sections.js').SectionContext} context - Root element and abort signal
+ * @generated-from: task-id:ff7cdfe8-8fd6-4fe7-88ab-d7e97d60c95b
+ */
+export const mount = ({ root: aboutSection, signal }) => {
+  // ============================================
+  // 1. Reusable Intersection Observer Setup
+  // ============================================
+
+  /**
+   * Runs a callback once for each matching element as it scrolls into view
+   * @param {string} selector - CSS selector for elements to observe
+   * @param {Function} callback - Called with each element as it becomes visible
+   * @param {Object} options - Observer options
+   */
+  const observeElements = (selector, callback, options = {}) => {
+    const elements = safeQuerySelectorAll(selector, aboutSection)
+
+    if (elements.length === 0) {
+      log(`No elements found for selector: ${selector}`, 'warn')
+      return
+    }
+
+    observeOnce(elements, callback, {
+      threshold: CONFIG.ABOUT_ANIMATION_THRESHOLD,
+      ...options,
+      signal,
+    })
+
+    log(`Observing ${elements.length} elements with selector: ${selector}`)
+  }
+
+  // ============================================
+  // 2. Impact Statistics
+  // ============================================
+
+  // Counters are bound to the metrics feed and animated by initImpactMetrics
+
+  // ============================================
+  // 3. Fade-in-up Animations for Content
+  // ============================================
+
+  /**
+   * Applies fade-in-up animation to element
+   * @param {HTMLElement} element - Element to animate
+   */
+  const applyFadeInAnimation = (element) => {
+    element.classList.add('visible')
+
+    if (!shouldReduceMotion()) {
+      log(`Fade-in animation applied to: ${element.className}`)
+    }
+  }
+
+  // Observe about content and image for fade-in animations
+  observeElements('.about-content, .about-image-container', applyFadeInAnimation)
+
+  // ============================================
+  // 4. Staggered Animation for Value Cards
+  // ============================================
+
+  /**
+   * Applies staggered fade-in animation to value cards
+   * @param {HTMLElement} valueCard - Value card element
+   */
+  const applyStaggeredAnimation = (valueCard) => {
+    if (shouldReduceMotion()) {
+      valueCard.classList.add('visible')
+      return
+    }
+
+    const valueCards = safeQuerySelectorAll('.value-card', aboutSection)
+    const index = Array.from(valueCards).indexOf(valueCard)
+    const delay = index * CONFIG.VALUE_CARD_STAGGER_DELAY
+
+    setTimeout(() => {
+      valueCard.classList.add('visible')
+      log(`Value card animated with delay: ${delay}ms`)
+    }, delay)
+  }
+
+  // Observe value cards for staggered animation
+  observeElements('.value-card', applyStaggeredAnimation)
+
+  // ============================================
+  // 5. Lazy Loading for About Section Images
+  // ============================================
+
+  /**
+   * Loads image when it enters viewport
+   * @param {HTMLImageElement} img - Image element
+   */
+  const loadAboutImage = (img) => {
+    const src = img.getAttribute('src')
+
+    // Images with data-src are loaded (and made responsive) by initLazyLoading
+    if (!src || img.complete || img.hasAttribute('data-src')) {
+      return
+    }
+
+    img.addEventListener('load', () => {
+      img.classList.add('loaded')
+      log(`About section image loaded: ${src}`)
+    })
+
+    img.addEventListener('error', () => {
+      log(`Failed to load about section image: ${src}`, 'error')
+    })
+  }
+
+  // Observe about section images for lazy loading
+  observeElements('.about-image, .value-icon', loadAboutImage, {
+    rootMargin: CONFIG.LAZY_LOAD_MARGIN,
+  })
+
+  log('About section initialized successfully')
+}
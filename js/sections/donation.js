@@ -0,0 +1,363 @@
+/**
+ * NGO Health Landing Page - Donation Section
+ * Health for All Nigeria
+ *
+ * Section module: Naira donation tiers and checkout through payment-provider adapters.
+ */
+
+import { CONFIG } from '../core/config.js'
+import { log, safeQuerySelector, safeQuerySelectorAll, wait } from '../core/utils.js'
+import { formatNaira, t } from '../core/i18n.js'
+import { trackEvent } from '../core/analytics.js'
+import {
+  clearValidationError,
+  registerValidator,
+  setFormStatus,
+  showErrorSummary,
+  showValidationError,
+  validateField,
+  validateOnBlur,
+} from '../core/forms.js'
+
+// ============================================
+// Payment Provider Adapters
+// ============================================
+
+/**
+ * @typedef {Object} Donation
+ * @property {number} amount - Amount in naira (adapters convert to kobo if required)
+ * @property {string} currency - ISO 4217 currency code, always 'NGN'
+ * @property {string} frequency - 'one-off' or 'monthly'
+ * @property {string} name - Donor name
+ * @property {string} email - Donor email, used for the receipt
+ * @property {string|null} programId - Program supported by the selected tier
+ * @property {string} reference - Unique reference for reconciliation
+ */
+
+/**
+ * @typedef {Object} PaymentResult
+ * @property {string} status - 'success', 'cancelled' or 'failed'
+ * @property {string} reference - Provider transaction reference
+ * @property {string} [message] - Optional provider message
+ */
+
+/**
+ * @typedef {Object} PaymentAdapter
+ * @property {string} name - Provider identifier matched against CONFIG.PAYMENT_PROVIDER
+ * @property {function(Donation): Promise<PaymentResult>} checkout - Opens the provider's
+ *   checkout and resolves once the payment succeeds, fails or is cancelled
+ */
+
+const paymentAdapters = new Map()
+
+/**
+ * Registers a payment provider adapter
+ * @param {PaymentAdapter} adapter - Adapter to register
+ * @throws {TypeError} If the adapter does not implement the interface
+ */
+export const registerPaymentAdapter = (adapter) => {
+  if (!adapter || !adapter.name || typeof adapter.checkout !== 'function') {
+    throw new TypeError('Payment adapter must have a name and a checkout function')
+  }
+
+  paymentAdapters.set(adapter.name, adapter)
+  log(`Payment adapter registered: ${adapter.name}`)
+}
+
+/**
+ * Looks up a registered payment adapter
+ * @param {string} name - Provider name (default: CONFIG.PAYMENT_PROVIDER)
+ * @returns {PaymentAdapter|null} Adapter or null if not registered
+ */
+const getPaymentAdapter = (name = CONFIG.PAYMENT_PROVIDER) => {
+  return paymentAdapters.get(name) || null
+}
+
+/**
+ * Generates a unique donation reference
+ * @returns {string} Reference such as HFA-LX2K9Q-4F7A1C
+ */
+const createDonationReference = () => {
+  const time = Date.now().toString(36)
+  const random = Math.random().toString(36).slice(2, 8)
+  return `HFA-${time}-${random}`.toUpperCase()
+}
+
+/**
+ * Mock payment adapter for local end-to-end testing
+ * Approves every donation except those using decline@example.com
+ * @type {PaymentAdapter}
+ */
+const mockPaymentAdapter = {
+  name: 'mock',
+  checkout: async (donation) => {
+    await wait(CONFIG.MOCK_PAYMENT_DELAY)
+
+    const declined = donation.email.toLowerCase() === 'decline@example.com'
+
+    log(
+      `[MockPayment] ${declined ? 'Declined' : 'Approved'} ${donation.frequency} donation of ${formatNaira(donation.amount)}`
+    )
+
+    return {
+      status: declined ? 'failed' : 'success',
+      reference: `MOCK-${donation.reference}`,
+      message: declined ? 'Payment declined by mock provider' : undefined,
+    }
+  },
+}
+
+registerPaymentAdapter(mockPaymentAdapter)
+
+// ============================================
+// Donation Section
+// ============================================
+
+/**
+ * Mounts the donation form
+ * Handles tier and custom amount selection, impact messaging and checkout
+ * through the configured payment adapter
+ * @param {import('../core/sections.js').SectionContext} context - Root element and abort signal
+ */
+export const mount = ({ root: form, signal }) => {
+  const tierInputs = safeQuerySelectorAll('input[name="tier"]', form)
+  const customInput = safeQuerySelector('input[name="custom_amount"]', form)
+  const customField = safeQuerySelector('.donation-custom', form)
+  const impactRegion = safeQuerySelector('[data-donation-impact]', form)
+  const submitButton = safeQuerySelector('[data-donation-submit]', form)
+
+  /**
+   * Reads the selected tier and amount
+   * @returns {{tier: HTMLInputElement|null, amount: number}} Selection (amount is NaN if invalid)
+   */
+  const getSelection = () => {
+    const tier = Array.from(tierInputs).find((input) => input.checked) || null
+
+    if (!tier) {
+      return { tier: null, amount: NaN }
+    }
+
+    const rawAmount = tier.value === 'custom' ? customInput && customInput.value : tier.value
+    return { tier, amount: Number(rawAmount) }
+  }
+
+  /**
+   * Checks that an amount is a whole number within the configured limits
+   * @param {number} amount - Amount in naira
+   * @returns {boolean} True if the amount can be donated
+   */
+  const isValidAmount = (amount) => {
+    return (
+      Number.isInteger(amount) &&
+      amount >= CONFIG.DONATION_MIN_AMOUNT &&
+      amount <= CONFIG.DONATION_MAX_AMOUNT
+    )
+  }
+
+  /**
+   * Describes the accepted range of custom amounts
+   * @returns {string} Error message with the limits in naira
+   */
+  const getAmountError = () =>
+    t('validation.donationAmount', {
+      min: formatNaira(CONFIG.DONATION_MIN_AMOUNT),
+      max: formatNaira(CONFIG.DONATION_MAX_AMOUNT),
+    })
+
+  // Used by the custom amount's data-validator on blur; the message is returned already
+  // translated, since it needs the limits filled in
+  registerValidator('donationAmount', (value) => isValidAmount(Number(value)) || getAmountError())
+
+  /**
+   * Updates the impact explanation and submit button label for the current selection
+   */
+  const updateDonationSummary = () => {
+    const { tier, amount } = getSelection()
+    const frequency = new FormData(form).get('frequency')
+    const isCustom = tier && tier.value === 'custom'
+    const isMonthly = frequency === 'monthly'
+
+    if (customField) {
+      customField.hidden = !isCustom
+    }
+
+    if (submitButton) {
+      const submitKey = frequency === 'monthly' ? 'donation.submitMonthly' : 'donation.submitAmount'
+      submitButton.textContent = isValidAmount(amount)
+        ? t(submitKey, { amount: formatNaira(amount) })
+        : t('donation.submit')
+    }
+
+    if (!impactRegion) {
+      return
+    }
+
+    impactRegion.replaceChildren()
+
+    if (!isValidAmount(amount)) {
+      return
+    }
+
+    const impact = tier.getAttribute('data-impact')
+    const programId = tier.getAttribute('data-program')
+
+    if (!impact || isCustom) {
+      const customKey = isMonthly ? 'donation.impactCustomMonthly' : 'donation.impactCustom'
+      impactRegion.textContent = t(customKey, { amount: formatNaira(amount) })
+      return
+    }
+
+    const programLink = document.createElement('a')
+    programLink.href = `#program-${programId}`
+    programLink.textContent = tier.getAttribute('data-program-title') || programId
+
+    // Split around {program} so the program name can be rendered as a link
+    const tierKey = isMonthly ? 'donation.impactTierMonthly' : 'donation.impactTier'
+    const [before, after = ''] = t(tierKey, { amount: formatNaira(amount), impact }).split(
+      '{program}'
+    )
+
+    impactRegion.append(before, programLink, after)
+  }
+
+  form.addEventListener('change', updateDonationSummary, { signal })
+
+  if (customInput) {
+    customInput.addEventListener(
+      'input',
+      () => {
+        clearValidationError(customInput)
+        updateDonationSummary()
+      },
+      { signal }
+    )
+  }
+
+  tierInputs.forEach((input) => {
+    input.addEventListener(
+      'change',
+      () => {
+        if (input.value === 'custom' && input.checked && customInput) {
+          customInput.focus()
+        }
+      },
+      { signal }
+    )
+  })
+
+  form.querySelectorAll('input[name="name"], input[name="email"]').forEach((field) => {
+    field.addEventListener('input', () => clearValidationError(field), { signal })
+  })
+
+  validateOnBlur(form, { signal })
+
+  /**
+   * Validates donor details and amount
+   * @returns {boolean} True if the donation can proceed
+   */
+  const validateDonation = () => {
+    const nameField = safeQuerySelector('input[name="name"]', form)
+    const emailField = safeQuerySelector('input[name="email"]', form)
+    const { tier, amount } = getSelection()
+    let isValid = validateField(nameField, nameField.value, { announce: false })
+    isValid = validateField(emailField, emailField.value, { announce: false }) && isValid
+
+    if (tier && tier.value === 'custom' && !isValidAmount(amount)) {
+      showValidationError(customInput, getAmountError(), { announce: false })
+      isValid = false
+    }
+
+    return isValid && isValidAmount(amount)
+  }
+
+  /**
+   * Sends the donation to the configured payment adapter
+   */
+  const handleDonationSubmit = async () => {
+    if (!validateDonation()) {
+      showErrorSummary(form)
+      log('Donation validation failed', 'warn')
+      return
+    }
+
+    const adapter = getPaymentAdapter()
+
+    if (!adapter) {
+      log(`Payment adapter not registered: ${CONFIG.PAYMENT_PROVIDER}`, 'error')
+      setFormStatus(form, 'error', t('donation.unavailable'))
+      return
+    }
+
+    const formData = new FormData(form)
+    const { tier, amount } = getSelection()
+
+    /** @type {Donation} */
+    const donation = {
+      amount,
+      currency: 'NGN',
+      frequency: formData.get('frequency'),
+      name: String(formData.get('name')).trim(),
+      email: String(formData.get('email')).trim(),
+      programId: tier.getAttribute('data-program'),
+      reference: createDonationReference(),
+    }
+
+    const eventProperties = {
+      amount: donation.amount,
+      frequency: donation.frequency,
+      tier: tier.value,
+      program_id: donation.programId,
+      provider: adapter.name,
+    }
+
+    setFormStatus(form, 'submitting', t('donation.connecting'))
+    trackEvent('donation_checkout_start', 'donate', eventProperties)
+
+    try {
+      const result = await adapter.checkout(donation)
+      trackEvent('donation_checkout_result', 'donate', {
+        ...eventProperties,
+        result: result.status,
+      })
+
+      if (result.status === 'success') {
+        form.reset()
+        updateDonationSummary()
+        setFormStatus(
+          form,
+          'success',
+          t('donation.success', {
+            name: donation.name,
+            amount: formatNaira(donation.amount),
+            reference: result.reference,
+          })
+        )
+        log(`Donation completed via ${adapter.name}: ${result.reference}`)
+      } else if (result.status === 'cancelled') {
+        setFormStatus(form, 'cancelled', t('donation.cancelled'))
+        log(`Donation cancelled via ${adapter.name}`, 'warn')
+      } else {
+        setFormStatus(form, 'error', t('donation.failed'), handleDonationSubmit)
+        log(`Donation failed via ${adapter.name}: ${result.message || 'unknown reason'}`, 'warn')
+      }
+    } catch (error) {
+      setFormStatus(form, 'error', t('donation.unreachable'), handleDonationSubmit)
+      trackEvent('donation_checkout_result', 'donate', { ...eventProperties, result: 'error' })
+      log(`Donation checkout error: ${error.message}`, 'error')
+    }
+  }
+
+  form.addEventListener(
+    'submit',
+    (event) => {
+      event.preventDefault()
+      handleDonationSubmit()
+    },
+    { signal }
+  )
+
+  document.addEventListener('localechange', updateDonationSummary, { signal })
+
+  updateDonationSummary()
+  log(`Donation section initialized with ${CONFIG.PAYMENT_PROVIDER} payment adapter`)
+}
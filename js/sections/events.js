@@ -0,0 +1,720 @@
+/**
+ * NGO Health Landing Page - Events Calendar
+ * Health for All Nigeria
+ *
+ * Section module: list and month views, filters and .ics export.
+ */
+
+import { CONFIG } from '../core/config.js'
+import { handleGroupKeyboard, log, safeQuerySelector, safeQuerySelectorAll } from '../core/utils.js'
+import { getIntlLocale, t } from '../core/i18n.js'
+import { trackEvent } from '../core/analytics.js'
+import { PROGRAM_CATEGORIES } from '../core/programs-feed.js'
+
+// ============================================
+// Events Calendar
+// ============================================
+
+/**
+ * @typedef {Object} CalendarEvent
+ * @property {string} id - Stable identifier, also used for the .ics UID
+ * @property {string} title - Event name
+ * @property {string} description - What happens and who it is for
+ * @property {Array<string>} categories - Program category ids (see PROGRAM_CATEGORIES)
+ * @property {string} start - ISO date-time with offset, e.g. 2026-11-14T08:00:00+01:00
+ * @property {string} end - ISO date-time with offset
+ * @property {string} venue - Venue name or meeting point
+ * @property {string} lga - Local Government Area
+ * @property {string} state - Nigerian state (or 'FCT')
+ */
+
+/**
+ * Fetches the events feed and validates its schema version
+ * @returns {Promise<Array<CalendarEvent>>} Events sorted by start time
+ */
+const fetchEventsFeed = async () => {
+  const response = await fetch(CONFIG.EVENTS_FEED_URL, { headers: { Accept: 'application/json' } })
+
+  if (!response.ok) {
+    throw new Error(`Events feed request failed with status ${response.status}`)
+  }
+
+  const feed = await response.json()
+
+  if (!feed || feed.version !== CONFIG.EVENTS_FEED_VERSION || !Array.isArray(feed.events)) {
+    throw new Error(`Unsupported events feed version: ${feed && feed.version}`)
+  }
+
+  return feed.events
+    .filter((event) => event && event.id && event.title && !isNaN(Date.parse(event.start)))
+    .sort((a, b) => Date.parse(a.start) - Date.parse(b.start))
+}
+
+/**
+ * Returns the calendar day of a date-time in the events time zone
+ * @param {string|Date} dateTime - ISO date-time or Date
+ * @returns {string} Day in YYYY-MM-DD form
+ */
+const getEventDayKey = (dateTime) =>
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone: CONFIG.EVENTS_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(new Date(dateTime))
+
+/**
+ * Checks whether an event has finished
+ * @param {CalendarEvent} event - Event entry
+ * @param {Date} now - Reference date (default: current date)
+ * @returns {boolean} True once the event's end (or start, if it has no end) has passed
+ */
+const isPastEvent = (event, now = new Date()) => new Date(event.end || event.start) < now
+
+/**
+ * Formats an event's date and time range for the current locale, in the events time zone
+ * @param {CalendarEvent} event - Event entry
+ * @returns {string} e.g. "Sat, 14 Nov 2026, 08:00 – 16:00"
+ */
+const formatEventTime = (event) => {
+  const formatter = new Intl.DateTimeFormat(getIntlLocale(), {
+    timeZone: CONFIG.EVENTS_TIME_ZONE,
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  })
+  const start = new Date(event.start)
+
+  if (!event.end) {
+    return formatter.format(start)
+  }
+
+  const end = new Date(event.end)
+
+  // formatRange drops the repeated date for same-day events
+  return typeof formatter.formatRange === 'function'
+    ? formatter.formatRange(start, end)
+    : `${formatter.format(start)} – ${formatter.format(end)}`
+}
+
+// ============================================
+// Calendar Export (.ics)
+// ============================================
+
+/**
+ * Escapes text for an iCalendar property value (RFC 5545, section 3.3.11)
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+const escapeIcsText = (text) =>
+  String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+
+/**
+ * Folds an iCalendar content line so no line exceeds 75 octets (RFC 5545, section 3.1)
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line joined with CRLF + space
+ */
+const foldIcsLine = (line) => {
+  const parts = []
+  let current = ''
+  let size = 0
+
+  for (const char of line) {
+    const codePoint = char.codePointAt(0)
+    // UTF-8 length of the character
+    const charSize = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4
+    if (size + charSize > 75) {
+      parts.push(current)
+      current = ' '
+      size = 1
+    }
+    current += char
+    size += charSize
+  }
+
+  parts.push(current)
+  return parts.join('\r\n')
+}
+
+/**
+ * Formats a date as an iCalendar UTC date-time
+ * @param {string|Date} dateTime - ISO date-time or Date
+ * @returns {string} e.g. 20261114T070000Z
+ */
+const formatIcsDate = (dateTime) =>
+  new Date(dateTime)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '')
+
+/**
+ * Builds an iCalendar file for one or more events
+ * Times are written in UTC so every calendar app places them correctly
+ * @param {Array<CalendarEvent>} events - Events to include
+ * @param {Date} now - Timestamp for DTSTAMP (default: current date)
+ * @returns {string} text/calendar content with CRLF line endings
+ */
+export const createIcsCalendar = (events, now = new Date()) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Health for All Nigeria//Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ]
+
+  events.forEach((event) => {
+    const pageUrl = new URL(window.location.href)
+    pageUrl.search = ''
+    pageUrl.hash = `#event-${event.id}`
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.id}@${CONFIG.EVENTS_UID_DOMAIN}`,
+      `DTSTAMP:${formatIcsDate(now)}`,
+      `DTSTART:${formatIcsDate(event.start)}`,
+      `DTEND:${formatIcsDate(event.end || event.start)}`,
+      `SUMMARY:${escapeIcsText(event.title)}`,
+      `DESCRIPTION:${escapeIcsText(event.description)}`,
+      `LOCATION:${escapeIcsText([event.venue, event.lga, event.state].filter(Boolean).join(', '))}`,
+      `URL:${pageUrl.href}`,
+      'END:VEVENT'
+    )
+  })
+
+  lines.push('END:VCALENDAR')
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`
+}
+
+/**
+ * Downloads an event as an .ics file generated in the browser
+ * @param {CalendarEvent} event - Event to export
+ */
+const downloadEventIcs = (event) => {
+  const blob = new Blob([createIcsCalendar([event])], { type: 'text/calendar;charset=utf-8' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+
+  link.href = url
+  link.download = `${event.id}.ics`
+  link.hidden = true
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+
+  // Revoke after the click has been handled so the download can start
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+/**
+ * Builds an event list item
+ * @param {CalendarEvent} event - Event entry
+ * @param {Object} options - Display options
+ * @param {boolean} options.isPast - Whether the event has finished
+ * @param {Function} options.onAddToCalendar - Called with the event when "Add to calendar" is pressed
+ * @returns {HTMLElement} List item
+ */
+const createEventItem = (event, { isPast, onAddToCalendar }) => {
+  const item = document.createElement('li')
+  const card = document.createElement('article')
+  const headingId = `event-${event.id}-title`
+
+  item.className = 'event-item'
+  card.className = isPast ? 'event-card event-card-past' : 'event-card'
+  card.id = `event-${event.id}`
+  card.setAttribute('aria-labelledby', headingId)
+
+  const categories = document.createElement('div')
+  categories.className = 'program-categories'
+  categories.append(
+    ...(event.categories || []).map((categoryId) => {
+      const category = document.createElement('span')
+      category.className = 'program-category'
+      category.setAttribute('data-i18n', `programs.filter.${categoryId}`)
+      category.textContent = t(`programs.filter.${categoryId}`)
+      return category
+    })
+  )
+
+  if (isPast) {
+    const pastBadge = document.createElement('span')
+    pastBadge.className = 'event-past-badge'
+    pastBadge.setAttribute('data-i18n', 'events.pastBadge')
+    pastBadge.textContent = t('events.pastBadge')
+    categories.appendChild(pastBadge)
+  }
+
+  const title = document.createElement('h4')
+  title.className = 'event-title'
+  title.id = headingId
+  title.textContent = event.title
+
+  const time = document.createElement('p')
+  const startTime = document.createElement('time')
+  time.className = 'event-time'
+  startTime.dateTime = event.start
+  startTime.textContent = formatEventTime(event)
+  time.appendChild(startTime)
+
+  const place = document.createElement('p')
+  place.className = 'event-place'
+  place.textContent = [event.venue, event.lga, event.state].filter(Boolean).join(', ')
+
+  const description = document.createElement('p')
+  description.className = 'event-description'
+  description.textContent = event.description || ''
+
+  card.append(categories, title, time, place, description)
+
+  if (!isPast) {
+    const addButton = document.createElement('button')
+    addButton.type = 'button'
+    addButton.className = 'facility-link event-add-btn'
+    addButton.setAttribute('aria-describedby', headingId)
+    addButton.setAttribute('data-i18n', 'events.addToCalendar')
+    addButton.textContent = t('events.addToCalendar')
+    addButton.addEventListener('click', () => onAddToCalendar(event))
+    card.appendChild(addButton)
+  }
+
+  item.appendChild(card)
+  return item
+}
+
+/**
+ * Mounts the events calendar
+ * The list view is the default; the month view shows the same filtered events on a calendar
+ * @param {import('../core/sections.js').SectionContext} context - Root element and abort signal
+ */
+export const mount = ({ root: section, signal }) => {
+  const filtersForm = safeQuerySelector('[data-event-filters]', section)
+  const count = safeQuerySelector('[data-events-count]', section)
+  const viewButtons = safeQuerySelectorAll('[data-events-view]', section)
+  const listView = safeQuerySelector('[data-events-list-view]', section)
+  const upcomingList = safeQuerySelector('[data-events-upcoming]', section)
+  const pastWrapper = safeQuerySelector('[data-events-past]', section)
+  const pastSummary = pastWrapper ? safeQuerySelector('summary', pastWrapper) : null
+  const pastList = pastWrapper ? safeQuerySelector('ul', pastWrapper) : null
+  const monthView = safeQuerySelector('[data-events-month-view]', section)
+  const monthLabel = safeQuerySelector('[data-events-month-label]', section)
+  const monthGrid = safeQuerySelector('[data-events-month-grid]', section)
+  const dayHeading = safeQuerySelector('[data-events-day-heading]', section)
+  const dayList = safeQuerySelector('[data-events-day-list]', section)
+
+  if (!filtersForm || !listView || !upcomingList || !monthView || !monthGrid) {
+    log('Events calendar markup incomplete - skipping initialization', 'warn')
+    return
+  }
+
+  const { state: stateSelect, category: categorySelect } = filtersForm.elements
+  let events = []
+  let view = 'list'
+  let visibleMonth = null // { year, month } with month 0-11
+  let selectedDay = ''
+
+  /**
+   * Returns the events matching the state and category filters
+   * @returns {Array<CalendarEvent>} Matching events, oldest first
+   */
+  const getFilteredEvents = () =>
+    events.filter(
+      (event) =>
+        (!stateSelect.value || event.state === stateSelect.value) &&
+        (!categorySelect.value || (event.categories || []).includes(categorySelect.value))
+    )
+
+  /**
+   * Downloads an event's .ics file and reports it
+   * @param {CalendarEvent} event - Event to export
+   */
+  const addToCalendar = (event) => {
+    downloadEventIcs(event)
+    trackEvent('event_calendar_add', 'events', { event_id: event.id })
+    log(`Calendar file generated for event: ${event.id}`)
+  }
+
+  /**
+   * Shows a status message in place of a list
+   * @param {HTMLElement} list - List to replace the contents of
+   * @param {string} messageKey - i18n key of the message
+   * @param {boolean} isError - Render as an alert with a retry button
+   */
+  const showListStatus = (list, messageKey, isError = false) => {
+    const item = document.createElement('li')
+    const message = document.createElement('span')
+    item.className = isError ? 'programs-status programs-status-error' : 'programs-status'
+    message.setAttribute('data-i18n', messageKey)
+    message.textContent = t(messageKey)
+    item.appendChild(message)
+
+    if (isError) {
+      const button = document.createElement('button')
+      button.type = 'button'
+      button.className = 'programs-retry-btn'
+      button.setAttribute('data-i18n', 'common.tryAgain')
+      button.textContent = t('common.tryAgain')
+      button.addEventListener('click', () => loadEvents(), { signal })
+      item.setAttribute('role', 'alert')
+      item.append(' ', button)
+    }
+
+    list.replaceChildren(item)
+  }
+
+  // ============================================
+  // List View (upcoming / past)
+  // ============================================
+
+  /**
+   * Renders upcoming events (soonest first) and past events (most recent first)
+   * @param {Array<CalendarEvent>} filtered - Events matching the filters
+   */
+  const renderListView = (filtered) => {
+    const now = new Date()
+    const upcoming = filtered.filter((event) => !isPastEvent(event, now))
+    const past = filtered.filter((event) => isPastEvent(event, now)).reverse()
+
+    if (upcoming.length === 0) {
+      showListStatus(upcomingList, 'events.noneUpcoming')
+    } else {
+      upcomingList.replaceChildren(
+        ...upcoming.map((event) =>
+          createEventItem(event, { isPast: false, onAddToCalendar: addToCalendar })
+        )
+      )
+    }
+
+    if (pastWrapper && pastList) {
+      pastWrapper.hidden = past.length === 0
+      pastSummary.textContent = t('events.pastSummary', { count: past.length })
+      pastList.replaceChildren(...past.map((event) => createEventItem(event, { isPast: true })))
+    }
+  }
+
+  // ============================================
+  // Month View
+  // ============================================
+
+  /**
+   * Formats a YYYY-MM-DD day for headings and labels
+   * @param {string} dayKey - Day in YYYY-MM-DD form
+   * @returns {string} Localised long date
+   */
+  const formatDayKey = (dayKey) =>
+    new Intl.DateTimeFormat(getIntlLocale(), {
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric',
+      timeZone: 'UTC',
+    }).format(new Date(`${dayKey}T00:00:00Z`))
+
+  /**
+   * Lists the events of the selected day below the month grid
+   * @param {Array<CalendarEvent>} dayEvents - Events on the selected day
+   */
+  const renderSelectedDay = (dayEvents) => {
+    if (!dayHeading || !dayList) {
+      return
+    }
+
+    if (!selectedDay) {
+      dayHeading.textContent = ''
+      showListStatus(dayList, 'events.noneInMonth')
+      return
+    }
+
+    const now = new Date()
+    dayHeading.textContent = t('events.dayHeading', { date: formatDayKey(selectedDay) })
+    dayList.replaceChildren(
+      ...dayEvents.map((event) => {
+        const isPast = isPastEvent(event, now)
+        return createEventItem(event, { isPast, onAddToCalendar: addToCalendar })
+      })
+    )
+  }
+
+  /**
+   * Renders the visible month as a Monday-first calendar table
+   * Days with events are buttons that show that day's events below the grid
+   * @param {Array<CalendarEvent>} filtered - Events matching the filters
+   */
+  const renderMonthView = (filtered) => {
+    const { year, month } = visibleMonth
+    const monthPrefix = `${year}-${String(month + 1).padStart(2, '0')}`
+    const today = getEventDayKey(new Date())
+    const eventsByDay = new Map()
+
+    filtered.forEach((event) => {
+      const dayKey = getEventDayKey(event.start)
+      if (dayKey.startsWith(monthPrefix)) {
+        eventsByDay.set(dayKey, [...(eventsByDay.get(dayKey) || []), event])
+      }
+    })
+
+    // Default to the next event day in the month, or its last one if all have passed
+    if (!eventsByDay.has(selectedDay)) {
+      const dayKeys = [...eventsByDay.keys()].sort()
+      selectedDay = dayKeys.find((dayKey) => dayKey >= today) || dayKeys.pop() || ''
+    }
+
+    if (monthLabel) {
+      monthLabel.textContent = new Intl.DateTimeFormat(getIntlLocale(), {
+        month: 'long',
+        year: 'numeric',
+        timeZone: 'UTC',
+      }).format(new Date(Date.UTC(year, month, 1)))
+    }
+
+    const weekdayFormatter = new Intl.DateTimeFormat(getIntlLocale(), {
+      weekday: 'short',
+      timeZone: 'UTC',
+    })
+    const headRow = document.createElement('tr')
+    // 5 January 2026 was a Monday
+    for (let weekday = 0; weekday < 7; weekday++) {
+      const cell = document.createElement('th')
+      cell.scope = 'col'
+      cell.textContent = weekdayFormatter.format(new Date(Date.UTC(2026, 0, 5 + weekday)))
+      headRow.appendChild(cell)
+    }
+
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate()
+    const leadingBlanks = (new Date(Date.UTC(year, month, 1)).getUTCDay() + 6) % 7
+    const rows = []
+    let row = document.createElement('tr')
+
+    for (let blank = 0; blank < leadingBlanks; blank++) {
+      row.appendChild(document.createElement('td'))
+    }
+
+    for (let day = 1; day <= daysInMonth; day++) {
+      const dayKey = `${monthPrefix}-${String(day).padStart(2, '0')}`
+      const dayEvents = eventsByDay.get(dayKey)
+      const cell = document.createElement('td')
+
+      if (dayKey === today) {
+        cell.setAttribute('aria-current', 'date')
+      }
+
+      if (dayEvents) {
+        const button = document.createElement('button')
+        button.type = 'button'
+        button.className = 'events-day-btn'
+        button.textContent = String(day)
+        button.setAttribute('aria-pressed', String(dayKey === selectedDay))
+        button.setAttribute(
+          'aria-label',
+          t('events.dayLabel', { date: formatDayKey(dayKey), count: dayEvents.length })
+        )
+        button.addEventListener(
+          'click',
+          () => {
+            selectedDay = dayKey
+            renderMonthView(getFilteredEvents())
+            safeQuerySelector('[aria-pressed="true"]', monthGrid).focus()
+          },
+          { signal }
+        )
+        button.addEventListener(
+          'keydown',
+          (event) => handleGroupKeyboard(event, '[data-events-month-grid]'),
+          { signal }
+        )
+        cell.appendChild(button)
+      } else {
+        cell.textContent = String(day)
+      }
+
+      row.appendChild(cell)
+
+      if (row.children.length === 7) {
+        rows.push(row)
+        row = document.createElement('tr')
+      }
+    }
+
+    if (row.children.length > 0) {
+      while (row.children.length < 7) {
+        row.appendChild(document.createElement('td'))
+      }
+      rows.push(row)
+    }
+
+    const head = document.createElement('thead')
+    const body = document.createElement('tbody')
+    head.appendChild(headRow)
+    body.append(...rows)
+    monthGrid.replaceChildren(head, body)
+
+    renderSelectedDay(eventsByDay.get(selectedDay) || [])
+  }
+
+  /**
+   * Moves the month view by a number of months
+   * @param {number} offset - Months to move (negative for earlier)
+   */
+  const changeMonth = (offset) => {
+    const date = new Date(Date.UTC(visibleMonth.year, visibleMonth.month + offset, 1))
+    visibleMonth = { year: date.getUTCFullYear(), month: date.getUTCMonth() }
+    selectedDay = ''
+    renderMonthView(getFilteredEvents())
+  }
+
+  safeQuerySelectorAll('[data-events-month-nav]', section).forEach((button) => {
+    button.addEventListener(
+      'click',
+      () => changeMonth(Number(button.getAttribute('data-events-month-nav'))),
+      { signal }
+    )
+  })
+
+  // ============================================
+  // Filters and View Switching
+  // ============================================
+
+  /**
+   * Renders the current view and updates the result count
+   * @returns {number} Number of events matching the filters
+   */
+  const renderEvents = () => {
+    const filtered = getFilteredEvents()
+    const upcomingCount = filtered.filter((event) => !isPastEvent(event)).length
+
+    listView.hidden = view !== 'list'
+    monthView.hidden = view !== 'month'
+
+    if (view === 'list') {
+      renderListView(filtered)
+    } else {
+      renderMonthView(filtered)
+    }
+
+    if (count) {
+      count.textContent = t('events.count', {
+        upcoming: upcomingCount,
+        past: filtered.length - upcomingCount,
+      })
+    }
+
+    return filtered.length
+  }
+
+  /**
+   * Switches between the list and month views
+   * @param {string} nextView - 'list' or 'month'
+   */
+  const setView = (nextView) => {
+    view = nextView
+    viewButtons.forEach((button) => {
+      const isActive = button.getAttribute('data-events-view') === view
+      button.setAttribute('aria-pressed', String(isActive))
+      button.classList.toggle('active', isActive)
+    })
+    renderEvents()
+  }
+
+  viewButtons.forEach((button) => {
+    button.addEventListener(
+      'click',
+      () => {
+        setView(button.getAttribute('data-events-view'))
+        trackEvent('event_filter', 'events', {
+          view,
+          state: stateSelect.value || 'all',
+          category: categorySelect.value || 'all',
+          trigger: 'view',
+        })
+      },
+      { signal }
+    )
+    button.addEventListener('keydown', handleGroupKeyboard, { signal })
+  })
+
+  filtersForm.addEventListener('submit', (event) => event.preventDefault(), { signal })
+  filtersForm.addEventListener(
+    'change',
+    () => {
+      selectedDay = ''
+      const resultCount = renderEvents()
+      trackEvent('event_filter', 'events', {
+        view,
+        state: stateSelect.value || 'all',
+        category: categorySelect.value || 'all',
+        result_count: resultCount,
+        trigger: 'filter',
+      })
+    },
+    { signal }
+  )
+
+  // ============================================
+  // Load Feed
+  // ============================================
+
+  /**
+   * Loads the events feed, fills the filters and opens the month of the next event
+   */
+  const loadEvents = async () => {
+    upcomingList.setAttribute('aria-busy', 'true')
+    showListStatus(upcomingList, 'events.loading')
+
+    try {
+      events = await fetchEventsFeed()
+
+      const states = [...new Set(events.map((event) => event.state))].sort((a, b) =>
+        a.localeCompare(b)
+      )
+      states.forEach((state) => {
+        const option = document.createElement('option')
+        option.value = state
+        option.textContent = state
+        stateSelect.appendChild(option)
+      })
+
+      PROGRAM_CATEGORIES.forEach((categoryId) => {
+        const option = document.createElement('option')
+        option.value = categoryId
+        option.setAttribute('data-i18n', `programs.filter.${categoryId}`)
+        option.textContent = t(`programs.filter.${categoryId}`)
+        categorySelect.appendChild(option)
+      })
+
+      const nextEvent = events.find((event) => !isPastEvent(event))
+      const [year, month] = getEventDayKey(nextEvent ? nextEvent.start : new Date())
+        .split('-')
+        .map(Number)
+      visibleMonth = { year, month: month - 1 }
+
+      setView(view)
+      log(`Events calendar loaded ${events.length} events`)
+    } catch (error) {
+      events = []
+      log(`Events feed failed to load: ${error.message}`, 'error')
+      showListStatus(upcomingList, 'events.loadError', true)
+    } finally {
+      upcomingList.setAttribute('aria-busy', 'false')
+    }
+  }
+
+  document.addEventListener(
+    'localechange',
+    () => {
+      if (events.length > 0) {
+        renderEvents()
+      }
+    },
+    { signal }
+  )
+
+  loadEvents()
+
+  log('Events calendar initialized successfully')
+}
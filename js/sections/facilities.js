@@ -0,0 +1,552 @@
+/**
+ * NGO Health Landing Page - Health Facility Finder
+ * Health for All Nigeria
+ *
+ * Section module: facility list with state/LGA/service filters, distance sorting and an
+ * optional map preview.
+ */
+
+import { CONFIG, FEATURES } from '../core/config.js'
+import { debounce, log, normalizeSearchText, safeQuerySelector } from '../core/utils.js'
+import { formatNumber, t } from '../core/i18n.js'
+import { applyEmbedConsent } from '../core/consent.js'
+import { trackEvent } from '../core/analytics.js'
+
+// ============================================
+// Health Facility Finder
+// ============================================
+
+/**
+ * Service types a facility can offer, in the order shown in the service filter
+ * Labels come from the 'facilities.service.<id>' messages
+ */
+const FACILITY_SERVICES = Object.freeze([
+  'emergency',
+  'antenatal',
+  'immunization',
+  'malaria',
+  'nutrition',
+  'mental-health',
+  'hiv-testing',
+  'family-planning',
+])
+
+/**
+ * @typedef {Object} Facility
+ * @property {string} id - Stable identifier
+ * @property {string} name - Facility name
+ * @property {string} type - Facility type (see 'facilities.type.*' messages)
+ * @property {string} state - Nigerian state (or 'FCT')
+ * @property {string} lga - Local Government Area
+ * @property {string} address - Street address or landmark
+ * @property {{lat: number, lng: number}} coordinates - WGS84 coordinates
+ * @property {Array<string>} services - Service ids from FACILITY_SERVICES
+ * @property {string} hours - Opening hours as published by the facility
+ */
+
+/**
+ * Fetches the facilities dataset and validates its schema version
+ * @returns {Promise<Array<Facility>>} Facility entries
+ */
+const fetchFacilitiesFeed = async () => {
+  const response = await fetch(CONFIG.FACILITIES_FEED_URL, {
+    headers: { Accept: 'application/json' },
+  })
+
+  if (!response.ok) {
+    throw new Error(`Facilities feed request failed with status ${response.status}`)
+  }
+
+  const feed = await response.json()
+
+  if (!feed || feed.version !== CONFIG.FACILITIES_FEED_VERSION || !Array.isArray(feed.facilities)) {
+    throw new Error(`Unsupported facilities feed version: ${feed && feed.version}`)
+  }
+
+  return feed.facilities
+}
+
+/**
+ * Calculates the great-circle distance between two points (haversine formula)
+ * @param {{lat: number, lng: number}} from - Start coordinates
+ * @param {{lat: number, lng: number}} to - End coordinates
+ * @returns {number} Distance in kilometres
+ */
+export const getDistanceKm = (from, to) => {
+  const EARTH_RADIUS_KM = 6371
+  const toRadians = (degrees) => (degrees * Math.PI) / 180
+  const deltaLat = toRadians(to.lat - from.lat)
+  const deltaLng = toRadians(to.lng - from.lng)
+  const a =
+    Math.sin(deltaLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(deltaLng / 2) ** 2
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a))
+}
+
+/**
+ * Filters and sorts facilities
+ * Sorted by distance when an origin is given, otherwise by state then name
+ * @param {Array<Facility>} facilities - All facilities
+ * @param {Object} criteria - Filter criteria
+ * @param {string} criteria.query - Free text matched against name, address, LGA, state and services
+ * @param {string} criteria.state - State to match ('' for any)
+ * @param {string} criteria.lga - LGA to match ('' for any)
+ * @param {string} criteria.service - Service id to match ('' for any)
+ * @param {{lat: number, lng: number}|null} criteria.origin - User location for distance sorting
+ * @returns {Array<{facility: Facility, distance: number|null}>} Matching facilities
+ */
+export const filterFacilities = (
+  facilities,
+  { query = '', state = '', lga = '', service = '', origin = null } = {}
+) => {
+  const terms = normalizeSearchText(query).split(/\s+/).filter(Boolean)
+
+  return facilities
+    .filter((facility) => {
+      if ((state && facility.state !== state) || (lga && facility.lga !== lga)) {
+        return false
+      }
+
+      if (service && !facility.services.includes(service)) {
+        return false
+      }
+
+      const haystack = normalizeSearchText(
+        [
+          facility.name,
+          facility.address,
+          facility.lga,
+          facility.state,
+          t(`facilities.type.${facility.type}`),
+          ...facility.services.map((id) => t(`facilities.service.${id}`)),
+        ].join(' ')
+      )
+
+      return terms.every((term) => haystack.includes(term))
+    })
+    .map((facility) => ({
+      facility,
+      distance: origin ? getDistanceKm(origin, facility.coordinates) : null,
+    }))
+    .sort((a, b) =>
+      origin
+        ? a.distance - b.distance
+        : a.facility.state.localeCompare(b.facility.state) ||
+          a.facility.name.localeCompare(b.facility.name)
+    )
+}
+
+/**
+ * Builds a facility list item
+ * @param {Facility} facility - Facility entry
+ * @param {number|null} distance - Distance from the user in km, if known
+ * @param {Function} onShowMap - Called with the facility when "Show on map" is pressed
+ * @returns {HTMLElement} List item
+ */
+const createFacilityItem = (facility, distance, onShowMap) => {
+  const item = document.createElement('li')
+  const card = document.createElement('article')
+  const headingId = `facility-${facility.id}-name`
+
+  item.className = 'facility-item'
+  card.className = 'facility-card'
+  card.setAttribute('aria-labelledby', headingId)
+  card.setAttribute('data-facility-id', facility.id)
+
+  const type = document.createElement('span')
+  type.className = 'program-category'
+  type.textContent = t(`facilities.type.${facility.type}`)
+
+  const name = document.createElement('h3')
+  name.className = 'facility-name'
+  name.id = headingId
+  name.textContent = facility.name
+
+  const address = document.createElement('p')
+  address.className = 'facility-address'
+  address.textContent = `${facility.address}, ${facility.lga}, ${facility.state}`
+
+  card.append(type, name, address)
+
+  if (distance !== null) {
+    const distanceText = document.createElement('p')
+    distanceText.className = 'facility-distance'
+    distanceText.textContent = t('facilities.distance', {
+      distance: formatNumber(Math.round(distance * 10) / 10),
+    })
+    card.appendChild(distanceText)
+  }
+
+  const details = document.createElement('dl')
+  details.className = 'facility-details'
+
+  const servicesTerm = document.createElement('dt')
+  const servicesValue = document.createElement('dd')
+  servicesTerm.textContent = t('facilities.servicesHeading')
+  servicesValue.textContent = facility.services
+    .map((id) => t(`facilities.service.${id}`))
+    .join(', ')
+
+  const hoursTerm = document.createElement('dt')
+  const hoursValue = document.createElement('dd')
+  hoursTerm.textContent = t('facilities.hoursHeading')
+  hoursValue.textContent = facility.hours
+
+  details.append(servicesTerm, servicesValue, hoursTerm, hoursValue)
+  card.appendChild(details)
+
+  const actions = document.createElement('div')
+  actions.className = 'facility-actions'
+
+  const { lat, lng } = facility.coordinates
+  const directions = document.createElement('a')
+  directions.className = 'facility-link'
+  directions.href = `https://www.google.com/maps/dir/?api=1&destination=${lat},${lng}`
+  directions.target = '_blank'
+  directions.rel = 'noopener'
+  directions.textContent = t('facilities.directions')
+  actions.appendChild(directions)
+
+  if (onShowMap) {
+    const mapButton = document.createElement('button')
+    mapButton.type = 'button'
+    mapButton.className = 'facility-link'
+    mapButton.textContent = t('facilities.showOnMap')
+    mapButton.addEventListener('click', () => onShowMap(facility))
+    actions.appendChild(mapButton)
+  }
+
+  card.appendChild(actions)
+  item.appendChild(card)
+  return item
+}
+
+/**
+ * Mounts the health facility finder
+ * The filterable list is the primary, fully accessible interface; the map preview is an
+ * optional enhancement that needs a connection and media consent
+ * @param {import('../core/sections.js').SectionContext} context - Root element and abort signal
+ */
+export const mount = ({ root: section, signal }) => {
+  const filtersForm = safeQuerySelector('[data-facility-filters]', section)
+  const list = safeQuerySelector('[data-facility-list]', section)
+  const count = safeQuerySelector('[data-facility-count]', section)
+  const locateButton = safeQuerySelector('[data-facility-locate]', section)
+  const locateStatus = safeQuerySelector('[data-facility-locate-status]', section)
+  const mapPanel = safeQuerySelector('[data-facility-map]', section)
+  const mapTitle = safeQuerySelector('[data-facility-map-title]', section)
+  const mapFrame = mapPanel ? safeQuerySelector('iframe', mapPanel) : null
+
+  if (!filtersForm || !list) {
+    log('Facility finder markup incomplete - skipping initialization', 'warn')
+    return
+  }
+
+  const {
+    query: queryInput,
+    state: stateSelect,
+    lga: lgaSelect,
+    service: serviceSelect,
+  } = filtersForm.elements
+  let facilities = []
+  let origin = null
+
+  /**
+   * Replaces a select's options (after the first "All" option) with new ones
+   * @param {HTMLSelectElement} select - Select to fill
+   * @param {Array<{value: string, label: string, i18n: string}>} options - Options to add
+   */
+  const fillSelect = (select, options) => {
+    const current = select.value
+    Array.from(select.options)
+      .slice(1)
+      .forEach((option) => option.remove())
+
+    options.forEach(({ value, label, i18n }) => {
+      const option = document.createElement('option')
+      option.value = value
+      option.textContent = label
+      if (i18n) {
+        option.setAttribute('data-i18n', i18n)
+      }
+      select.appendChild(option)
+    })
+
+    select.value = options.some((option) => option.value === current) ? current : ''
+  }
+
+  /**
+   * Lists the LGAs present in the dataset for the selected state
+   */
+  const updateLgaOptions = () => {
+    const lgas = [
+      ...new Set(
+        facilities
+          .filter((facility) => facility.state === stateSelect.value)
+          .map((facility) => facility.lga)
+      ),
+    ].sort((a, b) => a.localeCompare(b))
+
+    fillSelect(
+      lgaSelect,
+      lgas.map((lga) => ({ value: lga, label: lga }))
+    )
+    lgaSelect.disabled = !stateSelect.value
+  }
+
+  /**
+   * Shows a facility on the map preview (only when online; consent is handled by the embed)
+   * @param {Facility} facility - Facility to show
+   */
+  const showOnMap = (facility) => {
+    const { lat, lng } = facility.coordinates
+    const span = CONFIG.FACILITY_MAP_SPAN
+    const bbox = [lng - span, lat - span, lng + span, lat + span]
+      .map((value) => value.toFixed(5))
+      .join(',')
+
+    mapFrame.setAttribute(
+      'data-consent-src',
+      `${CONFIG.FACILITY_MAP_EMBED_URL}?bbox=${bbox}&layer=mapnik&marker=${lat},${lng}`
+    )
+    mapTitle.textContent = facility.name
+    mapPanel.hidden = false
+    applyEmbedConsent()
+
+    trackEvent('facility_map_view', 'facilities', { facility_id: facility.id })
+  }
+
+  /**
+   * Shows a loading, empty or error message in place of the list
+   * @param {string} messageKey - i18n key of the status message
+   * @param {Object} options - Status options
+   * @param {boolean} options.isError - Render as an alert with a retry button
+   * @param {boolean} options.canClear - Offer a "Clear filters" button
+   */
+  const showListStatus = (messageKey, { isError = false, canClear = false } = {}) => {
+    const item = document.createElement('li')
+    const message = document.createElement('span')
+    item.className = isError ? 'programs-status programs-status-error' : 'programs-status'
+    message.setAttribute('data-i18n', messageKey)
+    message.textContent = t(messageKey)
+    item.appendChild(message)
+
+    if (isError || canClear) {
+      const button = document.createElement('button')
+      const labelKey = isError ? 'common.tryAgain' : 'facilities.clearFilters'
+      button.type = 'button'
+      button.className = 'programs-retry-btn'
+      button.setAttribute('data-i18n', labelKey)
+      button.textContent = t(labelKey)
+      button.addEventListener(
+        'click',
+        () => {
+          if (isError) {
+            loadFacilities()
+            return
+          }
+          filtersForm.reset()
+          updateLgaOptions()
+          renderFacilities()
+          queryInput.focus()
+        },
+        { signal }
+      )
+      item.append(' ', button)
+    }
+
+    if (isError) {
+      item.setAttribute('role', 'alert')
+    }
+
+    list.replaceChildren(item)
+  }
+
+  /**
+   * Renders the facilities matching the current filters
+   * @returns {number} Number of facilities shown
+   */
+  const renderFacilities = () => {
+    const results = filterFacilities(facilities, {
+      query: queryInput.value,
+      state: stateSelect.value,
+      lga: lgaSelect.value,
+      service: serviceSelect.value,
+      origin,
+    })
+    const canShowMap = Boolean(mapFrame) && navigator.onLine !== false
+
+    if (results.length === 0) {
+      showListStatus('facilities.empty', { canClear: true })
+    } else {
+      list.replaceChildren(
+        ...results.map(({ facility, distance }) =>
+          createFacilityItem(facility, distance, canShowMap ? showOnMap : null)
+        )
+      )
+    }
+
+    if (count) {
+      count.textContent = t(origin ? 'facilities.countNearest' : 'facilities.count', {
+        count: results.length,
+        total: facilities.length,
+      })
+    }
+
+    return results.length
+  }
+
+  const trackSearch = debounce((resultCount) => {
+    trackEvent('facility_search', 'facilities', {
+      state: stateSelect.value || 'all',
+      lga: lgaSelect.value || 'all',
+      service: serviceSelect.value || 'all',
+      has_query: queryInput.value.trim() !== '',
+      result_count: resultCount,
+    })
+  }, CONFIG.FACILITY_SEARCH_DEBOUNCE)
+
+  const debouncedRender = debounce(
+    () => trackSearch(renderFacilities()),
+    CONFIG.FILTER_DEBOUNCE_DELAY
+  )
+
+  filtersForm.addEventListener('submit', (event) => event.preventDefault(), { signal })
+  queryInput.addEventListener('input', debouncedRender, { signal })
+  lgaSelect.addEventListener('change', debouncedRender, { signal })
+  serviceSelect.addEventListener('change', debouncedRender, { signal })
+  stateSelect.addEventListener(
+    'change',
+    () => {
+      updateLgaOptions()
+      debouncedRender()
+    },
+    { signal }
+  )
+
+  // ============================================
+  // Distance Sorting (Geolocation)
+  // ============================================
+
+  /**
+   * Updates the geolocation status message
+   * @param {string} messageKey - i18n key, or '' to clear
+   */
+  const setLocateStatus = (messageKey) => {
+    if (!locateStatus) {
+      return
+    }
+    locateStatus.textContent = messageKey ? t(messageKey) : ''
+    if (messageKey) {
+      locateStatus.setAttribute('data-i18n', messageKey)
+    } else {
+      locateStatus.removeAttribute('data-i18n')
+    }
+  }
+
+  if (locateButton) {
+    if (!FEATURES.geolocation) {
+      locateButton.hidden = true
+    }
+
+    locateButton.addEventListener(
+      'click',
+      () => {
+        locateButton.disabled = true
+        setLocateStatus('facilities.locating')
+
+        navigator.geolocation.getCurrentPosition(
+          (position) => {
+            // Coordinates stay in memory only and are never sent anywhere
+            origin = { lat: position.coords.latitude, lng: position.coords.longitude }
+            locateButton.disabled = false
+            setLocateStatus('facilities.locateSorted')
+            renderFacilities()
+            trackEvent('facility_locate', 'facilities', { result: 'granted' })
+          },
+          (error) => {
+            const denied = error.code === error.PERMISSION_DENIED
+            locateButton.disabled = false
+            setLocateStatus(denied ? 'facilities.locateDenied' : 'facilities.locateUnavailable')
+            trackEvent('facility_locate', 'facilities', {
+              result: denied ? 'denied' : 'unavailable',
+            })
+            log(`Geolocation failed: ${error.message}`, 'warn')
+          },
+          { timeout: CONFIG.GEOLOCATION_TIMEOUT, maximumAge: 5 * 60 * 1000 }
+        )
+      },
+      { signal }
+    )
+  }
+
+  // ============================================
+  // Load Dataset
+  // ============================================
+
+  /**
+   * Loads the facilities dataset and fills the state and service filters
+   */
+  const loadFacilities = async () => {
+    list.setAttribute('aria-busy', 'true')
+    showListStatus('facilities.loading')
+
+    try {
+      facilities = await fetchFacilitiesFeed()
+
+      const states = [...new Set(facilities.map((facility) => facility.state))].sort((a, b) =>
+        a.localeCompare(b)
+      )
+      fillSelect(
+        stateSelect,
+        states.map((state) => ({ value: state, label: state }))
+      )
+      fillSelect(
+        serviceSelect,
+        FACILITY_SERVICES.map((id) => ({
+          value: id,
+          label: t(`facilities.service.${id}`),
+          i18n: `facilities.service.${id}`,
+        }))
+      )
+      updateLgaOptions()
+      renderFacilities()
+
+      log(`Facility finder loaded ${facilities.length} facilities`)
+    } catch (error) {
+      facilities = []
+      log(`Facilities feed failed to load: ${error.message}`, 'error')
+      showListStatus('facilities.loadError', { isError: true })
+    } finally {
+      list.setAttribute('aria-busy', 'false')
+    }
+  }
+
+  document.addEventListener(
+    'localechange',
+    () => {
+      if (facilities.length > 0) {
+        renderFacilities()
+      }
+    },
+    { signal }
+  )
+
+  window.addEventListener(
+    'offline',
+    () => {
+      if (mapPanel) {
+        mapPanel.hidden = true
+      }
+      if (facilities.length > 0) {
+        renderFacilities()
+      }
+    },
+    { signal }
+  )
+
+  loadFacilities()
+
+  log('Facility finder initialized successfully')
+}
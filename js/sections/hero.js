@@ -0,0 +1,212 @@
+/**
+ * NGO Health Landing Page - Hero Section
+ * Health for All Nigeria
+ *
+ * Section module: CTA scrolling, the responsive background image, parallax and analytics.
+ */
+
+import { CONFIG } from '../core/config.js'
+import { log, safeQuerySelector, safeQuerySelectorAll, updateUrlState } from '../core/utils.js'
+import { getSectionName, trackEvent } from '../core/analytics.js'
+import { isLiteMode } from '../core/lite-mode.js'
+import { scrollToElement } from '../core/smooth-scroll.js'
+import { getResponsiveBackground } from '../core/images.js'
+import { prefersReducedMotion } from '../core/motion.js'
+import { observeOnce } from '../core/observers.js'
+
+// ============================================
+// Hero Section Enhancements
+// ============================================
+
+/**
+ * Mounts the hero section
+ * Implements smooth scroll for CTA buttons, lazy loading for background image,
+ * optional parallax effect, and analytics tracking
+ * @param {import('../core/sections.js').SectionContext} context - Root element and abort signal
+ */
+export const mount = ({ root: heroSection, signal }) => {
+  const ctaButtons = safeQuerySelectorAll('.cta-button')
+
+  // ============================================
+  // 1. Smooth Scroll for CTA Buttons
+  // ============================================
+
+  /**
+   * Handles smooth scroll to target section when CTA button is clicked
+   * @param {Event} event - Click event
+   */
+  const handleCtaClick = (event) => {
+    const button = event.currentTarget
+    const href = button.getAttribute('href')
+
+    // Only handle internal anchor links
+    if (!href || !href.startsWith('#')) {
+      return
+    }
+
+    const target = safeQuerySelector(href)
+
+    if (!target) {
+      log(`CTA target not found: ${href}`, 'warn')
+      return
+    }
+
+    event.preventDefault()
+    scrollToElement(target)
+
+    // Make the section linkable; pushState never scrolls, so the offset is preserved
+    updateUrlState({}, { hash: href })
+
+    // Track CTA click for analytics
+    trackCtaClick(button)
+
+    log(`CTA button clicked: ${href}`)
+  }
+
+  // Attach click handlers to all CTA buttons
+  ctaButtons.forEach((button) => {
+    button.addEventListener('click', handleCtaClick, { signal })
+  })
+
+  log(`Smooth scroll initialized for ${ctaButtons.length} CTA buttons`)
+
+  // ============================================
+  // 2. Lazy Loading for Hero Background Image
+  // ============================================
+
+  /**
+   * Sets the hero background, letting the browser choose AVIF, WebP or JPEG at a width
+   * that fits the section (see getResponsiveBackground)
+   * @returns {Promise<void>} Resolves once the background is set
+   */
+  const loadHeroImage = async () => {
+    const targetWidth = Math.round(heroSection.clientWidth * (window.devicePixelRatio || 1))
+    heroSection.style.backgroundImage = await getResponsiveBackground(
+      'assets/images/hero-bg.jpg',
+      [
+        { url: 'assets/images/hero-bg.webp', type: 'image/webp' },
+        { url: 'assets/images/hero-bg.jpg', type: 'image/jpeg' },
+      ],
+      targetWidth || window.innerWidth
+    )
+    log('Hero background image loaded successfully')
+  }
+
+  /**
+   * Loads the hero background image when the section is in viewport
+   * Uses Intersection Observer for performance; skipped in lite mode
+   */
+  const initHeroImageLazyLoad = () => {
+    if (isLiteMode()) {
+      log('Lite mode - hero background image skipped')
+      return
+    }
+
+    // Check if hero section already has background image loaded
+    if (heroSection.style.backgroundImage) {
+      log('Hero background image already loaded')
+      return
+    }
+
+    observeOnce([heroSection], loadHeroImage, {
+      threshold: CONFIG.HERO_IMAGE_THRESHOLD,
+      signal,
+    })
+    log('Hero background image lazy loading initialized')
+  }
+
+  // Fetch the image once lite mode is switched off
+  document.addEventListener(
+    'litemodechange',
+    (event) => {
+      if (!event.detail.enabled) {
+        initHeroImageLazyLoad()
+      }
+    },
+    { signal }
+  )
+
+  initHeroImageLazyLoad()
+
+  // ============================================
+  // 3. Parallax Effect (Optional, Performance-Permitting)
+  // ============================================
+
+  /**
+   * Implements subtle parallax scrolling effect on hero background
+   * Only enabled if performance allows (no reduced motion preference); paused in lite mode
+   */
+  const initParallaxEffect = () => {
+    if (prefersReducedMotion()) {
+      log('Parallax effect disabled due to reduced motion preference')
+      return
+    }
+
+    // Check if device is mobile (disable parallax on mobile for performance)
+    const isMobile = window.innerWidth < CONFIG.MOBILE_BREAKPOINT
+
+    if (isMobile) {
+      log('Parallax effect disabled on mobile devices for performance')
+      return
+    }
+
+    /**
+     * Updates parallax position based on scroll
+     */
+    const updateParallax = () => {
+      const scrolled = window.pageYOffset
+      const heroHeight = heroSection.offsetHeight
+
+      // Only apply parallax while hero is visible
+      if (scrolled < heroHeight) {
+        const yPos = -(scrolled * CONFIG.PARALLAX_SPEED)
+        heroSection.style.backgroundPositionY = `${yPos}px`
+      }
+    }
+
+    // Use requestAnimationFrame for smooth performance
+    let ticking = false
+    const handleScroll = () => {
+      // Lite mode can be switched on after load; the hero has no background then
+      if (isLiteMode()) {
+        return
+      }
+
+      if (!ticking) {
+        window.requestAnimationFrame(() => {
+          updateParallax()
+          ticking = false
+        })
+        ticking = true
+      }
+    }
+
+    window.addEventListener('scroll', handleScroll, { passive: true, signal })
+    log('Parallax effect initialized for hero section')
+  }
+
+  initParallaxEffect()
+
+  // ============================================
+  // 4. Analytics Tracking for CTA Clicks
+  // ============================================
+
+  /**
+   * Tracks CTA button clicks through the analytics event bus
+   * @param {HTMLElement} button - CTA button element
+   */
+  const trackCtaClick = (button) => {
+    const ctaType = button.getAttribute('data-cta')
+    const ctaText = button.textContent.trim()
+
+    trackEvent('cta_click', getSectionName(button), {
+      cta_type: ctaType,
+      cta_href: button.getAttribute('href'),
+      cta_text: ctaText,
+    })
+
+    log(`CTA click tracked: ${ctaType} - ${ctaText}`)
+  }
+
+  log('Hero section initialized successfully')
+}
@@ -0,0 +1,88 @@
+/**
+ * NGO Health Landing Page - Mobile Menu
+ * Health for All Nigeria
+ *
+ * Section module: the mobile navigation menu.
+ */
+
+import { CONFIG } from '../core/config.js'
+import { debounce, log, safeQuerySelector } from '../core/utils.js'
+
+// ============================================
+// Mobile Menu Toggle
+// ============================================
+
+/**
+ * Mounts the mobile menu
+ * Handles toggle, accessibility, and keyboard navigation
+ * @param {import('../core/sections.js').SectionContext} context - Root element and abort signal
+ */
+export const mount = ({ root: mobileMenu, signal }) => {
+  const menuButton = safeQuerySelector('[data-mobile-menu-toggle]')
+
+  if (!menuButton) {
+    log('Mobile menu button not found - skipping initialization', 'warn')
+    return
+  }
+
+  let isMenuOpen = false
+
+  /**
+   * Toggles menu open/closed state
+   * @param {boolean} forceState - Force specific state (optional)
+   */
+  const toggleMenu = (forceState) => {
+    isMenuOpen = forceState !== undefined ? forceState : !isMenuOpen
+
+    mobileMenu.setAttribute('aria-hidden', String(!isMenuOpen))
+    menuButton.setAttribute('aria-expanded', String(isMenuOpen))
+    mobileMenu.classList.toggle('hidden', !isMenuOpen)
+
+    // Trap focus when menu is open
+    if (isMenuOpen) {
+      const firstFocusable = mobileMenu.querySelector('a, button')
+      if (firstFocusable) {
+        firstFocusable.focus()
+      }
+    }
+
+    log(`Mobile menu ${isMenuOpen ? 'opened' : 'closed'}`)
+  }
+
+  // Toggle on button click
+  menuButton.addEventListener('click', () => toggleMenu(), { signal })
+
+  // Close menu on escape key
+  document.addEventListener(
+    'keydown',
+    (event) => {
+      if (event.key === 'Escape' && isMenuOpen) {
+        toggleMenu(false)
+        menuButton.focus()
+      }
+    },
+    { signal }
+  )
+
+  // Close menu when clicking outside
+  document.addEventListener(
+    'click',
+    (event) => {
+      if (isMenuOpen && !mobileMenu.contains(event.target) && !menuButton.contains(event.target)) {
+        toggleMenu(false)
+      }
+    },
+    { signal }
+  )
+
+  // Close menu on window resize to desktop
+  const handleResize = debounce(() => {
+    if (window.innerWidth >= CONFIG.MOBILE_BREAKPOINT && isMenuOpen) {
+      toggleMenu(false)
+    }
+  }, CONFIG.DEBOUNCE_DELAY)
+
+  window.addEventListener('resize', handleResize, { signal })
+
+  log('Mobile menu initialized successfully')
+}
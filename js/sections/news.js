@@ -0,0 +1,610 @@
+/**
+ * NGO Health Landing Page - News Section
+ * Health for All Nigeria
+ *
+ * Section module: paginated news posts with category filters and #news/<slug> routes.
+ */
+
+import { CONFIG } from '../core/config.js'
+import { handleGroupKeyboard, log, safeQuerySelector, safeQuerySelectorAll } from '../core/utils.js'
+import { getIntlLocale, t } from '../core/i18n.js'
+import { trackEvent } from '../core/analytics.js'
+import { scrollToElement } from '../core/smooth-scroll.js'
+import { PROGRAM_CATEGORIES } from '../core/programs-feed.js'
+
+// ============================================
+// News Feed
+// ============================================
+
+/**
+ * @typedef {Object} NewsPost
+ * @property {string} slug - Stable identifier, used in the #news/<slug> route and the Atom entry id
+ * @property {string} title - Headline
+ * @property {string} published - ISO date-time with offset
+ * @property {string} [updated] - ISO date-time of the last correction, if any
+ * @property {string} author - Author's name
+ * @property {Array<string>} categories - Program category ids (see PROGRAM_CATEGORIES)
+ * @property {string} summary - One or two plain-text sentences shown in the list and the feed
+ * @property {string} body - Post text in the Markdown subset supported by renderMarkdown
+ */
+
+/**
+ * Fetches and validates the versioned news feed
+ * Entries without a slug, title, valid publication date or body are skipped
+ * @returns {Promise<Array<NewsPost>>} Posts, newest first
+ * @throws {Error} If the request fails or the feed version is unsupported
+ */
+const fetchNewsFeed = async () => {
+  const response = await fetch(CONFIG.NEWS_FEED_URL, { headers: { Accept: 'application/json' } })
+
+  if (!response.ok) {
+    throw new Error(`News feed request failed with status ${response.status}`)
+  }
+
+  const feed = await response.json()
+
+  if (!feed || feed.version !== CONFIG.NEWS_FEED_VERSION || !Array.isArray(feed.posts)) {
+    throw new Error(`Unsupported news feed version: ${feed && feed.version}`)
+  }
+
+  return feed.posts
+    .filter((post) => {
+      const isValid =
+        post && post.slug && post.title && post.body && !isNaN(Date.parse(post.published))
+
+      if (!isValid) {
+        log(`Skipping malformed news post: ${JSON.stringify(post && post.slug)}`, 'warn')
+      }
+
+      return isValid
+    })
+    .map((post) => ({ ...post, categories: post.categories || [] }))
+    .sort((a, b) => Date.parse(b.published) - Date.parse(a.published))
+}
+
+/**
+ * Estimates how long a post takes to read
+ * @param {NewsPost} post - Post to measure
+ * @returns {number} Whole minutes, at least 1
+ */
+export const getReadingMinutes = (post) => {
+  const words = String(post.body || '')
+    .split(/\s+/)
+    .filter((word) => /[\p{L}\p{N}]/u.test(word)).length
+
+  return Math.max(1, Math.round(words / CONFIG.NEWS_WORDS_PER_MINUTE))
+}
+
+/**
+ * Formats a post date for the current locale, in West Africa Time
+ * @param {string} dateTime - ISO date-time
+ * @returns {string} e.g. "8 October 2026"
+ */
+const formatNewsDate = (dateTime) =>
+  new Intl.DateTimeFormat(getIntlLocale(), {
+    dateStyle: 'long',
+    timeZone: CONFIG.EVENTS_TIME_ZONE,
+  }).format(new Date(dateTime))
+
+// ============================================
+// Markdown Rendering
+// ============================================
+
+/**
+ * Checks that a Markdown link points somewhere safe to open
+ * Only web, mailto, in-page and site-relative links are allowed (no javascript: or data: URLs)
+ * @param {string} href - Link target from the Markdown source
+ * @returns {boolean} True if the link may be rendered
+ */
+const isSafeMarkdownHref = (href) => /^(https?:|mailto:)/i.test(href) || !/^[^/?#]*:/.test(href)
+
+/**
+ * Appends inline Markdown to an element: **strong**, *emphasis* and [links](url)
+ * Text is added as text nodes, so feed content can never inject markup
+ * @param {HTMLElement} parent - Element to append to
+ * @param {string} text - Inline Markdown
+ */
+const appendInlineMarkdown = (parent, text) => {
+  const pattern = /\*\*(.+?)\*\*|\*(.+?)\*|\[([^\]]+)\]\(([^)\s]+)\)/g
+  let lastIndex = 0
+  let match = pattern.exec(text)
+
+  while (match) {
+    const [source, strong, emphasis, linkText, href] = match
+    parent.append(text.slice(lastIndex, match.index))
+
+    if (strong !== undefined || emphasis !== undefined) {
+      const element = document.createElement(strong !== undefined ? 'strong' : 'em')
+      appendInlineMarkdown(element, strong !== undefined ? strong : emphasis)
+      parent.appendChild(element)
+    } else if (isSafeMarkdownHref(href)) {
+      const link = document.createElement('a')
+      link.href = href
+      appendInlineMarkdown(link, linkText)
+      parent.appendChild(link)
+    } else {
+      parent.append(linkText)
+    }
+
+    lastIndex = match.index + source.length
+    match = pattern.exec(text)
+  }
+
+  parent.append(text.slice(lastIndex))
+}
+
+/**
+ * Renders the Markdown subset used by the news feed into DOM nodes
+ * Blocks are separated by blank lines: paragraphs, ## to #### headings (shown as h4 to h6 so
+ * they nest under the post title), "- " or "1. " lists and "> " quotes
+ * @param {string} markdown - Markdown source
+ * @returns {DocumentFragment} Rendered content
+ */
+export const renderMarkdown = (markdown) => {
+  const fragment = document.createDocumentFragment()
+
+  /**
+   * Creates an element containing inline Markdown
+   * @param {string} tagName - Element to create
+   * @param {string} text - Inline Markdown
+   * @returns {HTMLElement} Element
+   */
+  const createBlock = (tagName, text) => {
+    const element = document.createElement(tagName)
+    appendInlineMarkdown(element, text)
+    return element
+  }
+
+  String(markdown || '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map((block) => block.trim().split('\n'))
+    .filter((lines) => lines[0])
+    .forEach((lines) => {
+      const heading = lines.length === 1 && lines[0].match(/^(#{2,4})\s+(.+)$/)
+
+      if (heading) {
+        fragment.appendChild(createBlock(`h${heading[1].length + 2}`, heading[2]))
+        return
+      }
+
+      const listType = [
+        ['ul', /^[-*]\s+/],
+        ['ol', /^\d+\.\s+/],
+      ].find(([, marker]) => lines.every((line) => marker.test(line)))
+
+      if (listType) {
+        const [tagName, marker] = listType
+        const list = document.createElement(tagName)
+        list.append(...lines.map((line) => createBlock('li', line.replace(marker, ''))))
+        fragment.appendChild(list)
+        return
+      }
+
+      if (lines.every((line) => line.startsWith('>'))) {
+        const quote = document.createElement('blockquote')
+        const text = lines.map((line) => line.replace(/^>\s?/, '')).join(' ')
+        quote.appendChild(createBlock('p', text))
+        fragment.appendChild(quote)
+        return
+      }
+
+      fragment.appendChild(createBlock('p', lines.join(' ')))
+    })
+
+  return fragment
+}
+
+// ============================================
+// News Section
+// ============================================
+
+/**
+ * Reads the post slug from a #news/<slug> hash
+ * @returns {string} Slug, or '' when the hash is not a post route
+ */
+const getNewsRouteSlug = () => {
+  const { hash } = window.location
+
+  if (!hash.startsWith(CONFIG.NEWS_ROUTE_PREFIX)) {
+    return ''
+  }
+
+  try {
+    return decodeURIComponent(hash.slice(CONFIG.NEWS_ROUTE_PREFIX.length))
+  } catch (error) {
+    return ''
+  }
+}
+
+/**
+ * Builds the category chips for a post
+ * @param {NewsPost} post - Post entry
+ * @returns {HTMLElement} Category list
+ */
+const createNewsCategories = (post) => {
+  const categories = document.createElement('div')
+  categories.className = 'program-categories'
+  categories.append(
+    ...post.categories.map((categoryId) => {
+      const category = document.createElement('span')
+      category.className = 'program-category'
+      category.setAttribute('data-i18n', `programs.filter.${categoryId}`)
+      category.textContent = t(`programs.filter.${categoryId}`)
+      return category
+    })
+  )
+  return categories
+}
+
+/**
+ * Builds the date and reading-time line for a post
+ * @param {NewsPost} post - Post entry
+ * @param {Object} options - Meta options
+ * @param {boolean} options.full - Include the author and any correction date (default: false)
+ * @returns {HTMLElement} Meta paragraph
+ */
+const createNewsMeta = (post, { full = false } = {}) => {
+  const meta = document.createElement('p')
+  meta.className = 'news-meta'
+
+  const published = document.createElement('time')
+  published.dateTime = post.published
+  published.textContent = formatNewsDate(post.published)
+
+  const parts = [published]
+
+  if (full && post.author) {
+    parts.push(t('news.byline', { author: post.author }))
+  }
+
+  parts.push(t('news.readingTime', { minutes: getReadingMinutes(post) }))
+
+  if (full && post.updated && !isNaN(Date.parse(post.updated))) {
+    const updated = document.createElement('time')
+    updated.dateTime = post.updated
+    updated.textContent = t('news.updated', { date: formatNewsDate(post.updated) })
+    parts.push(updated)
+  }
+
+  parts.forEach((part, index) => {
+    if (index > 0) {
+      meta.append(' · ')
+    }
+    meta.append(part)
+  })
+
+  return meta
+}
+
+/**
+ * Builds a post summary for the news list
+ * @param {NewsPost} post - Post entry
+ * @returns {HTMLLIElement} List item
+ */
+const createNewsItem = (post) => {
+  const item = document.createElement('li')
+  const card = document.createElement('article')
+  const headingId = `news-${post.slug}-title`
+
+  item.className = 'news-item'
+  card.className = 'news-card'
+  card.setAttribute('aria-labelledby', headingId)
+
+  const title = document.createElement('h3')
+  title.className = 'news-title'
+  title.id = headingId
+
+  const link = document.createElement('a')
+  link.href = `${CONFIG.NEWS_ROUTE_PREFIX}${encodeURIComponent(post.slug)}`
+  link.textContent = post.title
+  title.appendChild(link)
+
+  const summary = document.createElement('p')
+  summary.className = 'news-summary'
+  summary.textContent = post.summary || ''
+
+  card.append(createNewsCategories(post), title, createNewsMeta(post), summary)
+  item.appendChild(card)
+  return item
+}
+
+/**
+ * Builds the full view of a post
+ * @param {NewsPost} post - Post entry
+ * @returns {HTMLElement} Post article
+ */
+const createNewsPost = (post) => {
+  const article = document.createElement('article')
+  const headingId = `news-post-${post.slug}-title`
+
+  article.className = 'news-post'
+  article.setAttribute('aria-labelledby', headingId)
+
+  const title = document.createElement('h3')
+  title.className = 'news-post-title'
+  title.id = headingId
+  title.textContent = post.title
+
+  const body = document.createElement('div')
+  body.className = 'news-body'
+  body.appendChild(renderMarkdown(post.body))
+
+  article.append(createNewsCategories(post), title, createNewsMeta(post, { full: true }), body)
+  return article
+}
+
+/**
+ * Mounts the news section
+ * Posts are listed a page at a time and filtered by program category; #news/<slug> opens a
+ * single post, so posts can be shared and the browser's back button returns to the list
+ * @param {import('../core/sections.js').SectionContext} context - Root element and abort signal
+ */
+export const mount = ({ root: section, signal }) => {
+  const heading = safeQuerySelector('#news-heading', section)
+  const listView = safeQuerySelector('[data-news-list-view]', section)
+  const filters = safeQuerySelector('[data-news-filters]', section)
+  const count = safeQuerySelector('[data-news-count]', section)
+  const list = safeQuerySelector('[data-news-list]', section)
+  const moreButton = safeQuerySelector('[data-news-more]', section)
+  const postView = safeQuerySelector('[data-news-post]', section)
+
+  if (!listView || !filters || !list || !moreButton || !postView) {
+    log('News section markup incomplete - skipping initialization', 'warn')
+    return
+  }
+
+  const pageTitle = document.title
+  /** @type {Array<NewsPost>} */
+  let posts = []
+  let activeCategory = 'all'
+  let visibleCount = CONFIG.NEWS_PAGE_SIZE
+  let openSlug = ''
+
+  /**
+   * Shows a loading, empty or error message in place of the list
+   * @param {string} key - Message key
+   * @param {boolean} isError - Announce the message as an alert
+   */
+  const showListStatus = (key, isError = false) => {
+    const item = document.createElement('li')
+    item.className = 'programs-status'
+    item.textContent = t(key)
+
+    if (isError) {
+      item.setAttribute('role', 'alert')
+    }
+
+    list.replaceChildren(item)
+  }
+
+  /**
+   * Returns the posts in the selected category
+   * @returns {Array<NewsPost>} Matching posts, newest first
+   */
+  const getFilteredPosts = () =>
+    activeCategory === 'all'
+      ? posts
+      : posts.filter((post) => post.categories.includes(activeCategory))
+
+  /**
+   * Renders the visible page of posts and updates the count and "load more" button
+   * @param {number} [focusIndex] - Index of a post whose link should receive focus
+   * @returns {number} Number of posts matching the filter
+   */
+  const renderList = (focusIndex) => {
+    const filtered = getFilteredPosts()
+    const shown = filtered.slice(0, visibleCount)
+
+    if (shown.length === 0) {
+      showListStatus('news.empty')
+    } else {
+      list.replaceChildren(...shown.map(createNewsItem))
+    }
+
+    moreButton.hidden = filtered.length <= visibleCount
+    count.textContent = t('news.count', { shown: shown.length, total: filtered.length })
+
+    if (focusIndex !== undefined && list.children[focusIndex]) {
+      list.children[focusIndex].querySelector('a').focus()
+    }
+
+    return filtered.length
+  }
+
+  /**
+   * Renders a filter button for "all" and each category that has posts
+   */
+  const renderFilters = () => {
+    const categories = PROGRAM_CATEGORIES.filter((categoryId) =>
+      posts.some((post) => post.categories.includes(categoryId))
+    )
+
+    filters.replaceChildren(
+      ...['all', ...categories].map((categoryId) => {
+        const button = document.createElement('button')
+        const key = categoryId === 'all' ? 'news.filter.all' : `programs.filter.${categoryId}`
+        const isActive = categoryId === activeCategory
+
+        button.type = 'button'
+        button.className = isActive ? 'filter-btn active' : 'filter-btn'
+        button.setAttribute('aria-pressed', String(isActive))
+        button.setAttribute('data-news-category', categoryId)
+        button.setAttribute('data-i18n', key)
+        button.textContent = t(key)
+        return button
+      })
+    )
+  }
+
+  /**
+   * Fills the post view with a post, or a not-found message for an unknown slug
+   * @param {string} slug - Post slug
+   * @returns {NewsPost|undefined} The post shown
+   */
+  const renderPost = (slug) => {
+    const post = posts.find((entry) => entry.slug === slug)
+    const back = document.createElement('a')
+    back.className = 'news-back'
+    back.href = '#news'
+    back.textContent = t('news.back')
+
+    if (post) {
+      postView.replaceChildren(back, createNewsPost(post))
+    } else {
+      const notFound = document.createElement('p')
+      notFound.className = 'programs-status'
+      notFound.setAttribute('role', 'alert')
+      notFound.textContent = t('news.notFound')
+      postView.replaceChildren(back, notFound)
+    }
+
+    document.title = post ? `${post.title} | ${pageTitle}` : pageTitle
+    return post
+  }
+
+  /**
+   * Opens a single post in place of the list
+   * @param {string} slug - Post slug
+   * @param {string} trigger - How the post was opened: navigation (in the page) or url
+   */
+  const showPost = (slug, trigger) => {
+    const post = renderPost(slug)
+
+    listView.hidden = true
+    postView.hidden = false
+
+    const title = safeQuerySelector('h3', postView)
+    scrollToElement(title || postView, { smooth: trigger === 'navigation' })
+
+    if (post) {
+      trackEvent('news_post_view', 'news', { post_id: post.slug, trigger })
+    } else {
+      log(`News post not found: ${slug}`, 'warn')
+    }
+  }
+
+  /**
+   * Returns from a post to the list
+   * @param {string} previousSlug - Slug of the post being closed
+   * @param {boolean} restoreFocus - Move focus back to the post's link (or the section heading)
+   */
+  const showList = (previousSlug, restoreFocus) => {
+    postView.hidden = true
+    postView.replaceChildren()
+    listView.hidden = false
+    document.title = pageTitle
+
+    if (restoreFocus) {
+      const link = safeQuerySelector(
+        `a[href="${CONFIG.NEWS_ROUTE_PREFIX}${encodeURIComponent(previousSlug)}"]`,
+        list
+      )
+      scrollToElement(link || heading || section)
+    }
+  }
+
+  /**
+   * Shows the post or list matching the current hash
+   * @param {string} trigger - navigation (links, back and forward) or url (page load)
+   */
+  const route = (trigger) => {
+    const slug = getNewsRouteSlug()
+
+    if (posts.length === 0 || slug === openSlug) {
+      return
+    }
+
+    const previousSlug = openSlug
+    openSlug = slug
+
+    if (slug) {
+      showPost(slug, trigger)
+    } else {
+      // Only pull focus back when the visitor returned to the news list itself
+      showList(previousSlug, window.location.hash === '#news')
+    }
+  }
+
+  filters.addEventListener(
+    'click',
+    (event) => {
+      const button = event.target.closest('[data-news-category]')
+
+      if (!button || button.getAttribute('aria-pressed') === 'true') {
+        return
+      }
+
+      activeCategory = button.getAttribute('data-news-category')
+      visibleCount = CONFIG.NEWS_PAGE_SIZE
+
+      safeQuerySelectorAll('[data-news-category]', filters).forEach((filterButton) => {
+        const isActive = filterButton === button
+        filterButton.classList.toggle('active', isActive)
+        filterButton.setAttribute('aria-pressed', String(isActive))
+      })
+
+      const resultCount = renderList()
+      trackEvent('news_filter', 'news', { category: activeCategory, result_count: resultCount })
+    },
+    { signal }
+  )
+  filters.addEventListener('keydown', (event) => handleGroupKeyboard(event), { signal })
+
+  moreButton.addEventListener(
+    'click',
+    () => {
+      const firstNewIndex = visibleCount
+      visibleCount += CONFIG.NEWS_PAGE_SIZE
+      const total = renderList(firstNewIndex)
+      trackEvent('news_load_more', 'news', {
+        category: activeCategory,
+        shown: Math.min(visibleCount, total),
+      })
+    },
+    { signal }
+  )
+
+  // Fragment links fire both events; route() ignores the second
+  window.addEventListener('hashchange', () => route('navigation'), { signal })
+  window.addEventListener('popstate', () => route('navigation'), { signal })
+
+  /**
+   * Loads the feed, renders the first page and opens a post linked from the URL
+   */
+  const loadNews = async () => {
+    list.setAttribute('aria-busy', 'true')
+
+    try {
+      posts = await fetchNewsFeed()
+      renderFilters()
+      renderList()
+      route('url')
+      log(`News section loaded ${posts.length} posts`)
+    } catch (error) {
+      posts = []
+      log(`News feed failed to load: ${error.message}`, 'error')
+      showListStatus('news.loadError', true)
+    } finally {
+      list.setAttribute('aria-busy', 'false')
+    }
+  }
+
+  document.addEventListener(
+    'localechange',
+    () => {
+      if (posts.length > 0) {
+        renderList()
+
+        if (openSlug) {
+          renderPost(openSlug)
+        }
+      }
+    },
+    { signal }
+  )
+
+  loadNews()
+
+  log('News section initialized successfully')
+}
@@ -0,0 +1,1145 @@
+/**
+ * NGO Health Landing Page - Programs Section
+ * Health for All Nigeria
+ *
+ * Section module: program cards from the data feed, filters, shareable URLs and the
+ * program detail dialog.
+ */
+
+import { CONFIG } from '../core/config.js'
+import {
+  debounce,
+  getUrlParam,
+  handleGroupKeyboard,
+  log,
+  safeQuerySelector,
+  safeQuerySelectorAll,
+  trapFocus,
+  updateUrlState,
+} from '../core/utils.js'
+import { t } from '../core/i18n.js'
+import { getSectionName, trackEvent } from '../core/analytics.js'
+import { restoreHashPosition, scrollToElement } from '../core/smooth-scroll.js'
+import { observeResponsiveImages } from '../core/images.js'
+import { shouldReduceMotion } from '../core/motion.js'
+import { observeOnce } from '../core/observers.js'
+import { formatMetric, formatMetricDate, loadMetrics, refreshMetrics } from '../core/metrics.js'
+import { fetchProgramsFeed, isActiveProgram, matchesProgramFilters } from '../core/programs-feed.js'
+
+// ============================================
+// Program Cards & Detail
+// ============================================
+
+/** Rendered width of a program card image, matching the .programs-grid breakpoints */
+const PROGRAM_IMAGE_SIZES = '(min-width: 1025px) 33vw, (min-width: 769px) 50vw, 100vw'
+
+/**
+ * Builds a program card element from a feed entry
+ * @param {Object} program - Program entry from the feed
+ * @returns {HTMLElement} Program card article
+ */
+const createProgramCard = (program) => {
+  const card = document.createElement('article')
+  card.className = 'program-card'
+  card.setAttribute('data-categories', (program.categories || []).join(' '))
+  card.setAttribute('data-tags', (program.tags || []).join(' '))
+  card.id = `program-${program.id}`
+  card.setAttribute('data-program-id', program.id)
+
+  if (program.image && program.image.src) {
+    const image = document.createElement('img')
+    image.className = 'program-image'
+    image.setAttribute('data-src', program.image.src)
+    image.setAttribute('data-sizes', PROGRAM_IMAGE_SIZES)
+    image.alt = program.image.alt || ''
+    image.loading = 'lazy'
+    image.decoding = 'async'
+    card.appendChild(image)
+  }
+
+  const content = document.createElement('div')
+  content.className = 'program-content'
+
+  const categories = document.createElement('div')
+  categories.className = 'program-categories'
+  categories.append(
+    ...(program.categories || []).map((categoryId) => {
+      const category = document.createElement('span')
+      category.className = 'program-category'
+      category.setAttribute('data-i18n', `programs.filter.${categoryId}`)
+      category.textContent = t(`programs.filter.${categoryId}`)
+      return category
+    })
+  )
+  content.appendChild(categories)
+
+  const title = document.createElement('h3')
+  title.className = 'program-title'
+  title.id = `program-${program.id}-title`
+  title.textContent = program.title
+  content.appendChild(title)
+
+  if (program.startDate) {
+    const dates = document.createElement('p')
+    const since = document.createElement('time')
+    const label = document.createElement('span')
+    dates.className = 'program-dates'
+    label.setAttribute('data-i18n', 'programs.runningSince')
+    label.textContent = t('programs.runningSince')
+    since.dateTime = program.startDate
+    since.textContent = String(new Date(program.startDate).getFullYear())
+    dates.append(label, ' ', since)
+    content.appendChild(dates)
+  }
+
+  const description = document.createElement('p')
+  description.className = 'program-description'
+  description.textContent = program.description || ''
+  content.appendChild(description)
+
+  if (Array.isArray(program.impact) && program.impact.length > 0) {
+    const impact = document.createElement('div')
+    impact.className = 'program-impact'
+
+    program.impact.forEach((metric) => {
+      const item = document.createElement('div')
+      const number = document.createElement('div')
+      const label = document.createElement('div')
+
+      item.className = 'impact-item'
+      number.className = 'impact-number'
+      if (metric.metric) {
+        // Value, date and source come from the metrics feed (see applyMetrics)
+        number.setAttribute('data-metric', metric.metric)
+        number.textContent = '–'
+      } else {
+        number.textContent = metric.value
+      }
+      label.className = 'impact-label'
+      label.textContent = metric.label
+
+      item.append(number, label)
+      impact.appendChild(item)
+    })
+
+    content.appendChild(impact)
+  }
+
+  // Opens the detail dialog (see openProgramDetail in mount); the title gives the button its context
+  const detailsButton = document.createElement('button')
+  detailsButton.type = 'button'
+  detailsButton.className = 'program-details-btn'
+  detailsButton.setAttribute('data-program-details', program.id)
+  detailsButton.setAttribute('aria-haspopup', 'dialog')
+  detailsButton.setAttribute('aria-describedby', title.id)
+  detailsButton.setAttribute('data-i18n', 'programs.details.open')
+  detailsButton.textContent = t('programs.details.open')
+  content.appendChild(detailsButton)
+
+  card.appendChild(content)
+  return card
+}
+
+/**
+ * Builds a titled block for the program detail dialog
+ * @param {string} headingKey - i18n key of the block heading
+ * @param {...Node} children - Block content
+ * @returns {HTMLElement} Section element
+ */
+const createDetailBlock = (headingKey, ...children) => {
+  const block = document.createElement('section')
+  const heading = document.createElement('h3')
+  block.className = 'program-detail-block'
+  heading.className = 'program-detail-heading'
+  heading.setAttribute('data-i18n', headingKey)
+  heading.textContent = t(headingKey)
+  block.append(heading, ...children)
+  return block
+}
+
+/**
+ * Builds the photo gallery: one large photo with thumbnail buttons to switch between them
+ * @param {Array<{src: string, alt: string, caption: string}>} photos - Gallery entries
+ * @returns {HTMLElement} Gallery block
+ */
+const createProgramGallery = (photos) => {
+  const figure = document.createElement('figure')
+  const image = document.createElement('img')
+  const caption = document.createElement('figcaption')
+  figure.className = 'program-gallery-photo'
+  image.decoding = 'async'
+  figure.append(image, caption)
+
+  /**
+   * Shows a photo in the large view
+   * @param {number} index - Photo index
+   */
+  const showPhoto = (index) => {
+    image.src = photos[index].src
+    image.alt = photos[index].alt || ''
+    caption.textContent = photos[index].caption || ''
+    caption.hidden = !photos[index].caption
+    thumbnails.forEach((thumbnail, thumbnailIndex) =>
+      thumbnail.setAttribute('aria-pressed', String(thumbnailIndex === index))
+    )
+  }
+
+  const thumbnails = photos.map((photo, index) => {
+    const thumbnail = document.createElement('button')
+    const thumbnailImage = document.createElement('img')
+    thumbnail.type = 'button'
+    thumbnail.className = 'program-gallery-thumb'
+    thumbnail.setAttribute(
+      'aria-label',
+      t('programs.details.photo', { number: index + 1, total: photos.length })
+    )
+    thumbnailImage.src = photo.src
+    thumbnailImage.alt = ''
+    thumbnailImage.loading = 'lazy'
+    thumbnail.appendChild(thumbnailImage)
+    thumbnail.addEventListener('click', () => showPhoto(index))
+    thumbnail.addEventListener('keydown', handleGroupKeyboard)
+    return thumbnail
+  })
+
+  const thumbnailGroup = document.createElement('div')
+  thumbnailGroup.className = 'program-gallery-thumbs'
+  thumbnailGroup.setAttribute('role', 'group')
+  thumbnailGroup.setAttribute('aria-label', t('programs.details.gallery'))
+  thumbnailGroup.append(...thumbnails)
+  thumbnailGroup.hidden = photos.length < 2
+
+  showPhoto(0)
+  return createDetailBlock('programs.details.gallery', figure, thumbnailGroup)
+}
+
+/**
+ * Builds an "impact over time" table for a metric with history
+ * The current feed value is the last row; bars are scaled to the largest value
+ * @param {string} label - Impact label from the program entry
+ * @param {Metric} metric - Metric with a history array
+ * @returns {HTMLElement} Figure containing the table and its source note
+ */
+const createImpactHistory = (label, metric) => {
+  // Only the latest figure carries the "at least" suffix
+  const points = [
+    ...metric.history.map((point) => ({ ...point, suffix: '' })),
+    { asOf: metric.asOf, value: metric.value, suffix: metric.suffix },
+  ]
+  const maxValue = Math.max(...points.map((point) => point.value)) || 1
+
+  const figure = document.createElement('figure')
+  const table = document.createElement('table')
+  const tableCaption = document.createElement('caption')
+  const head = document.createElement('thead')
+  const body = document.createElement('tbody')
+  const source = document.createElement('figcaption')
+
+  figure.className = 'program-history'
+  tableCaption.textContent = label
+
+  const headRow = document.createElement('tr')
+  ;[t('programs.details.date'), label].forEach((text) => {
+    const cell = document.createElement('th')
+    cell.scope = 'col'
+    cell.textContent = text
+    headRow.appendChild(cell)
+  })
+  head.appendChild(headRow)
+
+  points.forEach((point) => {
+    const row = document.createElement('tr')
+    const date = document.createElement('th')
+    const cell = document.createElement('td')
+    const value = document.createElement('div')
+    const bar = document.createElement('span')
+    const number = document.createElement('span')
+
+    date.scope = 'row'
+    date.textContent = formatMetricDate(point.asOf)
+    bar.className = 'program-history-bar'
+    bar.setAttribute('aria-hidden', 'true')
+    bar.style.width = `${Math.round((point.value / maxValue) * 100)}%`
+    number.textContent = formatMetric(point.value, { unit: metric.unit, suffix: point.suffix })
+    value.className = 'program-history-value'
+    value.append(bar, number)
+    cell.appendChild(value)
+    row.append(date, cell)
+    body.appendChild(row)
+  })
+
+  source.className = 'program-history-source'
+  source.textContent = t('metrics.note', {
+    source: metric.source,
+    date: formatMetricDate(metric.asOf),
+  })
+
+  table.append(tableCaption, head, body)
+  figure.append(table, source)
+  return figure
+}
+
+/**
+ * Builds the contents of the program detail dialog
+ * Blocks without data in the feed are left out
+ * @param {Object} program - Program entry from the feed
+ * @param {Map<string, Metric>|null} metrics - Metrics feed, or null if it failed to load
+ * @returns {DocumentFragment} Dialog contents; the heading has id "program-dialog-title"
+ */
+const createProgramDetail = (program, metrics) => {
+  const details = program.details || {}
+  const fragment = document.createDocumentFragment()
+
+  const categories = document.createElement('div')
+  categories.className = 'program-categories'
+  categories.append(
+    ...(program.categories || []).map((categoryId) => {
+      const category = document.createElement('span')
+      category.className = 'program-category'
+      category.setAttribute('data-i18n', `programs.filter.${categoryId}`)
+      category.textContent = t(`programs.filter.${categoryId}`)
+      return category
+    })
+  )
+
+  const title = document.createElement('h2')
+  title.id = 'program-dialog-title'
+  title.className = 'program-dialog-title'
+  title.textContent = program.title
+  fragment.append(categories, title)
+
+  const paragraphs = Array.isArray(details.body) ? details.body : [program.description || '']
+  paragraphs.forEach((text) => {
+    const paragraph = document.createElement('p')
+    paragraph.className = 'program-detail-text'
+    paragraph.textContent = text
+    fragment.appendChild(paragraph)
+  })
+
+  if (Array.isArray(details.gallery) && details.gallery.length > 0) {
+    fragment.appendChild(createProgramGallery(details.gallery))
+  }
+
+  if (Array.isArray(details.locations) && details.locations.length > 0) {
+    const list = document.createElement('ul')
+    list.className = 'program-detail-list'
+    list.append(
+      ...details.locations.map((location) => {
+        const item = document.createElement('li')
+        item.textContent = location
+        return item
+      })
+    )
+    fragment.appendChild(createDetailBlock('programs.details.locations', list))
+  }
+
+  if (Array.isArray(details.partners) && details.partners.length > 0) {
+    const list = document.createElement('ul')
+    list.className = 'program-detail-list'
+    list.append(
+      ...details.partners.map((partner) => {
+        const item = document.createElement('li')
+        if (partner.url) {
+          const link = document.createElement('a')
+          link.href = partner.url
+          link.rel = 'noopener'
+          link.textContent = partner.name
+          item.appendChild(link)
+        } else {
+          item.textContent = partner.name
+        }
+        return item
+      })
+    )
+    fragment.appendChild(createDetailBlock('programs.details.partners', list))
+  }
+
+  const histories = metrics
+    ? (program.impact || [])
+        .map((impact) => ({ label: impact.label, metric: metrics.get(impact.metric) }))
+        .filter(({ metric }) => metric && Array.isArray(metric.history) && metric.history.length)
+    : []
+
+  if (histories.length > 0) {
+    fragment.appendChild(
+      createDetailBlock(
+        'programs.details.impact',
+        ...histories.map(({ label, metric }) => createImpactHistory(label, metric))
+      )
+    )
+  }
+
+  if (Array.isArray(details.stories) && details.stories.length > 0) {
+    fragment.appendChild(
+      createDetailBlock(
+        'programs.details.stories',
+        ...details.stories.map((story) => {
+          const figure = document.createElement('figure')
+          const quote = document.createElement('blockquote')
+          const attribution = document.createElement('figcaption')
+          figure.className = 'program-story'
+          quote.textContent = story.quote
+          attribution.textContent = [story.name, story.place].filter(Boolean).join(', ')
+          figure.append(quote, attribution)
+          return figure
+        })
+      )
+    )
+  }
+
+  const callToAction = document.createElement('div')
+  const ctaText = document.createElement('p')
+  const ctaLink = document.createElement('a')
+  callToAction.className = 'program-detail-cta'
+  ctaText.setAttribute('data-i18n', 'programs.details.ctaText')
+  ctaText.textContent = t('programs.details.ctaText')
+  ctaLink.href = '#donate'
+  ctaLink.className = 'btn-nigerian btn-nigerian-primary'
+  ctaLink.setAttribute('data-cta', 'donate')
+  ctaLink.setAttribute('data-program-cta', program.id)
+  ctaLink.setAttribute('data-i18n', 'programs.details.cta')
+  ctaLink.textContent = t('programs.details.cta')
+  callToAction.append(ctaText, ctaLink)
+  fragment.appendChild(callToAction)
+
+  return fragment
+}
+
+// ============================================
+// Programs Section Enhancements
+// ============================================
+
+/**
+ * Mounts the programs section
+ * Renders program cards from the data feed, then implements filtering,
+ * scroll animations, and keyboard navigation
+ * @param {import('../core/sections.js').SectionContext} context - Root element and abort signal
+ * @generated-from: task-id:a96fbe17-7d00-4a1a-8f86-545f25f16b6a
+ */
+export const mount = ({ root: programsSection, signal }) => {
+  const programsGrid = safeQuerySelector('.programs-grid', programsSection)
+
+  if (!programsGrid) {
+    log('Programs grid not found - skipping programs initialization', 'warn')
+    return
+  }
+
+  const filterButtons = safeQuerySelectorAll('.filter-btn', programsSection)
+  const allButton = Array.from(filterButtons).find(
+    (button) => button.getAttribute('data-filter') === 'all'
+  )
+  const categoryButtons = Array.from(filterButtons).filter((button) => button !== allButton)
+  const tagGroup = safeQuerySelector('[data-program-tags]', programsSection)
+  const searchInput = safeQuerySelector('[data-program-search]', programsSection)
+  const clearButtons = safeQuerySelectorAll('[data-programs-clear]', programsSection)
+  const emptyState = safeQuerySelector('[data-programs-empty]', programsSection)
+  const resultsRegion = document.createElement('div')
+
+  /** @type {Array<{program: Object, card: HTMLElement}>} */
+  let programEntries = []
+  let tagButtons = []
+
+  /** Current filters; empty sets mean "any" */
+  const filters = { categories: new Set(), tags: new Set(), query: '' }
+
+  // ============================================
+  // 1. ARIA Live Region for Filter Results
+  // ============================================
+
+  resultsRegion.setAttribute('role', 'status')
+  resultsRegion.setAttribute('aria-live', 'polite')
+  resultsRegion.setAttribute('aria-atomic', 'true')
+  resultsRegion.className = 'sr-only'
+  programsSection.appendChild(resultsRegion)
+
+  // ============================================
+  // 2. Filter Programs (search + categories + tags)
+  // ============================================
+
+  /**
+   * Checks whether any filter is active
+   * @returns {boolean} True if a search, category or tag is applied
+   */
+  const hasActiveFilters = () =>
+    filters.categories.size > 0 || filters.tags.size > 0 || filters.query.trim() !== ''
+
+  /**
+   * Shows the programs matching every active filter and announces the combined count
+   * @param {Object} options - Filter options
+   * @param {boolean} options.track - Whether to report filter usage (default: true)
+   * @param {string} options.trigger - What applied the filter: 'button', 'search' or 'link'
+   */
+  const filterPrograms = ({ track = true, trigger = 'button' } = {}) => {
+    let visibleCount = 0
+
+    programEntries.forEach(({ program, card }) => {
+      const shouldShow = matchesProgramFilters(program, filters)
+
+      if (shouldShow) {
+        card.classList.remove('hidden')
+        card.setAttribute('aria-hidden', 'false')
+        visibleCount++
+      } else {
+        card.classList.add('hidden')
+        card.setAttribute('aria-hidden', 'true')
+      }
+    })
+
+    const isFiltered = hasActiveFilters()
+    const hasPrograms = programEntries.length > 0
+
+    if (emptyState) {
+      emptyState.hidden = !hasPrograms || visibleCount > 0
+    }
+
+    clearButtons.forEach((button) => {
+      if (!emptyState || !emptyState.contains(button)) {
+        button.hidden = !isFiltered
+      }
+    })
+
+    // Update ARIA live region with the combined result
+    if (hasPrograms) {
+      resultsRegion.textContent = isFiltered
+        ? t('programs.showingFiltered', { count: visibleCount, total: programEntries.length })
+        : t('programs.showingAll', { count: visibleCount })
+    }
+
+    // Track filter usage for analytics
+    if (track) {
+      trackFilterUsage(visibleCount, trigger)
+    }
+
+    log(`Filtered programs: ${JSON.stringify(serializeFilters())} (${visibleCount} visible)`)
+  }
+
+  // ============================================
+  // 3. Update Active Filter Buttons
+  // ============================================
+
+  /**
+   * Syncs pressed state of category and tag buttons with the current filters
+   * "All Programs" is pressed while no category is selected
+   */
+  const updateActiveFilter = () => {
+    const setPressed = (button, isActive) => {
+      button.classList.toggle('active', isActive)
+      button.setAttribute('aria-pressed', String(isActive))
+    }
+
+    categoryButtons.forEach((button) =>
+      setPressed(button, filters.categories.has(button.getAttribute('data-filter')))
+    )
+    tagButtons.forEach((button) =>
+      setPressed(button, filters.tags.has(button.getAttribute('data-tag')))
+    )
+
+    if (allButton) {
+      setPressed(allButton, filters.categories.size === 0)
+    }
+
+    if (searchInput && searchInput.value !== filters.query) {
+      searchInput.value = filters.query
+    }
+  }
+
+  // ============================================
+  // 4. Filter Controls
+  // ============================================
+
+  /**
+   * Applies a filter change from the user and records it in the URL
+   * @param {string} trigger - 'button' or 'search'
+   */
+  const commitFilters = (trigger) => {
+    updateActiveFilter()
+    filterPrograms({ trigger })
+    updateUrlState(serializeFilters(), { hash: '#programs' })
+  }
+
+  const debouncedFilter = debounce(commitFilters, CONFIG.FILTER_DEBOUNCE_DELAY)
+
+  /**
+   * Toggles a value in a filter set
+   * @param {Set<string>} set - Category or tag set
+   * @param {string} value - Value to toggle
+   */
+  const toggleFilterValue = (set, value) => {
+    if (set.has(value)) {
+      set.delete(value)
+    } else {
+      set.add(value)
+    }
+  }
+
+  filterButtons.forEach((button) => {
+    // Set initial ARIA attributes
+    button.setAttribute('role', 'button')
+    button.setAttribute('aria-pressed', button.classList.contains('active') ? 'true' : 'false')
+
+    // Click handler: categories are multi-select, "All Programs" clears them
+    button.addEventListener(
+      'click',
+      () => {
+        if (button === allButton) {
+          filters.categories.clear()
+        } else {
+          toggleFilterValue(filters.categories, button.getAttribute('data-filter'))
+        }
+        updateActiveFilter()
+        debouncedFilter('button')
+      },
+      { signal }
+    )
+  })
+
+  if (searchInput) {
+    const debouncedSearch = debounce(() => commitFilters('search'), CONFIG.PROGRAM_SEARCH_DEBOUNCE)
+
+    searchInput.addEventListener(
+      'input',
+      () => {
+        filters.query = searchInput.value
+        debouncedSearch()
+      },
+      { signal }
+    )
+  }
+
+  /**
+   * Clears the search, categories and tags
+   */
+  const clearAllFilters = () => {
+    filters.categories.clear()
+    filters.tags.clear()
+    filters.query = ''
+    commitFilters('button')
+
+    if (searchInput) {
+      searchInput.focus()
+    }
+  }
+
+  clearButtons.forEach((button) => button.addEventListener('click', clearAllFilters, { signal }))
+
+  // ============================================
+  // 5. Keyboard Navigation for Filter Buttons
+  // ============================================
+
+  filterButtons.forEach((button) => {
+    button.addEventListener('keydown', handleGroupKeyboard, { signal })
+    button.setAttribute('tabindex', '0')
+  })
+
+  log(`Keyboard navigation initialized for ${filterButtons.length} filter buttons`)
+
+  /**
+   * Renders one toggle button per tag used by the current programs
+   * @param {Array<Object>} programs - Displayed programs
+   */
+  const renderTagButtons = (programs) => {
+    if (!tagGroup) {
+      return
+    }
+
+    const tags = [...new Set(programs.flatMap((program) => program.tags || []))].sort()
+
+    // Drop tags from the URL that no current program uses
+    filters.tags = new Set([...filters.tags].filter((tag) => tags.includes(tag)))
+
+    tagButtons = tags.map((tag) => {
+      const button = document.createElement('button')
+      button.type = 'button'
+      button.className = 'filter-btn tag-btn'
+      button.setAttribute('data-tag', tag)
+      button.setAttribute('data-i18n', `programs.tag.${tag}`)
+      button.textContent = t(`programs.tag.${tag}`)
+      button.addEventListener(
+        'click',
+        () => {
+          toggleFilterValue(filters.tags, tag)
+          updateActiveFilter()
+          debouncedFilter('button')
+        },
+        { signal }
+      )
+      button.addEventListener('keydown', handleGroupKeyboard, { signal })
+      return button
+    })
+
+    tagGroup.replaceChildren(...tagButtons)
+    tagGroup.hidden = tagButtons.length === 0
+  }
+
+  // ============================================
+  // 6. Staggered Card Animations on Scroll
+  // ============================================
+
+  /**
+   * Animates program cards with staggered fade-in effect
+   */
+  const animateProgramCards = () => {
+    const programCards = programEntries.map(({ card }) => card)
+
+    /**
+     * Reveals a card, staggered by its position among the visible cards
+     * @param {HTMLElement} card - Program card entering the viewport
+     */
+    const revealCard = (card) => {
+      const cards = programCards.filter((c) => !c.classList.contains('hidden'))
+      const index = cards.indexOf(card)
+      const delay = shouldReduceMotion() ? 0 : index * CONFIG.PROGRAM_CARD_STAGGER_DELAY
+
+      setTimeout(() => {
+        card.classList.add('visible')
+        log(`Program card animated with delay: ${delay}ms`)
+      }, delay)
+    }
+
+    programCards.forEach((card) => card.classList.add('fade-in-up'))
+    observeOnce(programCards, revealCard, {
+      threshold: CONFIG.PROGRAMS_ANIMATION_THRESHOLD,
+      rootMargin: '0px 0px -50px 0px',
+      signal,
+    })
+
+    log(`Staggered animations initialized for ${programCards.length} program cards`)
+  }
+
+  // ============================================
+  // 7. Analytics Tracking for Filter Usage
+  // ============================================
+
+  /**
+   * Tracks filter usage through the analytics event bus
+   * The search text itself is never sent, only whether one was used
+   * @param {number} resultCount - Number of visible results
+   * @param {string} trigger - 'button' or 'search' for in-page use, 'link' for a shared URL
+   */
+  const trackFilterUsage = (resultCount, trigger = 'button') => {
+    const { category, tag } = serializeFilters()
+
+    trackEvent('program_filter', 'programs', {
+      filter_category: category || 'all',
+      filter_tags: tag || 'none',
+      has_query: filters.query.trim() !== '',
+      result_count: resultCount,
+      trigger,
+    })
+
+    log(`Filter usage tracked: ${category || 'all'} (${resultCount} results)`)
+  }
+
+  // ============================================
+  // 8. Render Program Cards from Data Feed
+  // ============================================
+
+  /**
+   * Replaces the grid contents with a loading or error message
+   * @param {string} messageKey - i18n key of the status message
+   * @param {boolean} isError - Whether to render the error state with a retry button
+   */
+  const showProgramsStatus = (messageKey, isError = false) => {
+    const status = document.createElement('p')
+    const message = document.createElement('span')
+    status.className = isError ? 'programs-status programs-status-error' : 'programs-status'
+    status.setAttribute('data-programs-status', '')
+    message.setAttribute('data-i18n', messageKey)
+    message.textContent = t(messageKey)
+    status.appendChild(message)
+
+    if (isError) {
+      status.setAttribute('role', 'alert')
+
+      const retryButton = document.createElement('button')
+      retryButton.type = 'button'
+      retryButton.className = 'programs-retry-btn'
+      retryButton.setAttribute('data-i18n', 'common.tryAgain')
+      retryButton.textContent = t('common.tryAgain')
+      retryButton.addEventListener('click', () => loadPrograms(), { signal })
+      status.append(' ', retryButton)
+    }
+
+    programsGrid.replaceChildren(status)
+  }
+
+  /**
+   * Renders active programs into the grid and re-applies the current filters
+   * @param {Array<Object>} programs - Program entries from the feed
+   */
+  const renderPrograms = (programs) => {
+    const activePrograms = programs.filter((program) => isActiveProgram(program))
+
+    if (activePrograms.length === 0) {
+      programEntries = []
+      showProgramsStatus('programs.empty')
+      return
+    }
+
+    programEntries = activePrograms.map((program) => ({
+      program,
+      card: createProgramCard(program),
+    }))
+    programsGrid.replaceChildren(...programEntries.map(({ card }) => card))
+    renderTagButtons(activePrograms)
+    updateActiveFilter()
+
+    // Filters opened from a shared link are reported once, on first render
+    filterPrograms({ track: isLinkedFilterPending, trigger: 'link' })
+    isLinkedFilterPending = false
+    animateProgramCards()
+    refreshMetrics(programsGrid)
+    observeResponsiveImages(programsGrid)
+
+    // Cards change the page height, so re-apply #programs / #program-<id> positioning
+    restoreHashPosition('#program')
+    syncDetailWithUrl()
+
+    log(`Rendered ${programEntries.length} program cards from data feed`)
+  }
+
+  /**
+   * Loads the programs feed, showing loading and error states as needed
+   */
+  const loadPrograms = async () => {
+    programsGrid.setAttribute('aria-busy', 'true')
+    showProgramsStatus('programs.loading')
+
+    try {
+      const programs = await fetchProgramsFeed()
+      renderPrograms(programs)
+    } catch (error) {
+      programEntries = []
+      log(`Programs feed failed to load: ${error.message}`, 'error')
+      showProgramsStatus('programs.loadError', true)
+    } finally {
+      programsGrid.setAttribute('aria-busy', 'false')
+    }
+  }
+
+  // ============================================
+  // 9. Shareable Filter State (URL)
+  // ============================================
+
+  /**
+   * Converts the current filters to URL query parameters
+   * @returns {Object<string, string>} Parameters; empty strings are removed from the URL
+   */
+  const serializeFilters = () => ({
+    [CONFIG.PROGRAM_FILTER_PARAM]: [...filters.categories].join(','),
+    [CONFIG.PROGRAM_TAG_PARAM]: [...filters.tags].join(','),
+    [CONFIG.PROGRAM_SEARCH_PARAM]: filters.query.trim(),
+  })
+
+  /**
+   * Reads the filters from the URL, ignoring unknown categories
+   * Tags are validated once the feed has rendered their buttons
+   */
+  const readFiltersFromUrl = () => {
+    const knownCategories = categoryButtons.map((button) => button.getAttribute('data-filter'))
+    const splitParam = (name) => getUrlParam(name).split(',').filter(Boolean)
+
+    filters.categories = new Set(
+      splitParam(CONFIG.PROGRAM_FILTER_PARAM).filter((category) =>
+        knownCategories.includes(category)
+      )
+    )
+    filters.tags = new Set(splitParam(CONFIG.PROGRAM_TAG_PARAM))
+    filters.query = getUrlParam(CONFIG.PROGRAM_SEARCH_PARAM)
+  }
+
+  // ============================================
+  // 10. Program Detail Dialog
+  // ============================================
+
+  const detailDialog = safeQuerySelector('[data-program-dialog]')
+  const detailBody = detailDialog
+    ? safeQuerySelector('[data-program-dialog-body]', detailDialog)
+    : null
+  let openProgramId = null
+  let detailOpener = null
+
+  /**
+   * Opens the detail dialog for a program
+   * Impact history is left out if the metrics feed cannot be loaded
+   * @param {string} programId - Program id
+   * @param {Object} options - Open options
+   * @param {string} options.trigger - What opened the dialog: 'card' or 'link'
+   * @param {boolean} options.track - Whether to report the view (default: true)
+   * @param {boolean} options.updateUrl - Whether to add a history entry (default: true)
+   */
+  const openProgramDetail = async (
+    programId,
+    { trigger = 'card', track = true, updateUrl = true } = {}
+  ) => {
+    const entry = programEntries.find(({ program }) => program.id === programId)
+
+    if (!detailDialog || !detailBody || !entry) {
+      log(`Program details unavailable: ${programId}`, 'warn')
+      return
+    }
+
+    if (!openProgramId) {
+      detailOpener = document.activeElement
+    }
+    openProgramId = programId
+
+    let metrics = null
+    try {
+      metrics = await loadMetrics()
+    } catch (error) {
+      log(`Impact history unavailable: ${error.message}`, 'warn')
+    }
+
+    // Closed or switched to another program while the metrics loaded
+    if (openProgramId !== programId) {
+      return
+    }
+
+    detailBody.replaceChildren(createProgramDetail(entry.program, metrics))
+    detailDialog.scrollTop = 0
+
+    if (!detailDialog.open) {
+      if (typeof detailDialog.showModal === 'function') {
+        detailDialog.showModal()
+      } else {
+        // Fallback for browsers without <dialog> support
+        detailDialog.setAttribute('open', '')
+        safeQuerySelector('[data-program-dialog-close]', detailDialog).focus()
+      }
+    }
+
+    if (updateUrl) {
+      updateUrlState(
+        { [CONFIG.PROGRAM_DETAIL_PARAM]: programId },
+        { hash: `#program-${programId}` }
+      )
+    }
+
+    if (track) {
+      trackEvent('program_detail_view', 'programs', { program_id: programId, trigger })
+    }
+
+    log(`Program details opened: ${programId}`)
+  }
+
+  /**
+   * Closes the detail dialog and returns focus to the control that opened it
+   * (or the program's "View details" button when it was opened from a link)
+   * @param {Object} options - Close options
+   * @param {boolean} options.updateUrl - Whether to add a history entry (default: true)
+   * @param {boolean} options.restoreFocus - Whether to move focus back (default: true)
+   */
+  const closeProgramDetail = ({ updateUrl = true, restoreFocus = true } = {}) => {
+    if (!openProgramId) {
+      return
+    }
+
+    const programId = openProgramId
+    openProgramId = null
+
+    if (typeof detailDialog.close === 'function' && detailDialog.open) {
+      detailDialog.close()
+    } else {
+      detailDialog.removeAttribute('open')
+    }
+
+    if (updateUrl) {
+      updateUrlState({ [CONFIG.PROGRAM_DETAIL_PARAM]: '' })
+    }
+
+    const canRefocus =
+      detailOpener && detailOpener !== document.body && document.contains(detailOpener)
+    const focusTarget = canRefocus
+      ? detailOpener
+      : safeQuerySelector(`[data-program-details="${programId}"]`, programsGrid)
+
+    if (restoreFocus && focusTarget) {
+      focusTarget.focus()
+    }
+    detailOpener = null
+  }
+
+  /**
+   * Opens or closes the dialog to match ?program= in the URL
+   * Unknown programs are removed from the URL
+   * @param {Object} options - Sync options
+   * @param {boolean} options.track - Whether to report a view opened from the URL
+   */
+  const syncDetailWithUrl = ({ track = true } = {}) => {
+    const programId = getUrlParam(CONFIG.PROGRAM_DETAIL_PARAM)
+
+    if (programId === (openProgramId || '')) {
+      return
+    }
+
+    if (!programId) {
+      closeProgramDetail({ updateUrl: false })
+      return
+    }
+
+    if (!programEntries.some(({ program }) => program.id === programId)) {
+      log(`Unknown program in URL: ${programId}`, 'warn')
+      updateUrlState({ [CONFIG.PROGRAM_DETAIL_PARAM]: '' }, { replace: true })
+      return
+    }
+
+    openProgramDetail(programId, { trigger: 'link', track, updateUrl: false })
+  }
+
+  /**
+   * Handles the dialog's "Support this program" link
+   * Pre-selects the donation tier tied to the program, if there is one, then scrolls to the form
+   * @param {Event} event - Click event
+   * @param {HTMLAnchorElement} link - Call-to-action link
+   */
+  const handleDetailCta = (event, link) => {
+    const programId = link.getAttribute('data-program-cta')
+    const target = safeQuerySelector(link.getAttribute('href'))
+
+    if (!target) {
+      return
+    }
+
+    event.preventDefault()
+    closeProgramDetail({ updateUrl: false, restoreFocus: false })
+
+    const tier = safeQuerySelector(`input[name="tier"][data-program="${programId}"]`, target)
+    if (tier) {
+      tier.checked = true
+      tier.dispatchEvent(new Event('change', { bubbles: true }))
+    }
+
+    scrollToElement(target)
+    updateUrlState({ [CONFIG.PROGRAM_DETAIL_PARAM]: '' }, { hash: link.getAttribute('href') })
+
+    trackEvent('cta_click', 'programs', {
+      cta_type: link.getAttribute('data-cta'),
+      cta_href: link.getAttribute('href'),
+      cta_text: link.textContent.trim(),
+      program_id: programId,
+    })
+  }
+
+  // Cards open their details on click; links and other controls keep their own behaviour
+  programsGrid.addEventListener(
+    'click',
+    (event) => {
+      const card = event.target.closest('.program-card')
+      const control = event.target.closest('a, button')
+
+      if (!card || (control && !control.hasAttribute('data-program-details'))) {
+        return
+      }
+
+      openProgramDetail(card.getAttribute('data-program-id'))
+    },
+    { signal }
+  )
+
+  // Program links elsewhere on the page (such as stories) open the dialog without a reload;
+  // modified clicks still open the link in a new tab or window
+  document.addEventListener(
+    'click',
+    (event) => {
+      const link = event.target.closest('a[data-program-details]')
+      const programId = link ? link.getAttribute('data-program-details') : ''
+      const isModified = event.button !== 0 || event.ctrlKey || event.metaKey || event.shiftKey
+
+      if (
+        !programId ||
+        isModified ||
+        !programEntries.some(({ program }) => program.id === programId)
+      ) {
+        return
+      }
+
+      event.preventDefault()
+      openProgramDetail(programId, { trigger: getSectionName(link) })
+    },
+    { signal }
+  )
+
+  // Arrow keys move between the visible cards' "View details" buttons
+  programsGrid.addEventListener(
+    'keydown',
+    (event) => {
+      if (event.target.hasAttribute('data-program-details')) {
+        handleGroupKeyboard(event, '.programs-grid')
+      }
+    },
+    { signal }
+  )
+
+  if (detailDialog) {
+    safeQuerySelectorAll('[data-program-dialog-close]', detailDialog).forEach((button) => {
+      button.addEventListener('click', () => closeProgramDetail(), { signal })
+    })
+
+    // Escape (or the Android back gesture) asks to close; route it through the same cleanup
+    detailDialog.addEventListener(
+      'cancel',
+      (event) => {
+        event.preventDefault()
+        closeProgramDetail()
+      },
+      { signal }
+    )
+
+    detailDialog.addEventListener(
+      'keydown',
+      (event) => {
+        if (event.key === 'Escape') {
+          event.preventDefault()
+          closeProgramDetail()
+          return
+        }
+
+        trapFocus(event, detailDialog)
+      },
+      { signal }
+    )
+
+    detailDialog.addEventListener(
+      'click',
+      (event) => {
+        const ctaLink = event.target.closest('[data-program-cta]')
+
+        if (ctaLink) {
+          handleDetailCta(event, ctaLink)
+        } else if (event.target === detailDialog) {
+          // Clicks on the backdrop land on the dialog element itself
+          closeProgramDetail()
+        }
+      },
+      { signal }
+    )
+  }
+
+  readFiltersFromUrl()
+  let isLinkedFilterPending = hasActiveFilters()
+  updateActiveFilter()
+
+  // Back/forward restores the filters and open program recorded in that history entry
+  window.addEventListener(
+    'popstate',
+    () => {
+      syncDetailWithUrl({ track: false })
+
+      const previous = JSON.stringify(serializeFilters())
+      readFiltersFromUrl()
+
+      if (JSON.stringify(serializeFilters()) === previous) {
+        return
+      }
+
+      updateActiveFilter()
+      filterPrograms({ track: false })
+    },
+    { signal }
+  )
+
+  loadPrograms()
+
+  log('Programs section initialized successfully')
+}
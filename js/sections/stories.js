@@ -0,0 +1,319 @@
+/**
+ * NGO Health Landing Page - Stories Carousel
+ * Health for All Nigeria
+ *
+ * Section module: rotating stories with pause, previous/next and picker controls.
+ */
+
+import { CONFIG } from '../core/config.js'
+import { handleGroupKeyboard, log, safeQuerySelector, safeQuerySelectorAll } from '../core/utils.js'
+import { t } from '../core/i18n.js'
+import { trackEvent } from '../core/analytics.js'
+import { observeResponsiveImages } from '../core/images.js'
+import { prefersReducedMotion } from '../core/motion.js'
+import { fetchProgramsFeed } from '../core/programs-feed.js'
+
+// ============================================
+// Stories Carousel
+// ============================================
+
+/**
+ * @typedef {Object} Story
+ * @property {string} id - Stable identifier
+ * @property {string} quote - The beneficiary's words
+ * @property {string} [name] - First name, shown when the person agreed to be named
+ * @property {string} [label] - Anonymised description used instead of a name
+ * @property {string} community - LGA and state, e.g. "Ungogo, Kano"
+ * @property {string} [program] - Id of the program in data/programs.json
+ * @property {{src: string, alt: string, consent: boolean}} [photo] - Shown only with consent
+ */
+
+/**
+ * Fetches and validates the versioned stories data feed
+ * Entries without a quote, a name or label, or a community are skipped
+ * @returns {Promise<Array<Story>>} Stories in feed order
+ * @throws {Error} If the request fails or the feed version is unsupported
+ */
+const fetchStoriesFeed = async () => {
+  const response = await fetch(CONFIG.STORIES_FEED_URL, {
+    headers: { Accept: 'application/json' },
+  })
+
+  if (!response.ok) {
+    throw new Error(`Stories feed request failed with status ${response.status}`)
+  }
+
+  const feed = await response.json()
+
+  if (!feed || feed.version !== CONFIG.STORIES_FEED_VERSION || !Array.isArray(feed.stories)) {
+    throw new Error(`Unsupported stories feed version: ${feed && feed.version}`)
+  }
+
+  return feed.stories.filter((story) => {
+    const isValid =
+      story && story.id && story.quote && (story.name || story.label) && story.community
+
+    if (!isValid) {
+      log(`Skipping malformed story entry: ${JSON.stringify(story)}`, 'warn')
+    }
+
+    return isValid
+  })
+}
+
+/**
+ * Builds one carousel slide
+ * The photo is only included when the person consented to it being published
+ * @param {Story} story - Story to display
+ * @param {string} programTitle - Title of the related program, or '' if unknown
+ * @returns {HTMLElement} Slide element
+ */
+const createStorySlide = (story, programTitle) => {
+  const slide = document.createElement('figure')
+  slide.className = 'story-slide'
+  slide.id = `story-${story.id}`
+  slide.setAttribute('role', 'group')
+  slide.setAttribute('aria-roledescription', t('stories.slide'))
+
+  if (story.photo && story.photo.consent === true && story.photo.src) {
+    const image = document.createElement('img')
+    image.className = 'story-photo'
+    image.setAttribute('data-src', story.photo.src)
+    image.setAttribute('data-sizes', '160px')
+    image.alt = story.photo.alt || ''
+    image.width = 160
+    image.height = 160
+    slide.appendChild(image)
+  } else {
+    slide.classList.add('story-slide-no-photo')
+  }
+
+  const quote = document.createElement('blockquote')
+  quote.className = 'story-quote'
+  quote.textContent = story.quote
+
+  const caption = document.createElement('figcaption')
+  caption.className = 'story-caption'
+
+  const name = document.createElement('span')
+  name.className = 'story-name'
+  name.textContent = story.name || story.label
+
+  const community = document.createElement('span')
+  community.className = 'story-community'
+  community.textContent = story.community
+
+  caption.append(name, community)
+
+  if (programTitle) {
+    const programLink = document.createElement('a')
+    programLink.className = 'story-program'
+    programLink.href = `?${CONFIG.PROGRAM_DETAIL_PARAM}=${encodeURIComponent(story.program)}#program-${story.program}`
+    programLink.setAttribute('data-program-details', story.program)
+    programLink.textContent = programTitle
+    caption.appendChild(programLink)
+  }
+
+  slide.append(quote, caption)
+  return slide
+}
+
+/**
+ * Mounts the stories carousel
+ * Rotates automatically unless the visitor prefers reduced motion, and pauses while it
+ * has keyboard focus or the pointer, following the WAI-ARIA carousel pattern
+ * @param {import('../core/sections.js').SectionContext} context - Root element and abort signal
+ */
+export const mount = ({ root: carousel, signal }) => {
+  const slidesContainer = safeQuerySelector('[data-stories-slides]', carousel)
+  const status = safeQuerySelector('[data-stories-status]', carousel)
+  const controls = safeQuerySelector('[data-stories-controls]', carousel)
+  const rotationButton = safeQuerySelector('[data-stories-rotation]', carousel)
+  const prevButton = safeQuerySelector('[data-stories-prev]', carousel)
+  const nextButton = safeQuerySelector('[data-stories-next]', carousel)
+  const picker = safeQuerySelector('[data-stories-picker]', carousel)
+
+  /** @type {Array<Story>} */
+  let stories = []
+  let slides = []
+  let currentIndex = 0
+  let rotationTimer = null
+  // Stopped by the visitor (or by reduced motion); focus and hover only pause temporarily
+  let isRotationStopped = prefersReducedMotion()
+  let isInteracting = false
+
+  /**
+   * Updates slide labels and control text for the current locale
+   */
+  const updateLabels = () => {
+    slides.forEach((slide, index) => {
+      slide.setAttribute('aria-roledescription', t('stories.slide'))
+      slide.setAttribute(
+        'aria-label',
+        t('stories.slideLabel', { current: index + 1, total: slides.length })
+      )
+    })
+
+    safeQuerySelectorAll('button', picker).forEach((button, index) => {
+      button.setAttribute(
+        'aria-label',
+        t('stories.pickLabel', { name: stories[index].name || stories[index].label })
+      )
+    })
+
+    rotationButton.textContent = t(isRotationStopped ? 'stories.play' : 'stories.pause')
+  }
+
+  /**
+   * Shows one slide and hides the rest
+   * @param {number} index - Slide index (wraps around)
+   */
+  const showSlide = (index) => {
+    currentIndex = (index + slides.length) % slides.length
+
+    slides.forEach((slide, slideIndex) => {
+      slide.hidden = slideIndex !== currentIndex
+    })
+
+    safeQuerySelectorAll('button', picker).forEach((button, buttonIndex) => {
+      button.setAttribute('aria-pressed', String(buttonIndex === currentIndex))
+    })
+  }
+
+  /**
+   * Starts or stops the automatic rotation to match the current state
+   */
+  const updateRotation = () => {
+    // The feed may finish loading after the section has been unmounted
+    const shouldRotate =
+      !signal.aborted && !isRotationStopped && !isInteracting && slides.length > 1
+
+    clearInterval(rotationTimer)
+    rotationTimer = shouldRotate
+      ? setInterval(() => showSlide(currentIndex + 1), CONFIG.STORIES_ROTATION_INTERVAL)
+      : null
+
+    // Announce slide changes only when they are not happening automatically
+    slidesContainer.setAttribute('aria-live', shouldRotate ? 'off' : 'polite')
+  }
+
+  /**
+   * Moves to a slide at the visitor's request
+   * @param {number} index - Slide index
+   * @param {string} trigger - Control used: prev, next or picker
+   */
+  const goToSlide = (index, trigger) => {
+    showSlide(index)
+    trackEvent('story_navigate', 'stories', { story_id: stories[currentIndex].id, trigger })
+  }
+
+  /**
+   * Renders the stories, linking each to its program when the programs feed is available
+   */
+  const renderStories = async () => {
+    try {
+      const [storyList, programs] = await Promise.all([
+        fetchStoriesFeed(),
+        fetchProgramsFeed().catch(() => []),
+      ])
+      const programTitles = new Map(programs.map((program) => [program.id, program.title]))
+
+      stories = storyList
+
+      if (stories.length === 0) {
+        carousel.hidden = true
+        return
+      }
+
+      slides = stories.map((story) =>
+        createStorySlide(story, programTitles.get(story.program) || '')
+      )
+      slidesContainer.replaceChildren(...slides)
+
+      picker.replaceChildren(
+        ...stories.map((story, index) => {
+          const button = document.createElement('button')
+          button.type = 'button'
+          button.className = 'stories-pick-btn'
+          button.setAttribute('aria-controls', slides[index].id)
+          button.addEventListener('click', () => goToSlide(index, 'picker'), { signal })
+          return button
+        })
+      )
+
+      controls.hidden = stories.length < 2
+      picker.hidden = stories.length < 2
+      showSlide(0)
+      updateLabels()
+      updateRotation()
+      observeResponsiveImages(slidesContainer)
+
+      log(`Stories carousel rendered with ${stories.length} stories`)
+    } catch (error) {
+      status.textContent = t('stories.loadError')
+      log(`Stories feed error: ${error.message}`, 'error')
+    }
+  }
+
+  rotationButton.addEventListener(
+    'click',
+    () => {
+      isRotationStopped = !isRotationStopped
+      updateLabels()
+      updateRotation()
+      trackEvent('story_navigate', 'stories', {
+        story_id: stories[currentIndex].id,
+        trigger: isRotationStopped ? 'pause' : 'play',
+      })
+    },
+    { signal }
+  )
+
+  prevButton.addEventListener('click', () => goToSlide(currentIndex - 1, 'prev'), { signal })
+  nextButton.addEventListener('click', () => goToSlide(currentIndex + 1, 'next'), { signal })
+  picker.addEventListener('keydown', (event) => handleGroupKeyboard(event), { signal })
+
+  /**
+   * Pauses rotation while the visitor is reading or using the controls
+   * @param {boolean} value - Whether the carousel has focus or the pointer
+   */
+  const setInteracting = (value) => {
+    isInteracting = value
+    updateRotation()
+  }
+
+  carousel.addEventListener('focusin', () => setInteracting(true), { signal })
+  carousel.addEventListener(
+    'focusout',
+    (event) => {
+      if (!carousel.contains(event.relatedTarget)) {
+        setInteracting(false)
+      }
+    },
+    { signal }
+  )
+  carousel.addEventListener('mouseenter', () => setInteracting(true), { signal })
+  carousel.addEventListener(
+    'mouseleave',
+    () => {
+      setInteracting(carousel.contains(document.activeElement))
+    },
+    { signal }
+  )
+
+  document.addEventListener(
+    'localechange',
+    () => {
+      if (slides.length > 0) {
+        updateLabels()
+      }
+    },
+    { signal }
+  )
+
+  // Stop rotating when the section is unmounted
+  signal.addEventListener('abort', () => clearInterval(rotationTimer), { once: true })
+
+  renderStories()
+  log('Stories carousel initialized successfully')
+}
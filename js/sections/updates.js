@@ -0,0 +1,442 @@
+/**
+ * NGO Health Landing Page - Updates Subscription
+ * Health for All Nigeria
+ *
+ * Section module: email / SMS updates with double opt-in through subscription adapters.
+ */
+
+import { CONFIG } from '../core/config.js'
+import { getUrlParam, log, safeQuerySelector, updateUrlState, wait } from '../core/utils.js'
+import { i18nState, t } from '../core/i18n.js'
+import { trackEvent } from '../core/analytics.js'
+import {
+  clearValidationError,
+  isValidEmail,
+  registerValidator,
+  setFormStatus,
+  showErrorSummary,
+  showValidationError,
+  validateField,
+  validateOnBlur,
+} from '../core/forms.js'
+import { normalizeNigerianPhone } from '../core/phone.js'
+import { PROGRAM_CATEGORIES } from '../core/programs-feed.js'
+import {
+  checkFormForSpam,
+  getProofOfWork,
+  recordFormSubmission,
+  SPAM_CHECK_MESSAGES,
+} from '../core/spam-protection.js'
+
+// ============================================
+// Subscription Adapters
+// ============================================
+
+/**
+ * @typedef {Object} SubscriptionRequest
+ * @property {string} channel - 'email' or 'sms'
+ * @property {string} address - Email address, or phone number in +234 format
+ * @property {Array<string>} topics - Program category ids; empty for every update
+ * @property {string} locale - Interface locale, so messages can be sent in the same language
+ * @property {string} [proofOfWork] - Proof-of-work token for the backend to verify before
+ *   sending a code (see js/core/spam-protection.js)
+ */
+
+/**
+ * @typedef {Object} SubscriptionAdapter
+ * @property {string} name - Backend identifier matched against CONFIG.SUBSCRIPTION_PROVIDER
+ * @property {function(SubscriptionRequest): Promise<{status: string, subscriptionId: string}>}
+ *   subscribe - Sends a confirmation code; status is 'pending' or 'failed'
+ * @property {function({subscriptionId: string, code: string}): Promise<{status: string}>}
+ *   confirm - Checks the code; status is 'confirmed', 'invalid' or 'expired'
+ * @property {function({token: string}): Promise<{status: string}>} unsubscribe - Ends a
+ *   subscription from the token in an unsubscribe link; status is 'unsubscribed' or 'invalid'
+ */
+
+const subscriptionAdapters = new Map()
+
+/**
+ * Registers a subscription backend adapter
+ * @param {SubscriptionAdapter} adapter - Adapter to register
+ * @throws {TypeError} If the adapter does not implement the interface
+ */
+export const registerSubscriptionAdapter = (adapter) => {
+  if (
+    !adapter ||
+    !adapter.name ||
+    ['subscribe', 'confirm', 'unsubscribe'].some((method) => typeof adapter[method] !== 'function')
+  ) {
+    throw new TypeError(
+      'Subscription adapter must have a name and subscribe, confirm and unsubscribe functions'
+    )
+  }
+
+  subscriptionAdapters.set(adapter.name, adapter)
+  log(`Subscription adapter registered: ${adapter.name}`)
+}
+
+/**
+ * Looks up a registered subscription adapter
+ * @param {string} name - Backend name (default: CONFIG.SUBSCRIPTION_PROVIDER)
+ * @returns {SubscriptionAdapter|null} Adapter or null if not registered
+ */
+const getSubscriptionAdapter = (name = CONFIG.SUBSCRIPTION_PROVIDER) => {
+  return subscriptionAdapters.get(name) || null
+}
+
+const mockSubscriptions = new Map()
+
+/**
+ * Mock subscription adapter for local end-to-end testing
+ * Logs the confirmation code and unsubscribe link to the console instead of sending them
+ * @type {SubscriptionAdapter}
+ */
+const mockSubscriptionAdapter = {
+  name: 'mock',
+  subscribe: async (request) => {
+    await wait(CONFIG.MOCK_SUBSCRIPTION_DELAY)
+
+    const length = CONFIG.SUBSCRIPTION_CODE_LENGTH
+    const subscriptionId = `mock-${Date.now().toString(36)}`
+    const code = String(Math.floor(Math.random() * 10 ** length)).padStart(length, '0')
+
+    mockSubscriptions.set(subscriptionId, code)
+    log(`[MockSubscription] ${request.channel} confirmation code: ${code}`)
+
+    return { status: 'pending', subscriptionId }
+  },
+  confirm: async ({ subscriptionId, code }) => {
+    await wait(CONFIG.MOCK_SUBSCRIPTION_DELAY)
+
+    if (!mockSubscriptions.has(subscriptionId)) {
+      return { status: 'expired' }
+    }
+
+    if (mockSubscriptions.get(subscriptionId) !== code) {
+      return { status: 'invalid' }
+    }
+
+    mockSubscriptions.delete(subscriptionId)
+
+    const link = new URL(window.location.href)
+    link.search = ''
+    link.searchParams.set(CONFIG.SUBSCRIPTION_UNSUBSCRIBE_PARAM, subscriptionId)
+    link.hash = '#updates'
+    log(`[MockSubscription] Unsubscribe link: ${link.href}`)
+
+    return { status: 'confirmed' }
+  },
+  unsubscribe: async ({ token }) => {
+    await wait(CONFIG.MOCK_SUBSCRIPTION_DELAY)
+    return { status: token.startsWith('mock-') ? 'unsubscribed' : 'invalid' }
+  },
+}
+
+registerSubscriptionAdapter(mockSubscriptionAdapter)
+
+// ============================================
+// Updates Subscription
+// ============================================
+
+/**
+ * Works out whether subscription contact details are an email address or a phone number
+ * @param {string} value - Email address or Nigerian phone number as typed
+ * @returns {{channel: string, address: string}|null} Channel and normalised address, or null
+ */
+export const parseSubscriptionContact = (value) => {
+  const contact = String(value || '').trim()
+
+  if (contact.includes('@')) {
+    return isValidEmail(contact) ? { channel: 'email', address: contact.toLowerCase() } : null
+  }
+
+  const phone = normalizeNigerianPhone(contact)
+  return phone ? { channel: 'sms', address: phone } : null
+}
+
+// Used by the contact field's data-validator, so it is checked on blur as well as on submit
+registerValidator(
+  'subscriptionContact',
+  (value) => Boolean(parseSubscriptionContact(value)) || 'validation.contact'
+)
+
+/**
+ * Mounts the email / SMS updates widget
+ * Runs the double opt-in (details, then confirmation code) through the configured
+ * subscription adapter, and handles unsubscribe links (?unsubscribe=<token>#updates)
+ * @param {import('../core/sections.js').SectionContext} context - Root element and abort signal
+ */
+export const mount = ({ root: section, signal }) => {
+  const subscribeForm = safeQuerySelector('[data-subscribe-form]', section)
+  const confirmForm = safeQuerySelector('[data-subscribe-confirm]', section)
+  const contactField = safeQuerySelector('[name="contact"]', subscribeForm)
+  const topicsGroup = safeQuerySelector('[data-subscribe-topics]', subscribeForm)
+  const codeField = safeQuerySelector('[name="code"]', confirmForm)
+  const sentTo = safeQuerySelector('[data-subscribe-sent-to]', confirmForm)
+  const resendButton = safeQuerySelector('[data-subscribe-resend]', confirmForm)
+  const changeButton = safeQuerySelector('[data-subscribe-change]', confirmForm)
+  const adapter = getSubscriptionAdapter()
+  const formName = subscribeForm.getAttribute('data-form-name') || 'updates'
+
+  /** @type {{request: SubscriptionRequest, subscriptionId: string}|null} */
+  let pending = null
+
+  topicsGroup.replaceChildren(
+    ...PROGRAM_CATEGORIES.map((categoryId) => {
+      const label = document.createElement('label')
+      const checkbox = document.createElement('input')
+      const text = document.createElement('span')
+      label.className = 'form-option'
+      checkbox.type = 'checkbox'
+      checkbox.name = 'topics'
+      checkbox.value = categoryId
+      text.setAttribute('data-i18n', `programs.filter.${categoryId}`)
+      text.textContent = t(`programs.filter.${categoryId}`)
+      label.append(checkbox, text)
+      return label
+    })
+  )
+
+  codeField.maxLength = CONFIG.SUBSCRIPTION_CODE_LENGTH
+
+  /**
+   * Switches between the details form and the confirmation-code form
+   * @param {boolean} confirming - Show the confirmation-code form
+   */
+  const showConfirmStep = (confirming) => {
+    subscribeForm.hidden = confirming
+    confirmForm.hidden = !confirming
+    ;(confirming ? codeField : contactField).focus()
+  }
+
+  /**
+   * Asks the adapter to send a confirmation code for the pending request
+   * Each request carries a fresh proof-of-work token and counts towards the rate limit,
+   * since every code costs an email or SMS
+   * @param {HTMLFormElement} form - Form whose status region reports progress
+   * @param {Function} onRetry - Called by the "Try again" button if the backend is unreachable
+   * @returns {Promise<boolean>} True if a code was sent
+   */
+  const requestCode = async (form, onRetry) => {
+    try {
+      const proofOfWork = await getProofOfWork(subscribeForm, formName)
+      const result = await adapter.subscribe({
+        ...pending.request,
+        ...(proofOfWork && { proofOfWork }),
+      })
+
+      if (result.status !== 'pending') {
+        setFormStatus(form, 'error', t('updates.failed'))
+        log(`Subscription request failed via ${adapter.name}`, 'warn')
+        return false
+      }
+
+      recordFormSubmission(formName, subscribeForm)
+      pending.subscriptionId = result.subscriptionId
+      return true
+    } catch (error) {
+      setFormStatus(form, 'error', t('updates.unreachable'), onRetry)
+      log(`Subscription request error: ${error.message}`, 'error')
+      return false
+    }
+  }
+
+  /**
+   * Validates the details form and sends the confirmation code
+   */
+  const handleSubscribe = async () => {
+    if (!validateField(contactField, contactField.value, { announce: false })) {
+      showErrorSummary(subscribeForm)
+      return
+    }
+
+    const contact = parseSubscriptionContact(contactField.value)
+
+    if (!adapter) {
+      log(`Subscription adapter not registered: ${CONFIG.SUBSCRIPTION_PROVIDER}`, 'error')
+      setFormStatus(subscribeForm, 'error', t('updates.unavailable'))
+      return
+    }
+
+    const spamReason = checkFormForSpam(subscribeForm, formName)
+
+    if (spamReason) {
+      if (spamReason === 'honeypot') {
+        // Give bots no sign that they were caught
+        subscribeForm.reset()
+        setFormStatus(
+          subscribeForm,
+          'success',
+          t(`updates.codeSent.${contact.channel}`, { address: contact.address })
+        )
+      } else {
+        setFormStatus(subscribeForm, 'error', t(SPAM_CHECK_MESSAGES[spamReason]))
+      }
+
+      trackEvent('subscription_start', 'updates', {
+        channel: contact.channel,
+        result: 'blocked',
+        reason: spamReason,
+      })
+      log(`Subscription request blocked (${spamReason})`, 'warn')
+      return
+    }
+
+    pending = {
+      request: {
+        ...contact,
+        topics: new FormData(subscribeForm).getAll('topics'),
+        locale: i18nState.locale,
+      },
+      subscriptionId: null,
+    }
+
+    setFormStatus(subscribeForm, 'submitting', t('updates.sending'))
+
+    if (!(await requestCode(subscribeForm, handleSubscribe))) {
+      trackEvent('subscription_start', 'updates', { channel: contact.channel, result: 'failed' })
+      return
+    }
+
+    setFormStatus(subscribeForm, 'pending', '')
+    setFormStatus(confirmForm, 'pending', '')
+    sentTo.textContent = t(`updates.codeSent.${contact.channel}`, { address: contact.address })
+    codeField.value = ''
+    clearValidationError(codeField)
+    showConfirmStep(true)
+
+    trackEvent('subscription_start', 'updates', {
+      channel: contact.channel,
+      topics: pending.request.topics,
+      provider: adapter.name,
+      result: 'pending',
+    })
+  }
+
+  /**
+   * Checks the confirmation code with the adapter
+   */
+  const handleConfirm = async () => {
+    const code = codeField.value.replace(/\s/g, '')
+    const { channel } = pending.request
+
+    if (!new RegExp(`^\\d{${CONFIG.SUBSCRIPTION_CODE_LENGTH}}$`).test(code)) {
+      showValidationError(
+        codeField,
+        t('validation.code', { length: CONFIG.SUBSCRIPTION_CODE_LENGTH })
+      )
+      codeField.focus()
+      return
+    }
+
+    setFormStatus(confirmForm, 'submitting', t('updates.confirming'))
+
+    try {
+      const result = await adapter.confirm({ subscriptionId: pending.subscriptionId, code })
+      trackEvent('subscription_confirm', 'updates', { channel, result: result.status })
+
+      if (result.status === 'confirmed') {
+        pending = null
+        subscribeForm.reset()
+        showConfirmStep(false)
+        setFormStatus(subscribeForm, 'success', t(`updates.confirmed.${channel}`))
+        log(`Subscription confirmed via ${adapter.name}`)
+      } else if (result.status === 'expired') {
+        setFormStatus(confirmForm, 'error', t('updates.codeExpired'), handleResend)
+      } else {
+        setFormStatus(confirmForm, 'pending', '')
+        showValidationError(codeField, t('updates.codeInvalid'))
+        codeField.select()
+      }
+    } catch (error) {
+      setFormStatus(confirmForm, 'error', t('updates.unreachable'), handleConfirm)
+      log(`Subscription confirmation error: ${error.message}`, 'error')
+    }
+  }
+
+  /**
+   * Sends a fresh confirmation code to the same address
+   */
+  const handleResend = async () => {
+    if (checkFormForSpam(subscribeForm, formName) === 'rate-limited') {
+      setFormStatus(confirmForm, 'error', t('form.rateLimited'))
+      return
+    }
+
+    setFormStatus(confirmForm, 'submitting', t('updates.sending'))
+
+    if (await requestCode(confirmForm, handleResend)) {
+      codeField.value = ''
+      clearValidationError(codeField)
+      setFormStatus(confirmForm, 'pending', t('updates.codeResent'))
+      codeField.focus()
+    }
+  }
+
+  /**
+   * Ends a subscription from the token in an unsubscribe link
+   * @param {string} token - Unsubscribe token
+   */
+  const handleUnsubscribe = async (token) => {
+    setFormStatus(subscribeForm, 'submitting', t('updates.unsubscribing'))
+
+    try {
+      const result = await adapter.unsubscribe({ token })
+      const unsubscribed = result.status === 'unsubscribed'
+
+      setFormStatus(
+        subscribeForm,
+        unsubscribed ? 'success' : 'error',
+        t(unsubscribed ? 'updates.unsubscribed' : 'updates.unsubscribeInvalid')
+      )
+      trackEvent('subscription_unsubscribe', 'updates', { result: result.status })
+    } catch (error) {
+      setFormStatus(subscribeForm, 'error', t('updates.unreachable'), () =>
+        handleUnsubscribe(token)
+      )
+      log(`Unsubscribe error: ${error.message}`, 'error')
+    }
+  }
+
+  subscribeForm.addEventListener(
+    'submit',
+    (event) => {
+      event.preventDefault()
+      handleSubscribe()
+    },
+    { signal }
+  )
+
+  confirmForm.addEventListener(
+    'submit',
+    (event) => {
+      event.preventDefault()
+      handleConfirm()
+    },
+    { signal }
+  )
+
+  resendButton.addEventListener('click', handleResend, { signal })
+  changeButton.addEventListener(
+    'click',
+    () => {
+      pending = null
+      showConfirmStep(false)
+    },
+    { signal }
+  )
+
+  validateOnBlur(subscribeForm, { signal })
+  contactField.addEventListener('input', () => clearValidationError(contactField), { signal })
+  codeField.addEventListener('input', () => clearValidationError(codeField), { signal })
+
+  const unsubscribeToken = getUrlParam(CONFIG.SUBSCRIPTION_UNSUBSCRIBE_PARAM)
+
+  if (unsubscribeToken && adapter) {
+    // Drop the token from the address bar so reloading or sharing the page does not reuse it
+    updateUrlState({ [CONFIG.SUBSCRIPTION_UNSUBSCRIBE_PARAM]: '' }, { replace: true })
+    handleUnsubscribe(unsubscribeToken)
+  }
+
+  log(`Updates subscription initialized with ${CONFIG.SUBSCRIPTION_PROVIDER} adapter`)
+}
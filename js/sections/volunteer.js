@@ -0,0 +1,450 @@
+/**
+ * NGO Health Landing Page - Volunteer Registration
+ * Health for All Nigeria
+ *
+ * Section module: multi-step volunteer registration with per-step validation and a
+ * saved draft.
+ */
+
+import { CONFIG } from '../core/config.js'
+import { log, safeQuerySelector, safeQuerySelectorAll } from '../core/utils.js'
+import { t } from '../core/i18n.js'
+import { trackEvent } from '../core/analytics.js'
+import {
+  clearValidationError,
+  hideErrorSummary,
+  serializeForm,
+  showErrorSummary,
+  showValidationError,
+  submitForm,
+  validateField,
+  validateOnBlur,
+} from '../core/forms.js'
+
+// ============================================
+// Volunteer Registration Wizard
+// ============================================
+
+/**
+ * States volunteers can choose to work in (the 36 states and the FCT)
+ * @type {ReadonlyArray<string>}
+ */
+const NIGERIAN_STATES = Object.freeze([
+  'Abia',
+  'Adamawa',
+  'Akwa Ibom',
+  'Anambra',
+  'Bauchi',
+  'Bayelsa',
+  'Benue',
+  'Borno',
+  'Cross River',
+  'Delta',
+  'Ebonyi',
+  'Edo',
+  'Ekiti',
+  'Enugu',
+  'FCT',
+  'Gombe',
+  'Imo',
+  'Jigawa',
+  'Kaduna',
+  'Kano',
+  'Katsina',
+  'Kebbi',
+  'Kogi',
+  'Kwara',
+  'Lagos',
+  'Nasarawa',
+  'Niger',
+  'Ogun',
+  'Ondo',
+  'Osun',
+  'Oyo',
+  'Plateau',
+  'Rivers',
+  'Sokoto',
+  'Taraba',
+  'Yobe',
+  'Zamfara',
+])
+
+/**
+ * Reads the saved volunteer registration draft from localStorage
+ * @returns {{step: number, values: Object, saved_at: string}|null} Draft, or null if none is saved
+ */
+const readVolunteerDraft = () => {
+  try {
+    const draft = JSON.parse(localStorage.getItem(CONFIG.VOLUNTEER_DRAFT_STORAGE_KEY))
+    return draft && typeof draft.values === 'object' ? draft : null
+  } catch (error) {
+    log(`Unable to read volunteer draft: ${error.message}`, 'warn')
+    return null
+  }
+}
+
+/**
+ * Saves the volunteer registration draft, or removes it when draft is null
+ * @param {{step: number, values: Object, saved_at: string}|null} draft - Draft to store
+ */
+const writeVolunteerDraft = (draft) => {
+  try {
+    if (draft) {
+      localStorage.setItem(CONFIG.VOLUNTEER_DRAFT_STORAGE_KEY, JSON.stringify(draft))
+    } else {
+      localStorage.removeItem(CONFIG.VOLUNTEER_DRAFT_STORAGE_KEY)
+    }
+  } catch (error) {
+    log(`Unable to save volunteer draft: ${error.message}`, 'warn')
+  }
+}
+
+/**
+ * Fills form controls from values produced by serializeForm
+ * Controls without a saved value are cleared
+ * @param {HTMLFormElement} form - Form to fill
+ * @param {Object} values - Field values keyed by name
+ */
+const restoreFormValues = (form, values) => {
+  form.querySelectorAll('input[name], select[name], textarea[name]').forEach((field) => {
+    const saved = values[field.name]
+
+    if (field.type === 'checkbox' || field.type === 'radio') {
+      field.checked = Array.isArray(saved) ? saved.includes(field.value) : saved === field.value
+    } else {
+      field.value = saved === undefined ? '' : saved
+    }
+  })
+}
+
+/**
+ * Mounts the multi-step volunteer registration form
+ * Validates each step before moving on, keeps a draft on the device between steps,
+ * and sends the whole registration once from the review step via submitForm
+ * @param {import('../core/sections.js').SectionContext} context - Root element and abort signal
+ */
+export const mount = ({ root: form, signal }) => {
+  const steps = Array.from(safeQuerySelectorAll('[data-wizard-step]', form))
+  const progressItems = safeQuerySelectorAll('[data-wizard-progress] li', form)
+  const stepCount = safeQuerySelector('[data-wizard-step-count]', form)
+  const backButton = safeQuerySelector('[data-wizard-back]', form)
+  const nextButton = safeQuerySelector('[data-wizard-next]', form)
+  const submitButton = safeQuerySelector('[data-wizard-submit]', form)
+  const summary = safeQuerySelector('[data-wizard-summary]', form)
+  const draftNotice = safeQuerySelector('[data-wizard-draft-notice]', form)
+  const statesGroup = safeQuerySelector('[data-volunteer-states]', form)
+  const reviewIndex = steps.findIndex((step) => step.dataset.wizardStep === 'review')
+  let currentStep = 0
+
+  if (statesGroup) {
+    statesGroup.replaceChildren(
+      ...NIGERIAN_STATES.map((state) => {
+        const label = document.createElement('label')
+        const checkbox = document.createElement('input')
+        label.className = 'form-option'
+        checkbox.type = 'checkbox'
+        checkbox.name = 'states'
+        checkbox.value = state
+        label.append(checkbox, ` ${state}`)
+        return label
+      })
+    )
+  }
+
+  // ============================================
+  // 1. Step Validation
+  // ============================================
+
+  /**
+   * Validates the fields and required checkbox groups of one step
+   * @param {HTMLElement} step - Step fieldset
+   * @returns {HTMLElement|null} First invalid control, or null if the step is valid
+   */
+  const validateStep = (step) => {
+    const formData = new FormData(form)
+    let firstInvalid = null
+
+    step
+      .querySelectorAll(
+        'input[name]:not([type="checkbox"]), input[type="checkbox"][required], select[name], textarea[name]'
+      )
+      .forEach((field) => {
+        const value = String(formData.get(field.name) || '')
+
+        if (!validateField(field, value, { announce: false }) && !firstInvalid) {
+          firstInvalid = field
+        }
+      })
+
+    step.querySelectorAll('[data-wizard-choose-one]').forEach((group) => {
+      if (group.querySelector('input[type="checkbox"]:checked')) {
+        clearValidationError(group)
+        return
+      }
+
+      showValidationError(group, t('validation.chooseOne'), { announce: false })
+      firstInvalid = firstInvalid || group.querySelector('input[type="checkbox"]')
+    })
+
+    return firstInvalid
+  }
+
+  // ============================================
+  // 2. Review Summary
+  // ============================================
+
+  /**
+   * Reads the visible label of a form field wrapper, without its hint text
+   * @param {HTMLElement} wrapper - .form-field element
+   * @returns {string} Label text
+   */
+  const getFieldLabel = (wrapper) => {
+    const label = safeQuerySelector('.form-label', wrapper)
+    const text = label && (safeQuerySelector('[data-i18n]', label) || label)
+    return text ? text.textContent.trim() : ''
+  }
+
+  /**
+   * Reads the display value of a form field wrapper (option and checkbox labels, not ids)
+   * @param {HTMLElement} wrapper - .form-field element
+   * @returns {string} Value text, or '' if nothing was entered
+   */
+  const getFieldDisplayValue = (wrapper) => {
+    const checkboxes = wrapper.querySelectorAll('input[type="checkbox"]')
+
+    if (checkboxes.length > 0) {
+      return Array.from(checkboxes)
+        .filter((checkbox) => checkbox.checked)
+        .map((checkbox) => checkbox.closest('label').textContent.trim())
+        .join(', ')
+    }
+
+    const select = safeQuerySelector('select', wrapper)
+
+    if (select) {
+      return select.value ? select.options[select.selectedIndex].textContent.trim() : ''
+    }
+
+    const input = safeQuerySelector('input, textarea', wrapper)
+    return input ? input.value.trim() : ''
+  }
+
+  /**
+   * Lists the answers from every step before the review, each with an Edit button
+   */
+  const renderSummary = () => {
+    if (!summary) {
+      return
+    }
+
+    summary.replaceChildren(
+      ...steps.slice(0, reviewIndex).map((step, index) => {
+        const title = safeQuerySelector('legend', step).textContent.trim()
+        const block = document.createElement('div')
+        const heading = document.createElement('h4')
+        const editButton = document.createElement('button')
+        const list = document.createElement('dl')
+
+        block.className = 'wizard-summary-section'
+        heading.textContent = title
+        editButton.type = 'button'
+        editButton.className = 'wizard-edit-btn'
+        editButton.textContent = t('volunteer.edit')
+        editButton.setAttribute('aria-label', t('volunteer.editLabel', { section: title }))
+        editButton.addEventListener('click', () => goToStep(index, 'edit'), { signal })
+
+        step.querySelectorAll('.form-field').forEach((wrapper) => {
+          const term = document.createElement('dt')
+          const detail = document.createElement('dd')
+          term.textContent = getFieldLabel(wrapper)
+          detail.textContent = getFieldDisplayValue(wrapper) || t('volunteer.notProvided')
+          list.append(term, detail)
+        })
+
+        block.append(heading, editButton, list)
+        return block
+      })
+    )
+  }
+
+  // ============================================
+  // 3. Step Navigation & Drafts
+  // ============================================
+
+  /**
+   * Saves the current answers and step on this device
+   */
+  const saveDraft = () => {
+    writeVolunteerDraft({
+      step: currentStep,
+      values: serializeForm(form),
+      saved_at: new Date().toISOString(),
+    })
+  }
+
+  /**
+   * Shows one step and updates the progress list and buttons
+   * @param {number} index - Step index
+   * @param {Object} options - Display options
+   * @param {boolean} options.focus - Move focus to the step title (default: true)
+   */
+  const showStep = (index, { focus = true } = {}) => {
+    currentStep = index
+    hideErrorSummary(form)
+
+    steps.forEach((step, stepIndex) => {
+      step.hidden = stepIndex !== index
+    })
+
+    progressItems.forEach((item, itemIndex) => {
+      item.classList.toggle('completed', itemIndex < index)
+
+      if (itemIndex === index) {
+        item.setAttribute('aria-current', 'step')
+      } else {
+        item.removeAttribute('aria-current')
+      }
+    })
+
+    backButton.hidden = index === 0
+    nextButton.hidden = index === steps.length - 1
+    submitButton.hidden = index !== steps.length - 1
+
+    if (stepCount) {
+      stepCount.textContent = t('volunteer.stepCount', {
+        current: index + 1,
+        total: steps.length,
+      })
+    }
+
+    if (index === reviewIndex) {
+      renderSummary()
+    }
+
+    if (focus) {
+      safeQuerySelector('legend', steps[index]).focus()
+    }
+  }
+
+  /**
+   * Moves to another step, validating the current one first when moving forward
+   * @param {number} index - Target step index
+   * @param {string} trigger - What caused the move: next, back or edit
+   */
+  const goToStep = (index, trigger) => {
+    if (index > currentStep) {
+      if (validateStep(steps[currentStep])) {
+        showErrorSummary(form, steps[currentStep])
+        return
+      }
+    }
+
+    showStep(index)
+    saveDraft()
+    trackEvent('volunteer_step', 'volunteer', {
+      step: steps[index].dataset.wizardStep,
+      step_number: index + 1,
+      trigger,
+    })
+  }
+
+  /**
+   * Clears the saved draft and returns to the first step
+   */
+  const discardDraft = () => {
+    writeVolunteerDraft(null)
+    form.reset()
+    safeQuerySelectorAll('[aria-invalid]', form).forEach(clearValidationError)
+    draftNotice.hidden = true
+    showStep(0)
+  }
+
+  backButton.addEventListener('click', () => goToStep(currentStep - 1, 'back'), { signal })
+  nextButton.addEventListener('click', () => goToStep(currentStep + 1, 'next'), { signal })
+  safeQuerySelector('[data-wizard-discard]', form).addEventListener('click', discardDraft, {
+    signal,
+  })
+
+  form.addEventListener(
+    'change',
+    (event) => {
+      const group = event.target.closest('[data-wizard-choose-one]')
+
+      if (group) {
+        clearValidationError(group)
+      }
+
+      saveDraft()
+    },
+    { signal }
+  )
+
+  form.querySelectorAll('input, textarea').forEach((field) => {
+    field.addEventListener(
+      'input',
+      () => {
+        clearValidationError(field)
+      },
+      { signal }
+    )
+  })
+
+  validateOnBlur(form, { signal })
+
+  // ============================================
+  // 4. Final Submission
+  // ============================================
+
+  form.addEventListener(
+    'submit',
+    async (event) => {
+      event.preventDefault()
+
+      // Enter in a field on an earlier step moves on rather than submitting
+      if (currentStep < steps.length - 1) {
+        goToStep(currentStep + 1, 'next')
+        return
+      }
+
+      for (let index = 0; index < steps.length; index++) {
+        if (validateStep(steps[index])) {
+          showStep(index, { focus: false })
+          showErrorSummary(form, steps[index])
+          return
+        }
+      }
+
+      await submitForm(form)
+
+      // Sent or safely queued: the draft is no longer needed
+      if (['success', 'queued'].includes(form.getAttribute('data-form-state'))) {
+        writeVolunteerDraft(null)
+        draftNotice.hidden = true
+        showStep(0, { focus: false })
+      }
+    },
+    { signal }
+  )
+
+  document.addEventListener(
+    'localechange',
+    () => {
+      showStep(currentStep, { focus: false })
+    },
+    { signal }
+  )
+
+  // showStep hides every step but one, replacing the all-steps fallback shown without JavaScript
+  const draft = readVolunteerDraft()
+
+  if (draft) {
+    restoreFormValues(form, draft.values)
+    draftNotice.hidden = false
+    showStep(Math.min(Math.max(Number(draft.step) || 0, 0), steps.length - 1), { focus: false })
+    log('Volunteer registration draft restored')
+  } else {
+    showStep(0, { focus: false })
+  }
+
+  log('Volunteer wizard initialized successfully')
+}
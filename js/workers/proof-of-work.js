@@ -0,0 +1,43 @@
+/**
+ * NGO Health Landing Page - Proof-of-Work Worker
+ * Health for All Nigeria
+ *
+ * Finds the first nonce for which SHA-256("<challenge>:<nonce>") starts with the requested
+ * number of zero bits. Started by js/core/spam-protection.js; runs off the main thread so the
+ * form stays responsive while it works.
+ */
+
+'use strict'
+
+/**
+ * Checks whether a hash starts with at least the given number of zero bits
+ * @param {Uint8Array} bytes - Hash
+ * @param {number} bits - Required leading zero bits
+ * @returns {boolean} True if the hash meets the difficulty
+ */
+const hasLeadingZeroBits = (bytes, bits) => {
+  const fullBytes = Math.floor(bits / 8)
+
+  for (let index = 0; index < fullBytes; index++) {
+    if (bytes[index] !== 0) {
+      return false
+    }
+  }
+
+  const remainingBits = bits % 8
+  return remainingBits === 0 || bytes[fullBytes] >> (8 - remainingBits) === 0
+}
+
+self.addEventListener('message', async (event) => {
+  const { challenge, difficulty } = event.data
+  const encoder = new TextEncoder()
+
+  for (let nonce = 0; ; nonce++) {
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`))
+
+    if (hasLeadingZeroBits(new Uint8Array(digest), difficulty)) {
+      self.postMessage({ nonce })
+      return
+    }
+  }
+})
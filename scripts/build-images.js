@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * NGO Health Landing Page - Responsive Image Builder
+ * Health for All Nigeria
+ *
+ * Generates AVIF, WebP and JPEG copies of every photo in assets/images at several widths,
+ * plus a tiny blurred placeholder, and writes the manifest (data/images.json) that js/core/images.js
+ * uses to build <picture>/srcset markup.
+ *
+ * Usage:
+ *   npm install --no-save sharp
+ *   node scripts/build-images.js
+ *
+ * Output (not committed - the Docker build runs this script):
+ *   assets/images/responsive/<name>-<width>.<avif|webp|jpg>
+ *   data/images.json
+ */
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+// ============================================
+// Configuration
+// ============================================
+
+const ROOT = path.join(__dirname, '..')
+const SOURCE_DIR = path.join(ROOT, 'assets', 'images')
+const OUTPUT_DIR = path.join(SOURCE_DIR, 'responsive')
+const MANIFEST_PATH = path.join(ROOT, 'data', 'images.json')
+const OUTPUT_URL = 'assets/images/responsive' // Relative to the site root
+const MANIFEST_VERSION = 1 // Must match CONFIG.IMAGE_MANIFEST_VERSION in js/core/config.js
+
+const WIDTHS = [320, 640, 960, 1280, 1920]
+const PLACEHOLDER_WIDTH = 16
+
+// Preferred first; the last format is the fallback for browsers without <picture> support
+const FORMATS = [
+  { id: 'avif', options: { quality: 50, effort: 4 } },
+  { id: 'webp', options: { quality: 72 } },
+  { id: 'jpg', options: { quality: 78, progressive: true, mozjpeg: true } },
+]
+
+// When a photo ships in several formats, the highest-quality original is used
+const SOURCE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp']
+
+// ============================================
+// Image Processing
+// ============================================
+
+/**
+ * Loads sharp, explaining how to install it when missing
+ * @returns {Function} sharp
+ */
+const loadSharp = () => {
+  try {
+    return require('sharp')
+  } catch (error) {
+    console.error('The image pipeline needs sharp - run: npm install --no-save sharp')
+    process.exit(1)
+  }
+}
+
+/**
+ * Picks one source file per image name, preferring lossless or higher-quality originals
+ * @returns {Array<{name: string, file: string}>} Sources sorted by name
+ */
+const findSources = () => {
+  const sources = new Map()
+
+  fs.readdirSync(SOURCE_DIR).forEach((file) => {
+    const extension = path.extname(file).toLowerCase()
+    const rank = SOURCE_EXTENSIONS.indexOf(extension)
+    const name = path.basename(file, path.extname(file))
+    const current = sources.get(name)
+
+    if (rank !== -1 && (!current || rank < current.rank)) {
+      sources.set(name, { name, file: path.join(SOURCE_DIR, file), rank })
+    }
+  })
+
+  return [...sources.values()]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(({ name, file }) => ({ name, file }))
+}
+
+/**
+ * Returns the widths to generate for a source, never upscaling
+ * @param {number} sourceWidth - Width of the original
+ * @returns {Array<number>} Widths, smallest first
+ */
+const getTargetWidths = (sourceWidth) => {
+  const largest = Math.min(sourceWidth, WIDTHS[WIDTHS.length - 1])
+  return [...WIDTHS.filter((width) => width < largest), largest]
+}
+
+/**
+ * Generates every width and format for one image
+ * @param {Function} sharp - sharp
+ * @param {{name: string, file: string}} source - Source image
+ * @returns {Promise<Object>} Manifest entry
+ */
+const processImage = async (sharp, { name, file }) => {
+  const metadata = await sharp(file).metadata()
+  // EXIF orientations 5-8 are rotated a quarter turn, swapping width and height
+  const isQuarterTurn = metadata.orientation >= 5
+  const width = isQuarterTurn ? metadata.height : metadata.width
+  const height = isQuarterTurn ? metadata.width : metadata.height
+  const widths = getTargetWidths(width)
+
+  for (const targetWidth of widths) {
+    for (const format of FORMATS) {
+      const output = path.join(OUTPUT_DIR, `${name}-${targetWidth}.${format.id}`)
+      await sharp(file)
+        .rotate()
+        .resize({ width: targetWidth })
+        .toFormat(format.id === 'jpg' ? 'jpeg' : format.id, format.options)
+        .toFile(output)
+    }
+  }
+
+  const placeholder = await sharp(file)
+    .rotate()
+    .resize({ width: PLACEHOLDER_WIDTH })
+    .blur()
+    .webp({ quality: 40 })
+    .toBuffer()
+
+  return {
+    path: `${OUTPUT_URL}/${name}`,
+    width,
+    height,
+    widths,
+    formats: FORMATS.map((format) => format.id),
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+  }
+}
+
+// ============================================
+// Command Line
+// ============================================
+
+/**
+ * Builds every image and writes the manifest
+ * Files sharp cannot decode are skipped, so the page keeps using the original for them
+ */
+const main = async () => {
+  const sharp = loadSharp()
+  const images = {}
+
+  fs.rmSync(OUTPUT_DIR, { recursive: true, force: true })
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true })
+
+  for (const source of findSources()) {
+    try {
+      images[source.name] = await processImage(sharp, source)
+      console.log(`Built ${source.name} (${images[source.name].widths.join(', ')})`)
+    } catch (error) {
+      console.warn(`Skipped ${path.relative(ROOT, source.file)}: ${error.message}`)
+    }
+  }
+
+  const manifest = { version: MANIFEST_VERSION, images }
+  fs.writeFileSync(MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`)
+  console.log(`Wrote ${path.relative(ROOT, MANIFEST_PATH)} (${Object.keys(images).length} images)`)
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })
+}
+
+module.exports = { findSources, getTargetWidths }
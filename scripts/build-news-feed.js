@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * NGO Health Landing Page - News Feed Builder
+ * Health for All Nigeria
+ *
+ * Generates the Atom feed (data/news.xml) from the same data/news.json the news section
+ * renders, so partners can follow our news in a feed reader.
+ *
+ * Usage:
+ *   node scripts/build-news-feed.js          Write data/news.xml
+ *   node scripts/build-news-feed.js --check  Exit with status 1 if data/news.xml is out of date
+ *
+ * Uses only Node built-ins; run it whenever data/news.json changes.
+ */
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+// ============================================
+// Configuration
+// ============================================
+
+const SITE_URL = 'https://healthforallng.org/'
+const SITE_DOMAIN = 'healthforallng.org'
+const FEED_TITLE = 'Health for All Nigeria - News'
+const FEED_SUBTITLE = 'Reports from our outreach teams, program results and announcements.'
+const FEED_VERSION = 1
+const SOURCE_PATH = path.join(__dirname, '..', 'data', 'news.json')
+const OUTPUT_PATH = path.join(__dirname, '..', 'data', 'news.xml')
+const FEED_PATH = 'data/news.xml'
+const ROUTE_PREFIX = '#news/' // Must match CONFIG.NEWS_ROUTE_PREFIX in js/core/config.js
+
+// ============================================
+// Atom Generation
+// ============================================
+
+/**
+ * Escapes text for use in XML content and attribute values
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+
+/**
+ * Converts an ISO date-time with offset to the UTC form Atom readers expect
+ * @param {string} dateTime - ISO date-time
+ * @returns {string} e.g. 2026-10-08T09:00:00Z
+ */
+const toAtomDate = (dateTime) => new Date(dateTime).toISOString().replace(/\.\d{3}Z$/, 'Z')
+
+/**
+ * Builds the Atom document for a list of posts
+ * The feed's updated date is the newest post date, so the output only changes with the data
+ * @param {Array<Object>} posts - Posts from data/news.json
+ * @returns {string} Atom XML
+ */
+const createAtomFeed = (posts) => {
+  const sorted = [...posts].sort((a, b) => Date.parse(b.published) - Date.parse(a.published))
+  const feedUpdated = sorted
+    .map((post) => toAtomDate(post.updated || post.published))
+    .sort()
+    .pop()
+
+  const entries = sorted.map((post) => {
+    const published = toAtomDate(post.published)
+    const postUrl = `${SITE_URL}${ROUTE_PREFIX}${encodeURIComponent(post.slug)}`
+    const lines = [
+      '  <entry>',
+      `    <id>tag:${SITE_DOMAIN},${published.slice(0, 10)}:news/${escapeXml(post.slug)}</id>`,
+      `    <title>${escapeXml(post.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${postUrl}"/>`,
+      `    <published>${published}</published>`,
+      `    <updated>${toAtomDate(post.updated || post.published)}</updated>`,
+    ]
+
+    if (post.author) {
+      lines.push(`    <author><name>${escapeXml(post.author)}</name></author>`)
+    }
+
+    const categories = (post.categories || []).map(
+      (categoryId) => `    <category term="${escapeXml(categoryId)}"/>`
+    )
+
+    lines.push(
+      ...categories,
+      `    <summary type="text">${escapeXml(post.summary || '')}</summary>`,
+      '  </entry>'
+    )
+    return lines.join('\n')
+  })
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${SITE_URL}${FEED_PATH}</id>`,
+    `  <title>${escapeXml(FEED_TITLE)}</title>`,
+    `  <subtitle>${escapeXml(FEED_SUBTITLE)}</subtitle>`,
+    `  <link rel="self" type="application/atom+xml" href="${SITE_URL}${FEED_PATH}"/>`,
+    `  <link rel="alternate" type="text/html" href="${SITE_URL}#news"/>`,
+    `  <updated>${feedUpdated}</updated>`,
+    `  <author><name>Health for All Nigeria</name></author>`,
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n')
+}
+
+// ============================================
+// Command Line
+// ============================================
+
+/**
+ * Reads and validates data/news.json
+ * @returns {Array<Object>} Valid posts
+ * @throws {Error} If the feed version is unsupported
+ */
+const readPosts = () => {
+  const feed = JSON.parse(fs.readFileSync(SOURCE_PATH, 'utf8'))
+
+  if (!feed || feed.version !== FEED_VERSION || !Array.isArray(feed.posts)) {
+    throw new Error(`Unsupported news feed version: ${feed && feed.version}`)
+  }
+
+  return feed.posts.filter(
+    (post) => post && post.slug && post.title && post.body && !isNaN(Date.parse(post.published))
+  )
+}
+
+/**
+ * Writes the feed, or compares it with the committed copy when run with --check
+ */
+const main = () => {
+  const xml = createAtomFeed(readPosts())
+
+  if (process.argv.includes('--check')) {
+    const current = fs.existsSync(OUTPUT_PATH) ? fs.readFileSync(OUTPUT_PATH, 'utf8') : ''
+
+    if (current !== xml) {
+      console.error(`${FEED_PATH} is out of date - run: node scripts/build-news-feed.js`)
+      process.exit(1)
+    }
+
+    console.log(`${FEED_PATH} is up to date`)
+    return
+  }
+
+  fs.writeFileSync(OUTPUT_PATH, xml)
+  console.log(`Wrote ${FEED_PATH}`)
+}
+
+if (require.main === module) {
+  main()
+}
+
+module.exports = { createAtomFeed, escapeXml }
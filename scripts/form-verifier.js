@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+/**
+ * NGO Health Landing Page - Local Form Verifier
+ * Health for All Nigeria
+ *
+ * A small stand-in for the form backend, for trying the spam checks locally. Serves the site
+ * and accepts POST /api/contact, /api/volunteers and /api/updates (subscription requests, as a
+ * subscription adapter would send them), rejecting submissions that fill the honeypot field or
+ * carry an invalid or reused proof-of-work token (see js/core/spam-protection.js). Accepted
+ * submissions are printed, not stored.
+ *
+ * Usage:
+ *   node scripts/form-verifier.js                Serve on http://localhost:8080
+ *   node scripts/form-verifier.js --port 3000    Serve on another port
+ *   node scripts/form-verifier.js --require-pow  Also reject submissions without a token
+ *
+ * Uses only Node built-ins; not meant for production.
+ */
+
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs')
+const http = require('http')
+const path = require('path')
+
+// ============================================
+// Configuration
+// ============================================
+
+const ROOT_DIR = path.join(__dirname, '..')
+const DEFAULT_PORT = 8080
+const FORM_ENDPOINTS = {
+  '/api/contact': 'contact',
+  '/api/volunteers': 'volunteer',
+  '/api/updates': 'updates',
+}
+const HONEYPOT_FIELD = 'website' // Must match the data-honeypot inputs in index.html
+const PROOF_OF_WORK_VERSION = 'v1'
+const PROOF_OF_WORK_DIFFICULTY = 14 // Must match CONFIG.PROOF_OF_WORK_DIFFICULTY in js/core/config.js
+const PROOF_OF_WORK_MAX_AGE = 24 * 60 * 60 * 1000 // Queued submissions get a fresh token when sent
+const MAX_BODY_BYTES = 64 * 1024
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.xml': 'application/atom+xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.jpg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.png': 'image/png',
+}
+
+// ============================================
+// Proof of Work
+// ============================================
+
+/**
+ * Checks whether a hash starts with at least the given number of zero bits
+ * @param {Buffer} bytes - Hash
+ * @param {number} bits - Required leading zero bits
+ * @returns {boolean} True if the hash meets the difficulty
+ */
+const hasLeadingZeroBits = (bytes, bits) => {
+  const fullBytes = Math.floor(bits / 8)
+
+  for (let index = 0; index < fullBytes; index++) {
+    if (bytes[index] !== 0) {
+      return false
+    }
+  }
+
+  const remainingBits = bits % 8
+  return remainingBits === 0 || bytes[fullBytes] >> (8 - remainingBits) === 0
+}
+
+/**
+ * Verifies a "v1:<form>:<issued ms>:<salt>:<nonce>" token and marks it as used
+ * @param {string} token - Token sent as proof_of_work
+ * @param {string} formName - Form the submission claims to come from
+ * @param {Object} [options] - Verification options
+ * @param {Set<string>} [options.usedTokens] - Tokens already accepted; the token is added on success
+ * @param {number} [options.difficulty] - Required leading zero bits
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {string|null} Why the token was rejected, or null if it is valid
+ */
+const verifyProofOfWork = (token, formName, options = {}) => {
+  const {
+    usedTokens = new Set(),
+    difficulty = PROOF_OF_WORK_DIFFICULTY,
+    now = Date.now(),
+  } = options
+  const parts = String(token || '').split(':')
+
+  if (parts.length !== 5 || parts[0] !== PROOF_OF_WORK_VERSION) {
+    return 'malformed token'
+  }
+
+  const [, tokenForm, issuedAt, , nonce] = parts
+  const age = now - Number(issuedAt)
+
+  if (tokenForm !== formName) {
+    return 'token issued for another form'
+  }
+
+  if (!/^\d+$/.test(issuedAt) || !/^\d+$/.test(nonce)) {
+    return 'malformed token'
+  }
+
+  if (age < 0 || age > PROOF_OF_WORK_MAX_AGE) {
+    return 'token expired'
+  }
+
+  if (usedTokens.has(token)) {
+    return 'token already used'
+  }
+
+  if (!hasLeadingZeroBits(crypto.createHash('sha256').update(token).digest(), difficulty)) {
+    return 'insufficient work'
+  }
+
+  usedTokens.add(token)
+  return null
+}
+
+// ============================================
+// Server
+// ============================================
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} response - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+const sendJson = (response, status, body) => {
+  response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' })
+  response.end(JSON.stringify(body))
+}
+
+/**
+ * Reads a JSON or URL-encoded request body
+ * @param {http.IncomingMessage} request - Request
+ * @returns {Promise<Object>} Submitted fields
+ * @throws {Error} If the body is too large or cannot be parsed
+ */
+const readBody = (request) =>
+  new Promise((resolve, reject) => {
+    let body = ''
+
+    request.setEncoding('utf8')
+    request.on('data', (chunk) => {
+      body += chunk
+
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'))
+        request.destroy()
+      }
+    })
+    request.on('end', () => {
+      try {
+        const type = request.headers['content-type'] || ''
+        resolve(
+          type.includes('application/json')
+            ? JSON.parse(body || '{}')
+            : Object.fromEntries(new URLSearchParams(body))
+        )
+      } catch (error) {
+        reject(error)
+      }
+    })
+    request.on('error', reject)
+  })
+
+/**
+ * Applies the server-side spam checks to a form submission
+ * @param {http.IncomingMessage} request - POST request
+ * @param {http.ServerResponse} response - Response
+ * @param {string} formName - Form posted to this endpoint
+ * @param {Object} options - Server options
+ */
+const handleSubmission = async (request, response, formName, options) => {
+  let fields
+
+  try {
+    fields = await readBody(request)
+  } catch (error) {
+    sendJson(response, 400, { ok: false, error: error.message })
+    return
+  }
+
+  if (fields[HONEYPOT_FIELD]) {
+    // Bots are told they succeeded, as the page does
+    console.warn(`[${formName}] rejected: honeypot filled`)
+    sendJson(response, 200, { ok: true })
+    return
+  }
+
+  // Forms send proof_of_work; subscription requests carry proofOfWork
+  const token = fields.proof_of_work || fields.proofOfWork
+
+  if (token || options.requireProofOfWork) {
+    const reason = verifyProofOfWork(token, formName, options)
+
+    if (reason) {
+      console.warn(`[${formName}] rejected: ${reason}`)
+      sendJson(response, 422, { ok: false, error: reason })
+      return
+    }
+  }
+
+  console.log(`[${formName}] accepted:`, JSON.stringify(fields))
+  sendJson(response, 200, { ok: true })
+}
+
+/**
+ * Serves a file from the site root
+ * @param {http.IncomingMessage} request - GET request
+ * @param {http.ServerResponse} response - Response
+ */
+const serveStatic = (request, response) => {
+  const { pathname } = new URL(request.url, 'http://localhost')
+  let filePath
+
+  try {
+    filePath = path.join(ROOT_DIR, decodeURIComponent(pathname === '/' ? '/index.html' : pathname))
+  } catch (error) {
+    sendJson(response, 400, { ok: false, error: 'Bad request' })
+    return
+  }
+
+  if (!filePath.startsWith(ROOT_DIR + path.sep)) {
+    sendJson(response, 403, { ok: false, error: 'Forbidden' })
+    return
+  }
+
+  fs.readFile(filePath, (error, data) => {
+    if (error) {
+      sendJson(response, 404, { ok: false, error: 'Not found' })
+      return
+    }
+
+    response.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+    })
+    response.end(data)
+  })
+}
+
+/**
+ * Creates the verifier server
+ * @param {Object} [options] - Server options
+ * @param {boolean} [options.requireProofOfWork] - Reject submissions without a token
+ * @param {number} [options.difficulty] - Required leading zero bits
+ * @returns {http.Server} Server, not yet listening
+ */
+const createVerifierServer = (options = {}) => {
+  const serverOptions = { ...options, usedTokens: new Set() }
+
+  return http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost')
+    const formName = FORM_ENDPOINTS[pathname]
+
+    if (request.method === 'POST' && formName) {
+      handleSubmission(request, response, formName, serverOptions)
+      return
+    }
+
+    if (request.method === 'GET' || request.method === 'HEAD') {
+      serveStatic(request, response)
+      return
+    }
+
+    sendJson(response, 405, { ok: false, error: 'Method not allowed' })
+  })
+}
+
+// ============================================
+// Command Line
+// ============================================
+
+/**
+ * Starts the verifier with options from the command line
+ */
+const main = () => {
+  const portIndex = process.argv.indexOf('--port')
+  const port = portIndex === -1 ? DEFAULT_PORT : Number(process.argv[portIndex + 1])
+  const requireProofOfWork = process.argv.includes('--require-pow')
+
+  createVerifierServer({ requireProofOfWork }).listen(port, () => {
+    console.log(`Form verifier listening on http://localhost:${port}`)
+    console.log(`Proof of work ${requireProofOfWork ? 'required' : 'checked when sent'}`)
+  })
+}
+
+if (require.main === module) {
+  main()
+}
+
+module.exports = { createVerifierServer, verifyProofOfWork }
@@ -0,0 +1,205 @@
+/**
+ * NGO Health Landing Page - Service Worker
+ * Health for All Nigeria
+ *
+ * Caching strategy:
+ * - App shell (HTML, CSS, JS, local images): precached on install, served cache-first
+ * - Program data and locale catalogues: stale-while-revalidate
+ * - Page navigations: network-first, falling back to the cached page, then offline.html
+ *
+ * Bump CACHE_VERSION on every deploy so visitors receive the new shell. The new
+ * worker waits until the page asks it to take over (see the update prompt in js/core/service-worker.js).
+ */
+
+'use strict'
+
+// ============================================
+// Configuration
+// ============================================
+
+const CACHE_VERSION = 'v19'
+const CACHE_PREFIX = 'hfan-'
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`
+const DATA_CACHE = `${CACHE_PREFIX}data-${CACHE_VERSION}`
+const OFFLINE_URL = 'offline.html'
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  OFFLINE_URL,
+  'manifest.webmanifest',
+  'css/styles.css',
+  'js/main.js',
+  'js/core/analytics.js',
+  'js/core/config.js',
+  'js/core/consent.js',
+  'js/core/forms.js',
+  'js/core/i18n.js',
+  'js/core/images.js',
+  'js/core/lite-mode.js',
+  'js/core/metrics.js',
+  'js/core/motion.js',
+  'js/core/observers.js',
+  'js/core/phone.js',
+  'js/core/programs-feed.js',
+  'js/core/sections.js',
+  'js/core/service-worker.js',
+  'js/core/smooth-scroll.js',
+  'js/core/spam-protection.js',
+  'js/core/theme.js',
+  'js/core/utils.js',
+  'js/sections/about.js',
+  'js/sections/donation.js',
+  'js/sections/events.js',
+  'js/sections/facilities.js',
+  'js/sections/hero.js',
+  'js/sections/mobile-menu.js',
+  'js/sections/news.js',
+  'js/sections/programs.js',
+  'js/sections/stories.js',
+  'js/sections/updates.js',
+  'js/sections/volunteer.js',
+  'js/workers/proof-of-work.js',
+  'data/programs.json',
+  'data/facilities.json',
+  'data/metrics.json',
+  'data/events.json',
+  'data/stories.json',
+  'data/news.json',
+  'assets/images/hero-bg.jpg',
+  'assets/images/hero-bg.webp',
+  'assets/images/about-team.jpg',
+  'assets/images/about-team.webp',
+  'assets/images/program-child-health.webp',
+  'assets/images/program-community-health.webp',
+  'assets/images/program-disease-prevention.webp',
+  'assets/images/program-maternal-health.webp',
+  'assets/images/program-mental-health.webp',
+  'assets/images/program-nutrition.webp',
+  'assets/icons/app-icon.svg',
+  'assets/icons/mission-icon.svg',
+  'assets/icons/values-icon.svg',
+  'assets/icons/vision-icon.svg',
+]
+
+// Paths whose content changes between deploys and should refresh in the background
+const STALE_WHILE_REVALIDATE_PATHS = ['/data/', '/locales/']
+
+// ============================================
+// Lifecycle
+// ============================================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      // Bypass the HTTP cache so a new version never precaches stale files
+      .then((cache) =>
+        cache.addAll(PRECACHE_URLS.map((url) => new Request(url, { cache: 'reload' })))
+      )
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter(
+              (key) => key.startsWith(CACHE_PREFIX) && key !== SHELL_CACHE && key !== DATA_CACHE
+            )
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting()
+  }
+})
+
+// ============================================
+// Fetch Strategies
+// ============================================
+
+/**
+ * Serves a page navigation from the network, falling back to cache and then the offline page
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Page response
+ */
+const handleNavigation = async (request) => {
+  try {
+    return await fetch(request)
+  } catch (error) {
+    const cache = await caches.open(SHELL_CACHE)
+    return (
+      (await cache.match(request, { ignoreSearch: true })) ||
+      (await cache.match(OFFLINE_URL)) ||
+      Response.error()
+    )
+  }
+}
+
+/**
+ * Responds from cache immediately while fetching a fresh copy for next time
+ * Falls back to the precached copy when the data has never been fetched at runtime
+ * @param {Request} request - Data request
+ * @returns {Promise<Response>} Cached or network response
+ */
+const staleWhileRevalidate = async (request) => {
+  const cache = await caches.open(DATA_CACHE)
+  const cached = (await cache.match(request)) || (await caches.match(request))
+
+  const refresh = fetch(request)
+    .then((response) => {
+      if (response.ok) {
+        cache.put(request, response.clone())
+      }
+      return response
+    })
+    .catch((error) => {
+      if (!cached) {
+        throw error
+      }
+      return cached
+    })
+
+  return cached || refresh
+}
+
+/**
+ * Serves precached shell files from cache, using the network for anything else
+ * @param {Request} request - Static asset request
+ * @returns {Promise<Response>} Cached or network response
+ */
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request)
+  return cached || fetch(request)
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+
+  // Leave form posts, analytics beacons and third-party requests to the browser
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request))
+    return
+  }
+
+  if (STALE_WHILE_REVALIDATE_PATHS.some((path) => url.pathname.includes(path))) {
+    event.respondWith(staleWhileRevalidate(request))
+    return
+  }
+
+  event.respondWith(cacheFirst(request))
+})
@@ -0,0 +1,72 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { mount } from '../js/sections/donation.js'
+import { loadPage } from './helpers/page.js'
+
+describe('donation form validation', () => {
+  let controller
+  let form
+
+  /**
+   * Fills in a field and moves focus away from it
+   * @param {string} id - Field id
+   * @param {string} value - Value to enter
+   * @returns {HTMLInputElement} The field
+   */
+  const fillAndLeave = (id, value) => {
+    const field = document.getElementById(id)
+    field.value = value
+    field.dispatchEvent(new FocusEvent('focusout', { bubbles: true }))
+    return field
+  }
+
+  beforeEach(() => {
+    loadPage()
+    form = document.getElementById('donation-form')
+    controller = new AbortController()
+    mount({ root: form, signal: controller.signal })
+  })
+
+  afterEach(() => {
+    controller.abort()
+  })
+
+  it('checks the email address when focus leaves it', () => {
+    const email = fillAndLeave('donation-email', 'ada@example')
+
+    expect(email.getAttribute('aria-invalid')).toBe('true')
+    expect(document.getElementById('donation-email-error')).not.toBeNull()
+  })
+
+  it.each([
+    ['100', false],
+    ['2500.5', false],
+    ['6000000', false],
+    ['2500', true],
+  ])('checks a custom amount of %s on blur (valid: %s)', (amount, valid) => {
+    form.querySelector('input[name="tier"][value="custom"]').click()
+    const custom = fillAndLeave('donation-custom-amount', amount)
+
+    expect(custom.getAttribute('aria-invalid') === 'true').toBe(!valid)
+
+    if (!valid) {
+      expect(document.getElementById('donation-custom-amount-error').textContent).toMatch(
+        /500.*5,000,000/
+      )
+    }
+  })
+
+  it('lists the errors in the summary when sent incomplete', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }))
+
+    const summary = form.querySelector('[data-error-summary]')
+    expect(summary.hidden).toBe(false)
+    expect(summary.querySelector('[data-error-for="donation-name"]')).not.toBeNull()
+  })
+
+  it('stops validating on blur once unmounted', () => {
+    controller.abort()
+
+    expect(fillAndLeave('donation-email', 'ada@example').hasAttribute('aria-invalid')).toBe(false)
+  })
+})
@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest'
+import { createIcsCalendar } from '../js/sections/events.js'
+
+const event = {
+  id: 'free-malaria-screening',
+  title: 'Free malaria screening, Kano',
+  description: 'Bring your health card; children under 5 are seen first.',
+  start: '2026-11-14T08:00:00+01:00',
+  end: '2026-11-14T14:00:00+01:00',
+  venue: 'Sabon Gari Market',
+  lga: 'Fagge',
+  state: 'Kano',
+}
+
+const now = new Date('2026-10-01T09:30:00Z')
+
+/**
+ * Unfolds an iCalendar file into its content lines
+ * @param {string} ics - Calendar text
+ * @returns {Array<string>} Content lines
+ */
+const unfold = (ics) => ics.replace(/\r\n /g, '').split('\r\n')
+
+describe('createIcsCalendar', () => {
+  it('writes one VEVENT per event with UTC times', () => {
+    const lines = unfold(createIcsCalendar([event], now))
+
+    expect(lines.slice(0, 5)).toEqual([
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Health for All Nigeria//Events//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+    ])
+    expect(lines).toContain('DTSTAMP:20261001T093000Z')
+    expect(lines).toContain('DTSTART:20261114T070000Z')
+    expect(lines).toContain('DTEND:20261114T130000Z')
+    expect(lines).toContain('LOCATION:Sabon Gari Market\\, Fagge\\, Kano')
+    expect(lines.filter((line) => line === 'BEGIN:VEVENT')).toHaveLength(1)
+    expect(lines.at(-2)).toBe('END:VCALENDAR')
+    expect(lines.at(-1)).toBe('')
+  })
+
+  it('escapes text values', () => {
+    const lines = unfold(createIcsCalendar([event], now))
+
+    expect(lines).toContain('SUMMARY:Free malaria screening\\, Kano')
+    expect(lines).toContain(
+      'DESCRIPTION:Bring your health card\\; children under 5 are seen first.'
+    )
+  })
+
+  it('links to the event on the page without the query string', () => {
+    window.history.replaceState(null, '', '/?q=malaria#events')
+    const lines = unfold(createIcsCalendar([event], now))
+
+    expect(lines).toContain(`URL:${window.location.origin}/#event-free-malaria-screening`)
+  })
+
+  it('uses the start time when an event has no end', () => {
+    const lines = unfold(createIcsCalendar([{ ...event, end: undefined }], now))
+
+    expect(lines).toContain('DTEND:20261114T070000Z')
+  })
+
+  it('folds lines longer than 75 octets', () => {
+    const ics = createIcsCalendar([{ ...event, description: 'Ọ̀fẹ́ '.repeat(40) }], now)
+    const encoder = new TextEncoder()
+
+    ics.split('\r\n').forEach((line) => expect(encoder.encode(line).length).toBeLessThanOrEqual(75))
+    expect(unfold(ics)).toContain(`DESCRIPTION:${'Ọ̀fẹ́ '.repeat(40)}`)
+  })
+})
@@ -0,0 +1,153 @@
+// @vitest-environment node
+import { createHash } from 'node:crypto'
+import { createRequire } from 'node:module'
+import { describe, expect, it, vi } from 'vitest'
+
+const require = createRequire(import.meta.url)
+const { createVerifierServer, verifyProofOfWork } = require('../scripts/form-verifier.js')
+
+const DIFFICULTY = 8
+const NOW = 1_780_000_000_000
+
+/**
+ * Finds a token that meets the difficulty, as js/core/spam-protection.js does in the browser
+ * @param {string} formName - Form the token is issued for
+ * @param {number} issuedAt - Issue time in milliseconds
+ * @returns {string} Token
+ */
+const solve = (formName, issuedAt = NOW) => {
+  for (let nonce = 0; ; nonce++) {
+    const token = `v1:${formName}:${issuedAt}:salt:${nonce}`
+
+    if (createHash('sha256').update(token).digest()[0] === 0) {
+      return token
+    }
+  }
+}
+
+/**
+ * Verifies a token with the test difficulty and clock
+ * @param {string} token - Token to check
+ * @param {string} formName - Form posted to
+ * @param {Set<string>} usedTokens - Tokens already accepted
+ * @returns {string|null} Rejection reason
+ */
+const verify = (token, formName = 'contact', usedTokens = new Set()) =>
+  verifyProofOfWork(token, formName, { usedTokens, difficulty: DIFFICULTY, now: NOW })
+
+describe('verifyProofOfWork', () => {
+  it('accepts a solved token once', () => {
+    const token = solve('contact')
+    const usedTokens = new Set()
+
+    expect(verify(token, 'contact', usedTokens)).toBeNull()
+    expect(usedTokens.has(token)).toBe(true)
+    expect(verify(token, 'contact', usedTokens)).toBe('token already used')
+  })
+
+  it.each([
+    ['', 'malformed token'],
+    ['v2:contact:1:salt:1', 'malformed token'],
+    ['v1:contact:soon:salt:1', 'malformed token'],
+    ['v1:contact:1:salt', 'malformed token'],
+  ])('rejects %j as %s', (token, reason) => {
+    expect(verify(token)).toBe(reason)
+  })
+
+  it('rejects tokens issued for another form', () => {
+    expect(verify(solve('volunteer'), 'contact')).toBe('token issued for another form')
+  })
+
+  it('rejects tokens from the future or older than a day', () => {
+    expect(verify(solve('contact', NOW + 60_000))).toBe('token expired')
+    expect(verify(solve('contact', NOW - 25 * 60 * 60 * 1000))).toBe('token expired')
+    expect(verify(solve('contact', NOW - 23 * 60 * 60 * 1000))).toBeNull()
+  })
+
+  it('rejects tokens without enough work', () => {
+    let nonce = 0
+    while (createHash('sha256').update(`v1:contact:${NOW}:salt:${nonce}`).digest()[0] === 0) {
+      nonce++
+    }
+
+    expect(verify(`v1:contact:${NOW}:salt:${nonce}`)).toBe('insufficient work')
+  })
+})
+
+describe('createVerifierServer', () => {
+  /**
+   * Starts a server on a free port for the duration of a callback
+   * @param {Object} options - Server options
+   * @param {function(string): Promise<void>} run - Called with the base URL
+   */
+  const withServer = async (options, run) => {
+    const server = createVerifierServer(options)
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+
+    try {
+      await run(`http://127.0.0.1:${server.address().port}`)
+    } finally {
+      await new Promise((resolve) => server.close(resolve))
+    }
+  }
+
+  /**
+   * Posts JSON to the server
+   * @param {string} url - Endpoint
+   * @param {Object} body - Fields
+   * @returns {Promise<{status: number, body: Object}>} Response status and body
+   */
+  const post = async (url, body) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    })
+    return { status: response.status, body: await response.json() }
+  }
+
+  it('applies the honeypot and proof-of-work checks', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    await withServer({ requireProofOfWork: true, difficulty: DIFFICULTY }, async (base) => {
+      const token = solve('contact', Date.now())
+
+      expect(await post(`${base}/api/contact`, { name: 'Ada', website: 'spam' })).toEqual({
+        status: 200,
+        body: { ok: true },
+      })
+      expect(await post(`${base}/api/contact`, { name: 'Ada' })).toEqual({
+        status: 422,
+        body: { ok: false, error: 'malformed token' },
+      })
+      expect((await post(`${base}/api/contact`, { proof_of_work: token })).status).toBe(200)
+      expect(await post(`${base}/api/contact`, { proof_of_work: token })).toEqual({
+        status: 422,
+        body: { ok: false, error: 'token already used' },
+      })
+      expect((await fetch(`${base}/api/unknown`, { method: 'POST' })).status).toBe(405)
+    })
+
+    expect(warn).toHaveBeenCalledWith('[contact] rejected: honeypot filled')
+  })
+
+  it('checks subscription requests on the updates endpoint', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    await withServer({ requireProofOfWork: true, difficulty: DIFFICULTY }, async (base) => {
+      const request = { channel: 'email', address: 'ada@example.com', topics: [], locale: 'en' }
+      const url = `${base}/api/updates`
+
+      expect(await post(url, { ...request, proofOfWork: solve('updates', Date.now()) })).toEqual({
+        status: 200,
+        body: { ok: true },
+      })
+      expect(await post(url, { ...request, proofOfWork: solve('contact', Date.now()) })).toEqual({
+        status: 422,
+        body: { ok: false, error: 'token issued for another form' },
+      })
+    })
+
+    expect(warn).toHaveBeenCalledWith('[updates] rejected: token issued for another form')
+  })
+})
@@ -0,0 +1,263 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import {
+  initFormValidation,
+  registerValidator,
+  serializeForm,
+  validateField,
+  validateOnBlur,
+} from '../js/core/forms.js'
+import { t } from '../js/core/i18n.js'
+import { loadPage } from './helpers/page.js'
+
+/**
+ * Submits a form the way a browser would
+ * @param {HTMLFormElement} form - Form to submit
+ */
+const submit = (form) => {
+  form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }))
+}
+
+describe('validateField', () => {
+  /**
+   * Renders a form with one field under test, plus an email field to match against
+   * @param {string} attributes - Attributes of the field under test
+   * @returns {HTMLInputElement} The field under test
+   */
+  const renderField = (attributes) => {
+    document.body.innerHTML = `
+      <form>
+        <div>
+          <label for="signup-email">Email address</label>
+          <input id="signup-email" name="email" type="email" value="ada@example.com" />
+        </div>
+        <div><input id="signup-field" name="field" ${attributes} /></div>
+      </form>`
+    return document.getElementById('signup-field')
+  }
+
+  /**
+   * Validates a value and reads back the rendered message
+   * @param {string} attributes - Attributes of the field under test
+   * @param {string} value - Value to check
+   * @returns {string|null} Error message, or null if the field is valid
+   */
+  const errorFor = (attributes, value) => {
+    const field = renderField(attributes)
+    field.value = value
+    const isValid = validateField(field, value)
+    const error = document.getElementById('signup-field-error')
+
+    expect(isValid).toBe(!error)
+    expect(field.getAttribute('aria-invalid')).toBe(error ? 'true' : null)
+    return error ? error.textContent : null
+  }
+
+  it.each([
+    ['required, empty', 'required', '  ', t('validation.required')],
+    ['required, filled', 'required', 'Ada', null],
+    ['optional, empty, with other rules', 'data-minlength="3" data-pattern="\\d+"', '', null],
+    ['email', 'type="email"', 'ada@example', t('validation.email')],
+    ['email, valid', 'type="email"', 'ada@example.com', null],
+    ['tel, wrong prefix', 'type="tel"', '0603 123 4567', t('validation.phonePrefix')],
+    ['tel, too short', 'type="tel"', '0803 123', t('validation.phoneLength')],
+    ['tel, valid', 'type="tel"', '0803 123 4567', null],
+    ['minlength, short', 'data-minlength="3"', 'Ad', t('validation.minLength', { min: 3 })],
+    ['minlength, trimmed', 'data-minlength="3"', ' Ad ', t('validation.minLength', { min: 3 })],
+    ['minlength, long enough', 'data-minlength="3"', 'Ada', null],
+    ['maxlength, long', 'data-maxlength="5"', 'Adaeze', t('validation.maxLength', { max: 5 })],
+    ['maxlength, short enough', 'data-maxlength="5"', 'Ada', null],
+    ['pattern, partial match', 'data-pattern="\\d{4}"', '12345', t('validation.pattern')],
+    ['pattern, whole match', 'data-pattern="\\d{4}"', '1234', null],
+    ['pattern, alternatives', 'data-pattern="NG|GH"', 'NGA', t('validation.pattern')],
+    [
+      'match, different',
+      'type="email" data-match="email"',
+      'ada@example.org',
+      t('validation.match', { field: 'Email address' }),
+    ],
+    ['match, same', 'type="email" data-match="email"', 'ada@example.com', null],
+  ])('%s', (label, attributes, value, expected) => {
+    expect(errorFor(attributes, value)).toBe(expected)
+  })
+
+  it.each([
+    ['required', 'required data-required-message="validation.contact"', ''],
+    ['minlength', 'data-minlength="3" data-minlength-message="validation.contact"', 'Ad'],
+    ['maxlength', 'data-maxlength="2" data-maxlength-message="validation.contact"', 'Ada'],
+    ['pattern', 'data-pattern="\\d+" data-pattern-message="validation.contact"', 'Ada'],
+    ['match', 'data-match="email" data-match-message="validation.contact"', 'Ada'],
+    ['validator', 'data-validator="test-never" data-validator-message="validation.contact"', 'Ada'],
+    ['email', 'type="email" data-email-message="validation.contact"', 'Ada'],
+  ])('uses data-%s-message to override the message', (rule, attributes, value) => {
+    registerValidator('test-never', () => false)
+
+    expect(errorFor(attributes, value)).toBe(t('validation.contact'))
+  })
+
+  it('checks the rules in order and reports the first one broken', () => {
+    expect(errorFor('type="email" data-minlength="20"', 'ada')).toBe(t('validation.email'))
+  })
+
+  describe('custom validators', () => {
+    it.each([
+      ['true', () => true, null],
+      ['false', () => false, t('validation.invalid')],
+      ['a message key', () => 'validation.chooseOne', t('validation.chooseOne')],
+      ['a translated message', () => 'Choose a Kano LGA', 'Choose a Kano LGA'],
+    ])('that return %s', (label, validator, expected) => {
+      registerValidator('test-lga', validator)
+
+      expect(errorFor('data-validator="test-lga"', 'Fagge')).toBe(expected)
+    })
+
+    it('are called with the value and the field', () => {
+      const validator = vi.fn(() => true)
+      registerValidator('test-args', validator)
+
+      errorFor('data-validator="test-args"', 'Fagge')
+
+      expect(validator).toHaveBeenCalledWith('Fagge', document.getElementById('signup-field'))
+    })
+
+    it('are skipped with a warning when not registered', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+      expect(errorFor('data-validator="test-missing"', 'Fagge')).toBeNull()
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('test-missing'))
+    })
+
+    it('must have a name and a function', () => {
+      expect(() => registerValidator('', () => true)).toThrow(TypeError)
+      expect(() => registerValidator('test-bad', 'validation.invalid')).toThrow(TypeError)
+    })
+  })
+
+  it('ignores an invalid data-pattern', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+
+    expect(errorFor('data-pattern="("', 'Ada')).toBeNull()
+  })
+})
+
+describe('initFormValidation', () => {
+  let form
+
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    loadPage()
+    form = document.getElementById('contact-form')
+    initFormValidation()
+  })
+
+  it('renders an error after each invalid field, linked with aria-describedby', () => {
+    submit(form)
+
+    const name = document.getElementById('contact-name')
+    const error = document.getElementById('contact-name-error')
+
+    expect(name.getAttribute('aria-invalid')).toBe('true')
+    expect(name.getAttribute('aria-describedby')).toContain('contact-name-error')
+    expect(error.textContent).toBe(t('validation.required'))
+    expect(error.parentElement).toBe(name.parentElement)
+    // The summary is announced instead of each message
+    expect(error.hasAttribute('role')).toBe(false)
+  })
+
+  it('lists the errors in a focused summary that links to each field', () => {
+    submit(form)
+
+    const summary = form.querySelector('[data-error-summary]')
+    const links = Array.from(summary.querySelectorAll('a'))
+
+    expect(summary.hidden).toBe(false)
+    expect(document.activeElement).toBe(summary)
+    expect(links.map((link) => link.getAttribute('href'))).toContain('#contact-name')
+    expect(links.find((link) => link.getAttribute('href') === '#contact-name').textContent).toBe(
+      `Full name: ${t('validation.required')}`
+    )
+
+    links[0].click()
+    expect(document.activeElement.id).toBe(links[0].getAttribute('href').slice(1))
+  })
+
+  it('shows the rule a filled-in field breaks', () => {
+    const email = document.getElementById('contact-email')
+    email.value = 'ada@example'
+    submit(form)
+
+    expect(document.getElementById('contact-email-error').textContent).toBe(t('validation.email'))
+  })
+
+  it('leaves optional fields alone while they are empty', () => {
+    submit(form)
+
+    expect(document.getElementById('contact-phone').hasAttribute('aria-invalid')).toBe(false)
+  })
+
+  it('clears a field error and its summary entry as the visitor types', () => {
+    submit(form)
+
+    const name = document.getElementById('contact-name')
+    name.value = 'Ada Obi'
+    name.dispatchEvent(new Event('input', { bubbles: true }))
+
+    expect(name.hasAttribute('aria-invalid')).toBe(false)
+    expect(name.getAttribute('aria-describedby') || '').not.toContain('contact-name-error')
+    expect(document.getElementById('contact-name-error')).toBeNull()
+    expect(form.querySelector('[data-error-for="contact-name"]')).toBeNull()
+  })
+
+  it('validates filled-in fields when focus leaves them', () => {
+    const phone = form.querySelector('input[type="tel"]')
+    phone.value = '0603 123 4567'
+    phone.dispatchEvent(new FocusEvent('focusout', { bubbles: true }))
+
+    expect(document.getElementById(`${phone.id}-error`).textContent).toBe(
+      t('validation.phonePrefix')
+    )
+  })
+})
+
+describe('validateOnBlur', () => {
+  it('stops validating once its signal is aborted', () => {
+    document.body.innerHTML = `
+      <form>
+        <div><input id="volunteer-email" name="email" type="email" /></div>
+      </form>`
+    const field = document.getElementById('volunteer-email')
+    const controller = new AbortController()
+    validateOnBlur(document.querySelector('form'), { signal: controller.signal })
+
+    field.value = 'ada@example'
+    field.dispatchEvent(new FocusEvent('focusout', { bubbles: true }))
+    expect(field.getAttribute('aria-invalid')).toBe('true')
+
+    controller.abort()
+    field.value = 'ada@'
+    field.removeAttribute('aria-invalid')
+    field.dispatchEvent(new FocusEvent('focusout', { bubbles: true }))
+    expect(field.hasAttribute('aria-invalid')).toBe(false)
+  })
+})
+
+describe('serializeForm', () => {
+  it('collects checkbox groups into arrays and leaves out honeypot fields', () => {
+    document.body.innerHTML = `
+      <form>
+        <input name="website" value="spam" data-honeypot />
+        <input name="name" value="  Ada Obi  " />
+        <input type="checkbox" name="topics" value="maternal" checked />
+        <input type="checkbox" name="topics" value="child" />
+        <input type="checkbox" name="topics" value="nutrition" checked />
+        <input type="checkbox" name="consent" value="yes" checked />
+        <select name="state"><option value="kano" selected>Kano</option></select>
+      </form>`
+
+    expect(serializeForm(document.querySelector('form'))).toEqual({
+      name: 'Ada Obi',
+      topics: ['maternal', 'nutrition'],
+      consent: 'yes',
+      state: 'kano',
+    })
+  })
+})
@@ -0,0 +1,72 @@
+/**
+ * NGO Health Landing Page - IntersectionObserver Mock
+ * Health for All Nigeria
+ *
+ * Records observed elements so tests decide when they scroll into view.
+ */
+
+export class MockIntersectionObserver {
+  /** @type {Set<MockIntersectionObserver>} */
+  static instances = new Set()
+
+  /**
+   * @param {IntersectionObserverCallback} callback - Called with entries on intersect()
+   * @param {IntersectionObserverInit} options - Observer options, kept for assertions
+   */
+  constructor(callback, options = {}) {
+    this.callback = callback
+    this.options = options
+    this.elements = new Set()
+    MockIntersectionObserver.instances.add(this)
+  }
+
+  observe(element) {
+    this.elements.add(element)
+  }
+
+  unobserve(element) {
+    this.elements.delete(element)
+  }
+
+  disconnect() {
+    this.elements.clear()
+    MockIntersectionObserver.instances.delete(this)
+  }
+
+  takeRecords() {
+    return []
+  }
+
+  /**
+   * Reports elements as intersecting to every observer watching them
+   * @param {Iterable<Element>} elements - Elements scrolled into view (default: all observed)
+   */
+  static intersect(elements) {
+    const targets = elements ? new Set(elements) : null
+
+    Array.from(MockIntersectionObserver.instances).forEach((observer) => {
+      const entries = Array.from(observer.elements)
+        .filter((element) => !targets || targets.has(element))
+        .map((target) => ({ target, isIntersecting: true, intersectionRatio: 1 }))
+
+      if (entries.length > 0) {
+        observer.callback(entries, observer)
+      }
+    })
+  }
+
+  /**
+   * Whether any observer is watching an element
+   * @param {Element} element - Element to check
+   * @returns {boolean} True if observed
+   */
+  static isObserved(element) {
+    return Array.from(MockIntersectionObserver.instances).some((observer) =>
+      observer.elements.has(element)
+    )
+  }
+
+  static reset() {
+    MockIntersectionObserver.instances.clear()
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * NGO Health Landing Page - Test Page Helpers
+ * Health for All Nigeria
+ *
+ * Loads index.html into jsdom and answers fetch() from the repository's files.
+ */
+
+import { readFileSync } from 'node:fs'
+import { dirname, join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { vi } from 'vitest'
+
+const ROOT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', '..')
+
+/**
+ * Reads a file from the repository root
+ * @param {string} path - Path relative to the root, e.g. 'data/programs.json'
+ * @returns {string} File contents
+ */
+export const readRepoFile = (path) => readFileSync(join(ROOT_DIR, path), 'utf8')
+
+/**
+ * Replaces the document with the markup of index.html (scripts are not run)
+ */
+export const loadPage = () => {
+  const html = readRepoFile('index.html')
+  document.documentElement.innerHTML = html
+    .replace(/^[\s\S]*?<html[^>]*>/i, '')
+    .replace(/<\/html>[\s\S]*$/i, '')
+}
+
+/**
+ * Stubs fetch() with JSON responses
+ * URLs listed in routes get their body; other relative URLs are read from the repository
+ * @param {Object<string, Object>} routes - Response bodies keyed by URL
+ * @returns {import('vitest').Mock} The fetch mock
+ */
+export const mockFetch = (routes = {}) => {
+  /**
+   * Builds a minimal Response; json() resolves without touching streams or timers
+   * @param {number} status - HTTP status
+   * @param {string} body - Response text
+   * @returns {Object} Response-like object
+   */
+  const respond = (status, body) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => JSON.parse(body),
+    text: async () => body,
+  })
+
+  const fetchMock = vi.fn(async (url) => {
+    const path = String(url)
+
+    if (Object.prototype.hasOwnProperty.call(routes, path)) {
+      return respond(200, JSON.stringify(routes[path]))
+    }
+
+    try {
+      return respond(200, readRepoFile(path.replace(/^\//, '')))
+    } catch (error) {
+      return respond(404, 'Not found')
+    }
+  })
+
+  vi.stubGlobal('fetch', fetchMock)
+  return fetchMock
+}
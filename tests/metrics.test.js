@@ -0,0 +1,115 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { MockIntersectionObserver } from './helpers/intersection-observer.js'
+import { mockFetch } from './helpers/page.js'
+
+const feed = {
+  version: 1,
+  metrics: [
+    {
+      id: 'lives-impacted',
+      value: 50000,
+      unit: 'count',
+      suffix: '+',
+      asOf: '2024-03-31',
+      source: 'Programme monitoring records',
+    },
+    {
+      id: 'immunisation-rate',
+      value: 92.5,
+      unit: 'percent',
+      asOf: '2024-03-31',
+      source: 'Programme monitoring records',
+    },
+  ],
+}
+
+describe('impact counters', () => {
+  let counter
+  let percent
+  let refreshMetrics
+
+  beforeEach(async () => {
+    // The feed is cached per module instance
+    vi.resetModules()
+    vi.useFakeTimers({
+      toFake: ['setTimeout', 'clearTimeout', 'requestAnimationFrame', 'performance'],
+    })
+    mockFetch({ 'data/metrics.json': feed })
+    ;({ refreshMetrics } = await import('../js/core/metrics.js'))
+
+    document.body.innerHTML = `
+      <div class="stat-card"><div data-metric="lives-impacted">&ndash;</div></div>
+      <div class="stat-card"><div data-metric="immunisation-rate">&ndash;</div></div>
+      <section data-metric-notes hidden><ol data-metric-notes-list></ol></section>`
+    ;[counter, percent] = document.querySelectorAll('[data-metric]')
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('waits until the counter is half in view', async () => {
+    await refreshMetrics()
+
+    expect(counter.getAttribute('data-target')).toBe('50000')
+    expect(counter.textContent).toBe('–')
+    expect(MockIntersectionObserver.isObserved(counter)).toBe(true)
+    expect(Array.from(MockIntersectionObserver.instances)[0].options).toEqual({ threshold: 0.5 })
+  })
+
+  it('counts up with easing to the formatted target', async () => {
+    await refreshMetrics()
+    MockIntersectionObserver.intersect([counter])
+
+    vi.advanceTimersByTime(500)
+    const partway = Number(counter.textContent.replace(/\D/g, ''))
+    expect(partway).toBeGreaterThan(25000)
+    expect(partway).toBeLessThan(50000)
+    expect(counter.hasAttribute('data-counted')).toBe(false)
+
+    vi.advanceTimersByTime(1600)
+    expect(counter.textContent).toBe('50,000+')
+    expect(counter.hasAttribute('data-counted')).toBe(true)
+    expect(MockIntersectionObserver.isObserved(counter)).toBe(false)
+  })
+
+  it('counts decimals and percentages', async () => {
+    await refreshMetrics()
+    MockIntersectionObserver.intersect([percent])
+    vi.advanceTimersByTime(2100)
+
+    expect(percent.textContent).toBe('92.5%')
+  })
+
+  it('shows the target straight away when reduced motion is preferred', async () => {
+    vi.spyOn(window, 'matchMedia').mockImplementation((query) => ({
+      matches: query === '(prefers-reduced-motion: reduce)',
+      media: query,
+    }))
+    await refreshMetrics()
+    MockIntersectionObserver.intersect([counter])
+
+    expect(counter.textContent).toBe('50,000+')
+    expect(counter.hasAttribute('data-counted')).toBe(true)
+  })
+
+  it('adds an "as of" line and a numbered source note', async () => {
+    await refreshMetrics()
+
+    const notes = document.querySelectorAll('[data-metric-notes-list] li')
+    expect(notes).toHaveLength(1)
+    expect(document.querySelector('[data-metric-notes]').hidden).toBe(false)
+    expect(counter.parentElement.querySelector('.metric-as-of a').getAttribute('href')).toBe(
+      '#metric-note-1'
+    )
+  })
+
+  it('keeps the placeholder when the feed cannot be loaded', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    mockFetch({ 'data/metrics.json': { version: 99, metrics: [] } })
+    await refreshMetrics()
+
+    expect(counter.textContent).toBe('–')
+    expect(counter.hasAttribute('data-target')).toBe(false)
+  })
+})
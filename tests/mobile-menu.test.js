@@ -0,0 +1,80 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest'
+import { mount } from '../js/sections/mobile-menu.js'
+
+describe('mobile menu', () => {
+  let controller
+  let menu
+  let toggle
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <button type="button" aria-expanded="false" data-mobile-menu-toggle>Menu</button>
+      <nav class="hidden" aria-hidden="true" data-mobile-menu>
+        <a href="#about">About</a>
+        <a href="#programs">Programs</a>
+      </nav>
+      <main><p>Content</p></main>`
+    menu = document.querySelector('[data-mobile-menu]')
+    toggle = document.querySelector('[data-mobile-menu-toggle]')
+    controller = new AbortController()
+    mount({ root: menu, signal: controller.signal })
+  })
+
+  afterEach(() => {
+    controller.abort()
+  })
+
+  it('opens on toggle and moves focus to the first link', () => {
+    toggle.focus()
+    toggle.click()
+
+    expect(toggle.getAttribute('aria-expanded')).toBe('true')
+    expect(menu.getAttribute('aria-hidden')).toBe('false')
+    expect(menu.classList.contains('hidden')).toBe(false)
+    expect(document.activeElement).toBe(menu.querySelector('a'))
+  })
+
+  it('closes on a second toggle', () => {
+    toggle.click()
+    toggle.click()
+
+    expect(toggle.getAttribute('aria-expanded')).toBe('false')
+    expect(menu.getAttribute('aria-hidden')).toBe('true')
+    expect(menu.classList.contains('hidden')).toBe(true)
+  })
+
+  it('closes on Escape and returns focus to the toggle', () => {
+    toggle.click()
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }))
+
+    expect(toggle.getAttribute('aria-expanded')).toBe('false')
+    expect(document.activeElement).toBe(toggle)
+  })
+
+  it('ignores Escape while closed', () => {
+    const link = document.createElement('a')
+    link.href = '#top'
+    document.body.appendChild(link)
+    link.focus()
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }))
+
+    expect(document.activeElement).toBe(link)
+  })
+
+  it('closes on a click outside the menu, but not inside it', () => {
+    toggle.click()
+    menu.querySelector('a').dispatchEvent(new MouseEvent('click', { bubbles: true }))
+    expect(toggle.getAttribute('aria-expanded')).toBe('true')
+
+    document.querySelector('main p').click()
+    expect(toggle.getAttribute('aria-expanded')).toBe('false')
+  })
+
+  it('stops listening once unmounted', () => {
+    controller.abort()
+    toggle.click()
+
+    expect(toggle.getAttribute('aria-expanded')).toBe('false')
+  })
+})
@@ -0,0 +1,103 @@
+import { describe, expect, it } from 'vitest'
+import {
+  formatNigerianPhone,
+  getNigerianNetwork,
+  isValidNigerianPhone,
+  normalizeNigerianPhone,
+  parseNigerianPhone,
+} from '../js/core/phone.js'
+
+describe('isValidNigerianPhone', () => {
+  it.each([
+    ['07031234567', '070 local'],
+    ['08031234567', '080 local'],
+    ['08131234567', '081 local'],
+    ['09031234567', '090 local'],
+    ['09131234567', '091 local'],
+    ['+2347031234567', '070 international'],
+    ['+2348031234567', '080 international'],
+    ['+2348131234567', '081 international'],
+    ['+2349031234567', '090 international'],
+    ['+2349131234567', '091 international'],
+    ['+234 0803 123 4567', 'international with trunk 0'],
+    ['+234 (0) 803-123-4567', 'international with bracketed trunk 0'],
+    ['2348031234567', 'country code without +'],
+    ['002348031234567', '00 international prefix'],
+    ['803 123 4567', 'national number without trunk 0'],
+    ['0803.123.4567', 'dot separators'],
+  ])('accepts %s (%s)', (phone) => {
+    expect(isValidNigerianPhone(phone)).toBe(true)
+  })
+
+  it.each([
+    ['06031234567', '060 is not a mobile range'],
+    ['08231234567', '082 is not a mobile range'],
+    ['09231234567', '092 is not a mobile range'],
+    ['+2346031234567', 'international, 60 is not a mobile range'],
+    ['0803123456', 'too short'],
+    ['080312345678', 'too long'],
+    ['+448031234567', 'another country code'],
+    ['0803-abc-4567', 'letters'],
+    ['', 'empty'],
+    [null, 'missing'],
+  ])('rejects %s (%s)', (phone) => {
+    expect(isValidNigerianPhone(phone)).toBe(false)
+  })
+})
+
+describe('parseNigerianPhone', () => {
+  it.each([
+    ['0803 123 4567', '+2348031234567', 'mtn'],
+    ['+234 802 123 4567', '+2348021234567', 'airtel'],
+    ['0805 123 4567', '+2348051234567', 'glo'],
+    ['0809 123 4567', '+2348091234567', '9mobile'],
+    ['07025 12 3456', '+2347025123456', 'mtn'],
+    ['0819 123 4567', '+2348191234567', null],
+  ])('parses %s as %s on %s', (phone, e164, network) => {
+    expect(parseNigerianPhone(phone)).toEqual({ e164, network, error: null })
+  })
+
+  it.each([
+    ['   ', 'empty'],
+    ['0803 123 4567 ext', 'characters'],
+    ['+1 803 123 4567', 'country'],
+    ['0803 123 456', 'length'],
+    ['0603 123 4567', 'prefix'],
+  ])('reports %j as %s', (phone, error) => {
+    expect(parseNigerianPhone(phone)).toEqual({ e164: null, network: null, error })
+  })
+
+  it('treats 234 without a plus as local when the number is too short to be international', () => {
+    expect(parseNigerianPhone('2348031234').error).toBe('prefix')
+  })
+})
+
+describe('normalizeNigerianPhone', () => {
+  it('returns the E.164 form, or null for invalid numbers', () => {
+    expect(normalizeNigerianPhone('0803 123 4567')).toBe('+2348031234567')
+    expect(normalizeNigerianPhone('0803')).toBeNull()
+  })
+})
+
+describe('getNigerianNetwork', () => {
+  it('prefers the longest matching prefix', () => {
+    expect(getNigerianNetwork('7025123456')).toBe('mtn')
+    expect(getNigerianNetwork('7021234567')).toBeNull()
+  })
+})
+
+describe('formatNigerianPhone', () => {
+  it.each([
+    ['08031234567', '0803 123 4567'],
+    ['0803', '0803'],
+    ['0803123', '0803 123'],
+    ['8031234567', '803 123 4567'],
+    ['+2348031234567', '+234 803 123 4567'],
+    ['+23408031234567', '+234 0803 123 4567'],
+    ['+234', '+234'],
+    ['+44 20 7946 0958', '+44 20 7946 0958'],
+    ['0803 abc', '0803 abc'],
+  ])('formats %s as %s', (value, formatted) => {
+    expect(formatNigerianPhone(value)).toBe(formatted)
+  })
+})
@@ -0,0 +1,97 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import {
+  fetchProgramsFeed,
+  isActiveProgram,
+  matchesProgramFilters,
+} from '../js/core/programs-feed.js'
+import { mockFetch } from './helpers/page.js'
+
+const program = {
+  id: 'safe-motherhood',
+  title: 'Safe Motherhood Initiative',
+  description: 'Antenatal care and safe delivery for expectant mothers',
+  categories: ['maternal', 'community-health'],
+  tags: ['antenatal', 'rural-outreach'],
+}
+
+/**
+ * Builds a filter state
+ * @param {Object} filters - Categories and tags as arrays, and the query
+ * @returns {Object} Filters as used by the programs section
+ */
+const filtersOf = ({ categories = [], tags = [], query = '' } = {}) => ({
+  categories: new Set(categories),
+  tags: new Set(tags),
+  query,
+})
+
+describe('matchesProgramFilters', () => {
+  it.each([
+    ['no filters', {}, true],
+    ['a matching category', { categories: ['maternal'] }, true],
+    ['any of several categories', { categories: ['child', 'community-health'] }, true],
+    ['another category', { categories: ['nutrition'] }, false],
+    ['a matching tag', { tags: ['antenatal'] }, true],
+    ['another tag', { tags: ['vaccination'] }, false],
+    [
+      'category and tag both matching',
+      { categories: ['maternal'], tags: ['rural-outreach'] },
+      true,
+    ],
+    ['category matching but tag not', { categories: ['maternal'], tags: ['vaccination'] }, false],
+    ['a title search', { query: 'motherhood' }, true],
+    ['a description search', { query: 'delivery' }, true],
+    ['a case- and accent-insensitive search', { query: 'SÁFE  delivery' }, true],
+    ['every search term', { query: 'safe malaria' }, false],
+    ['a search that does not match', { query: 'malaria' }, false],
+    ['search and category', { categories: ['maternal'], query: 'antenatal' }, true],
+  ])('with %s returns %s', (label, filters, expected) => {
+    expect(matchesProgramFilters(program, filtersOf(filters))).toBe(expected)
+  })
+
+  it('does not match category or tag filters for programs without them', () => {
+    const bare = { id: 'bare', title: 'Bare' }
+
+    expect(matchesProgramFilters(bare, filtersOf())).toBe(true)
+    expect(matchesProgramFilters(bare, filtersOf({ tags: ['antenatal'] }))).toBe(false)
+  })
+})
+
+describe('isActiveProgram', () => {
+  const now = new Date('2026-06-01T00:00:00Z')
+
+  it.each([
+    ['no dates', {}, true],
+    ['started and open-ended', { startDate: '2025-01-01' }, true],
+    ['not started yet', { startDate: '2026-07-01' }, false],
+    ['ended', { endDate: '2026-05-31' }, false],
+    ['ending today', { endDate: '2026-06-01' }, true],
+  ])('treats a program with %s as %s', (label, dates, expected) => {
+    expect(isActiveProgram({ ...program, ...dates }, now)).toBe(expected)
+  })
+
+  it('skips malformed entries', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    expect(isActiveProgram({ id: 'untitled', categories: ['maternal'] }, now)).toBe(false)
+    expect(isActiveProgram({ ...program, categories: [] }, now)).toBe(false)
+    expect(isActiveProgram(null, now)).toBe(false)
+  })
+})
+
+describe('fetchProgramsFeed', () => {
+  afterEach(() => {
+    vi.resetModules()
+  })
+
+  it('rejects unsupported feed versions, then retries on the next call', async () => {
+    const fetchMock = mockFetch({ 'data/programs.json': { version: 1, programs: [] } })
+
+    await expect(fetchProgramsFeed()).rejects.toThrow('Unsupported programs feed version: 1')
+
+    const programs = [program]
+    mockFetch({ 'data/programs.json': { version: 2, programs } })
+    await expect(fetchProgramsFeed()).resolves.toEqual(programs)
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+  })
+})
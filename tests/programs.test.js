@@ -0,0 +1,178 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { loadPage, mockFetch } from './helpers/page.js'
+
+const feed = {
+  version: 2,
+  programs: [
+    {
+      id: 'safe-motherhood',
+      title: 'Safe Motherhood Initiative',
+      categories: ['maternal'],
+      tags: ['antenatal'],
+      description: 'Antenatal care and safe delivery for expectant mothers.',
+    },
+    {
+      id: 'child-immunisation',
+      title: 'Child Immunisation Drive',
+      categories: ['child', 'prevention'],
+      tags: ['vaccination'],
+      description: 'Routine vaccines for children under five.',
+    },
+    {
+      id: 'malaria-nets',
+      title: 'Malaria Net Distribution',
+      categories: ['prevention'],
+      tags: ['vaccination', 'rural-outreach'],
+      description: 'Treated nets for households in rural communities.',
+    },
+    {
+      id: 'retired-clinic',
+      title: 'Retired Mobile Clinic',
+      categories: ['community-health'],
+      endDate: '2020-01-01',
+      description: 'No longer running.',
+    },
+  ],
+}
+
+describe('programs section', () => {
+  let controller
+  let section
+
+  /**
+   * Ids of the cards currently shown
+   * @returns {Array<string>} Program ids
+   */
+  const visiblePrograms = () =>
+    Array.from(section.querySelectorAll('.program-card:not(.hidden)')).map((card) =>
+      card.getAttribute('data-program-id')
+    )
+
+  /**
+   * The category filter button for an id
+   * @param {string} id - Category id, or 'all'
+   * @returns {HTMLButtonElement} Button
+   */
+  const filterButton = (id) => section.querySelector(`.filter-btn[data-filter="${id}"]`)
+
+  const announcement = () => section.querySelector('[role="status"][aria-live="polite"]')
+
+  beforeEach(async () => {
+    // The image manifest is a build output, so responsive images fall back with a warning
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    vi.resetModules()
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] })
+    window.history.replaceState(null, '', '/')
+    mockFetch({ 'data/programs.json': feed })
+    loadPage()
+
+    const { mount } = await import('../js/sections/programs.js')
+    section = document.getElementById('programs')
+    controller = new AbortController()
+    mount({ root: section, signal: controller.signal })
+    await vi.waitFor(() => expect(section.querySelectorAll('.program-card')).toHaveLength(3))
+  })
+
+  afterEach(() => {
+    controller.abort()
+    vi.useRealTimers()
+  })
+
+  it('renders the active programs from the feed', () => {
+    expect(visiblePrograms()).toEqual(['safe-motherhood', 'child-immunisation', 'malaria-nets'])
+    expect(section.querySelector('.programs-grid').getAttribute('aria-busy')).toBe('false')
+    expect(announcement().textContent).toContain('3')
+  })
+
+  it('filters by category after the debounce delay', () => {
+    filterButton('prevention').click()
+    expect(filterButton('prevention').getAttribute('aria-pressed')).toBe('true')
+    expect(filterButton('all').getAttribute('aria-pressed')).toBe('false')
+    expect(visiblePrograms()).toHaveLength(3)
+
+    vi.advanceTimersByTime(100)
+
+    expect(visiblePrograms()).toEqual(['child-immunisation', 'malaria-nets'])
+    expect(section.querySelector('#program-safe-motherhood').getAttribute('aria-hidden')).toBe(
+      'true'
+    )
+    expect(announcement().textContent).toMatch(/2.*3/)
+    expect(new URLSearchParams(window.location.search).get('category')).toBe('prevention')
+  })
+
+  it('combines categories, and "All Programs" clears them', () => {
+    filterButton('maternal').click()
+    filterButton('child').click()
+    vi.advanceTimersByTime(100)
+    expect(visiblePrograms()).toEqual(['safe-motherhood', 'child-immunisation'])
+
+    filterButton('all').click()
+    vi.advanceTimersByTime(100)
+    expect(visiblePrograms()).toHaveLength(3)
+    expect(filterButton('all').getAttribute('aria-pressed')).toBe('true')
+    expect(filterButton('maternal').getAttribute('aria-pressed')).toBe('false')
+  })
+
+  it('filters by tag and search together with categories', () => {
+    const tag = section.querySelector('[data-program-tags] button[data-tag="vaccination"]')
+    const search = section.querySelector('[data-program-search]')
+
+    tag.click()
+    vi.advanceTimersByTime(100)
+    expect(visiblePrograms()).toEqual(['child-immunisation', 'malaria-nets'])
+
+    search.value = 'rural'
+    search.dispatchEvent(new Event('input', { bubbles: true }))
+    vi.advanceTimersByTime(300)
+    expect(visiblePrograms()).toEqual(['malaria-nets'])
+  })
+
+  it('shows the empty state when nothing matches, and clears every filter from it', () => {
+    const search = section.querySelector('[data-program-search]')
+    const emptyState = section.querySelector('[data-programs-empty]')
+
+    filterButton('maternal').click()
+    search.value = 'nets'
+    search.dispatchEvent(new Event('input', { bubbles: true }))
+    vi.advanceTimersByTime(300)
+
+    expect(visiblePrograms()).toEqual([])
+    expect(emptyState.hidden).toBe(false)
+
+    emptyState.querySelector('[data-programs-clear]').click()
+    expect(visiblePrograms()).toHaveLength(3)
+    expect(emptyState.hidden).toBe(true)
+    expect(search.value).toBe('')
+    expect(document.activeElement).toBe(search)
+  })
+
+  it('moves between filter buttons with the arrow keys and applies them with Enter', () => {
+    filterButton('all').focus()
+    filterButton('all').dispatchEvent(
+      new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true, cancelable: true })
+    )
+    expect(document.activeElement).toBe(filterButton('maternal'))
+
+    filterButton('maternal').dispatchEvent(
+      new KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true })
+    )
+    vi.advanceTimersByTime(100)
+    expect(visiblePrograms()).toEqual(['safe-motherhood'])
+  })
+
+  it('applies filters from a shared link on first render', async () => {
+    controller.abort()
+    vi.resetModules()
+    window.history.replaceState(null, '', '/?category=child')
+    loadPage()
+
+    const { mount } = await import('../js/sections/programs.js')
+    section = document.getElementById('programs')
+    controller = new AbortController()
+    mount({ root: section, signal: controller.signal })
+    await vi.waitFor(() => expect(section.querySelectorAll('.program-card')).toHaveLength(3))
+
+    expect(visiblePrograms()).toEqual(['child-immunisation'])
+    expect(filterButton('child').getAttribute('aria-pressed')).toBe('true')
+  })
+})
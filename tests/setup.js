@@ -0,0 +1,49 @@
+/**
+ * NGO Health Landing Page - Test Setup
+ * Health for All Nigeria
+ *
+ * Browser APIs jsdom does not provide. Runs before any module under test is imported,
+ * since js/core/config.js detects features at import time.
+ */
+
+import { afterEach, beforeEach, vi } from 'vitest'
+import { MockIntersectionObserver } from './helpers/intersection-observer.js'
+
+if (typeof window !== 'undefined') {
+  window.IntersectionObserver = MockIntersectionObserver
+  globalThis.IntersectionObserver = MockIntersectionObserver
+
+  if (!window.CSS || typeof window.CSS.supports !== 'function') {
+    window.CSS = { supports: () => true }
+    globalThis.CSS = window.CSS
+  }
+
+  // No motion preference, no dark theme: every media query is unmatched
+  window.matchMedia = (query) => ({
+    matches: false,
+    media: query,
+    onchange: null,
+    addEventListener: () => {},
+    removeEventListener: () => {},
+    addListener: () => {},
+    removeListener: () => {},
+    dispatchEvent: () => false,
+  })
+
+  window.scrollTo = () => {}
+  window.HTMLElement.prototype.scrollIntoView = () => {}
+
+  afterEach(() => {
+    MockIntersectionObserver.reset()
+    localStorage.clear()
+    sessionStorage.clear()
+    document.documentElement.innerHTML = '<head></head><body></body>'
+  })
+}
+
+// Modules log every step, some as they are imported; keep the test output to failures
+vi.spyOn(console, 'log').mockImplementation(() => {})
+
+beforeEach(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => {})
+})
@@ -0,0 +1,231 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { CONFIG } from '../js/core/config.js'
+import {
+  checkFormForSpam,
+  getProofOfWork,
+  initSpamProtection,
+  recordFormSubmission,
+} from '../js/core/spam-protection.js'
+
+/**
+ * Stands in for js/workers/proof-of-work.js, answering each challenge with the next nonce
+ */
+class FakeWorker {
+  static instances = []
+  static nextNonce = 1
+
+  constructor(url) {
+    this.url = url
+    this.listeners = {}
+    this.terminated = false
+    FakeWorker.instances.push(this)
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener
+  }
+
+  postMessage(data) {
+    this.challenge = data.challenge
+    Promise.resolve().then(() =>
+      this.listeners.message({ data: { nonce: FakeWorker.nextNonce++ } })
+    )
+  }
+
+  terminate() {
+    this.terminated = true
+  }
+}
+
+describe('spam protection', () => {
+  let form
+
+  /**
+   * Moves focus into the form, as a visitor starting on it would
+   */
+  const startFilling = () => {
+    form.querySelector('[name="name"]').focus()
+  }
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date', 'setTimeout', 'clearTimeout'] })
+    vi.setSystemTime(new Date('2026-06-01T09:00:00Z'))
+    FakeWorker.instances = []
+    FakeWorker.nextNonce = 1
+    vi.stubGlobal('Worker', FakeWorker)
+
+    document.body.innerHTML = `
+      <form data-form-name="contact" data-spam-check data-proof-of-work>
+        <input name="website" data-honeypot />
+        <input name="name" />
+      </form>`
+    form = document.querySelector('form')
+    initSpamProtection()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  describe('checkFormForSpam', () => {
+    it('rejects a filled honeypot before any other check', () => {
+      form.querySelector('[data-honeypot]').value = 'https://spam.example'
+
+      expect(checkFormForSpam(form, 'contact')).toBe('honeypot')
+    })
+
+    it('rejects a form that was never focused, however long the page has been open', () => {
+      vi.advanceTimersByTime(60_000)
+
+      expect(checkFormForSpam(form, 'contact')).toBe('too-fast')
+    })
+
+    it.each([
+      [0, 'too-fast'],
+      [CONFIG.FORM_MIN_FILL_TIME - 1, 'too-fast'],
+      [CONFIG.FORM_MIN_FILL_TIME, null],
+    ])('measures fill time from the first focus (%i ms: %s)', (elapsed, expected) => {
+      vi.advanceTimersByTime(60_000)
+      startFilling()
+      vi.advanceTimersByTime(elapsed)
+
+      expect(checkFormForSpam(form, 'contact')).toBe(expected)
+    })
+
+    it('keeps the clock running when focus moves around the form', () => {
+      startFilling()
+      vi.advanceTimersByTime(2000)
+      form.querySelector('[data-honeypot]').focus()
+      startFilling()
+      vi.advanceTimersByTime(1000)
+
+      expect(checkFormForSpam(form, 'contact')).toBeNull()
+    })
+
+    it('restarts the clock after each submission', () => {
+      startFilling()
+      vi.advanceTimersByTime(CONFIG.FORM_MIN_FILL_TIME)
+      recordFormSubmission('contact', form)
+
+      expect(checkFormForSpam(form, 'contact')).toBe('too-fast')
+
+      vi.advanceTimersByTime(CONFIG.FORM_MIN_FILL_TIME)
+      expect(checkFormForSpam(form, 'contact')).toBeNull()
+    })
+
+    it('leaves forms without data-spam-check alone', () => {
+      const other = document.createElement('form')
+
+      expect(checkFormForSpam(other, 'other')).toBeNull()
+    })
+  })
+
+  describe('rate limit', () => {
+    beforeEach(() => {
+      startFilling()
+      vi.advanceTimersByTime(CONFIG.FORM_MIN_FILL_TIME)
+    })
+
+    /**
+     * Records submissions spaced a minute apart, then waits out the fill time
+     * @param {number} count - Submissions to record
+     */
+    const submit = (count) => {
+      for (let index = 0; index < count; index++) {
+        recordFormSubmission('contact', form)
+        vi.advanceTimersByTime(60_000)
+      }
+    }
+
+    it(`allows ${CONFIG.FORM_RATE_LIMIT} submissions per window`, () => {
+      submit(CONFIG.FORM_RATE_LIMIT - 1)
+      expect(checkFormForSpam(form, 'contact')).toBeNull()
+
+      submit(1)
+      expect(checkFormForSpam(form, 'contact')).toBe('rate-limited')
+    })
+
+    it('keeps the times in localStorage, per form', () => {
+      submit(CONFIG.FORM_RATE_LIMIT)
+
+      const times = JSON.parse(localStorage.getItem(CONFIG.FORM_RATE_LIMIT_STORAGE_KEY))
+      expect(times.contact).toHaveLength(CONFIG.FORM_RATE_LIMIT)
+      expect(checkFormForSpam(form, 'volunteer')).toBeNull()
+    })
+
+    it('allows the form again once the oldest submission leaves the window', () => {
+      submit(CONFIG.FORM_RATE_LIMIT)
+
+      // The first submission was FORM_RATE_LIMIT minutes ago
+      vi.advanceTimersByTime(CONFIG.FORM_RATE_LIMIT_WINDOW - CONFIG.FORM_RATE_LIMIT * 60_000 - 1)
+      expect(checkFormForSpam(form, 'contact')).toBe('rate-limited')
+
+      vi.advanceTimersByTime(1)
+      expect(checkFormForSpam(form, 'contact')).toBeNull()
+    })
+
+    it('drops expired times when the next submission is recorded', () => {
+      submit(2)
+      vi.advanceTimersByTime(CONFIG.FORM_RATE_LIMIT_WINDOW)
+      submit(1)
+
+      const times = JSON.parse(localStorage.getItem(CONFIG.FORM_RATE_LIMIT_STORAGE_KEY))
+      expect(times.contact).toHaveLength(1)
+    })
+
+    it('ignores unreadable stored times', () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {})
+      localStorage.setItem(CONFIG.FORM_RATE_LIMIT_STORAGE_KEY, '{not json')
+
+      expect(checkFormForSpam(form, 'contact')).toBeNull()
+    })
+  })
+
+  describe('getProofOfWork', () => {
+    it('starts on first focus and hands the finished token out once', async () => {
+      expect(FakeWorker.instances).toHaveLength(0)
+
+      startFilling()
+      startFilling()
+      expect(FakeWorker.instances).toHaveLength(1)
+      expect(FakeWorker.instances[0].url).toBe(CONFIG.PROOF_OF_WORK_WORKER_URL)
+
+      const token = await getProofOfWork(form, 'contact')
+      expect(token).toMatch(/^v1:contact:\d+:[0-9a-f]{16}:1$/)
+      expect(FakeWorker.instances[0].terminated).toBe(true)
+
+      // The next submission gets a fresh token rather than reusing the sent one
+      const nextToken = await getProofOfWork(form, 'contact')
+      expect(FakeWorker.instances).toHaveLength(2)
+      expect(nextToken).toMatch(/:2$/)
+      expect(nextToken).not.toBe(token)
+    })
+
+    it('binds the token to the form and the time it was issued', async () => {
+      startFilling()
+      const [, formName, issuedAt] = (await getProofOfWork(form, 'contact')).split(':')
+
+      expect(formName).toBe('contact')
+      expect(Number(issuedAt)).toBe(Date.now())
+    })
+
+    it('sends no token when the worker takes too long', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {})
+      vi.spyOn(FakeWorker.prototype, 'postMessage').mockImplementation(() => {})
+      startFilling()
+
+      const token = getProofOfWork(form, 'contact')
+      vi.advanceTimersByTime(CONFIG.PROOF_OF_WORK_TIMEOUT)
+
+      await expect(token).resolves.toBeNull()
+      expect(FakeWorker.instances[0].terminated).toBe(true)
+    })
+
+    it('returns null for forms without data-proof-of-work', async () => {
+      form.removeAttribute('data-proof-of-work')
+
+      await expect(getProofOfWork(form, 'contact')).resolves.toBeNull()
+      await expect(getProofOfWork(document.createElement('form'), 'other')).resolves.toBeNull()
+    })
+  })
+})
@@ -0,0 +1,116 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { PROGRAM_CATEGORIES } from '../js/core/programs-feed.js'
+import { initSpamProtection } from '../js/core/spam-protection.js'
+import { t } from '../js/core/i18n.js'
+import { mount, registerSubscriptionAdapter } from '../js/sections/updates.js'
+import { loadPage } from './helpers/page.js'
+
+describe('updates section', () => {
+  let adapter
+  let controller
+  let section
+  let subscribeForm
+
+  /**
+   * Fills in the contact field and sends the details form
+   * @param {string} contact - Email address or phone number
+   */
+  const subscribe = (contact) => {
+    subscribeForm.querySelector('[name="contact"]').value = contact
+    subscribeForm.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }))
+  }
+
+  beforeEach(() => {
+    adapter = {
+      name: 'mock',
+      subscribe: vi.fn(async () => ({ status: 'pending', subscriptionId: 'test-1' })),
+      confirm: vi.fn(async () => ({ status: 'confirmed' })),
+      unsubscribe: vi.fn(async () => ({ status: 'unsubscribed' })),
+    }
+    registerSubscriptionAdapter(adapter)
+
+    loadPage()
+    section = document.getElementById('updates')
+    subscribeForm = section.querySelector('[data-subscribe-form]')
+    controller = new AbortController()
+  })
+
+  afterEach(() => {
+    controller.abort()
+  })
+
+  it('renders a topic checkbox for every program category', () => {
+    mount({ root: section, signal: controller.signal })
+
+    const topics = Array.from(section.querySelectorAll('[data-subscribe-topics] input'))
+
+    expect(topics.map((topic) => topic.value)).toEqual([...PROGRAM_CATEGORIES])
+    expect(topics.every((topic) => topic.type === 'checkbox' && topic.name === 'topics')).toBe(true)
+    expect(topics[0].nextElementSibling.textContent).toBe(t('programs.filter.maternal'))
+  })
+
+  it('sends the contact, topics and locale to the adapter, then asks for the code', async () => {
+    mount({ root: section, signal: controller.signal })
+    section.querySelector('[data-subscribe-topics] input[value="child"]').checked = true
+    subscribe('ada@example.com')
+
+    await vi.waitFor(() => expect(subscribeForm.hidden).toBe(true))
+
+    expect(adapter.subscribe).toHaveBeenCalledWith({
+      channel: 'email',
+      address: 'ada@example.com',
+      topics: ['child'],
+      locale: 'en',
+    })
+    expect(section.querySelector('[data-subscribe-confirm]').hidden).toBe(false)
+    expect(document.activeElement.name).toBe('code')
+  })
+
+  it('rejects contacts that are neither an email address nor a Nigerian mobile number', () => {
+    mount({ root: section, signal: controller.signal })
+    subscribe('0603 123 4567')
+
+    const contactField = subscribeForm.querySelector('[name="contact"]')
+    expect(contactField.getAttribute('aria-invalid')).toBe('true')
+    expect(document.getElementById(`${contactField.id}-error`).textContent).toBe(
+      t('validation.contact')
+    )
+    expect(subscribeForm.querySelector('[data-error-summary]').hidden).toBe(false)
+    expect(document.activeElement).toBe(subscribeForm.querySelector('[data-error-summary]'))
+    expect(adapter.subscribe).not.toHaveBeenCalled()
+  })
+
+  it('checks the contact when focus leaves the field', () => {
+    mount({ root: section, signal: controller.signal })
+
+    const contactField = subscribeForm.querySelector('[name="contact"]')
+    contactField.value = 'ada@example'
+    contactField.dispatchEvent(new FocusEvent('focusout', { bubbles: true }))
+    expect(contactField.getAttribute('aria-invalid')).toBe('true')
+
+    contactField.value = '0803 123 4567'
+    contactField.dispatchEvent(new FocusEvent('focusout', { bubbles: true }))
+    expect(contactField.hasAttribute('aria-invalid')).toBe(false)
+  })
+
+  it('pretends to succeed when the honeypot is filled', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    initSpamProtection()
+    mount({ root: section, signal: controller.signal })
+    subscribeForm.querySelector('[data-honeypot]').value = 'https://spam.example'
+    subscribe('ada@example.com')
+
+    expect(adapter.subscribe).not.toHaveBeenCalled()
+    expect(subscribeForm.querySelector('[data-form-status]').textContent).toContain(
+      'ada@example.com'
+    )
+  })
+
+  it('stops handling the form once unmounted', () => {
+    mount({ root: section, signal: controller.signal })
+    controller.abort()
+    subscribe('ada@example.com')
+
+    expect(adapter.subscribe).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,95 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { debounce, handleGroupKeyboard, normalizeSearchText } from '../js/core/utils.js'
+
+describe('handleGroupKeyboard', () => {
+  let buttons
+
+  /**
+   * Dispatches a key on a button and runs the group handler
+   * @param {HTMLButtonElement} button - Button with focus
+   * @param {string} key - KeyboardEvent.key
+   * @returns {KeyboardEvent} The event
+   */
+  const press = (button, key) => {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true })
+    button.dispatchEvent(event)
+    return event
+  }
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div role="group">
+        <button data-filter="all">All</button>
+        <button data-filter="maternal">Maternal</button>
+        <span class="hidden"><button data-filter="retired">Retired</button></span>
+        <button data-filter="child">Child</button>
+      </div>`
+    buttons = Array.from(document.querySelectorAll('button'))
+    buttons.forEach((button) => button.addEventListener('keydown', handleGroupKeyboard))
+    buttons[0].focus()
+  })
+
+  it.each([
+    ['ArrowRight', 0, 'maternal'],
+    ['ArrowDown', 0, 'maternal'],
+    ['ArrowRight', 3, 'all'],
+    ['ArrowLeft', 3, 'maternal'],
+    ['ArrowUp', 0, 'child'],
+    ['Home', 3, 'all'],
+    ['End', 0, 'child'],
+  ])('%s from button %i focuses %s, skipping hidden buttons', (key, from, filter) => {
+    buttons[from].focus()
+    const event = press(buttons[from], key)
+
+    expect(document.activeElement.getAttribute('data-filter')).toBe(filter)
+    expect(event.defaultPrevented).toBe(true)
+  })
+
+  it.each(['Enter', ' '])('%j activates the button', (key) => {
+    const onClick = vi.fn()
+    buttons[1].addEventListener('click', onClick)
+
+    expect(press(buttons[1], key).defaultPrevented).toBe(true)
+    expect(onClick).toHaveBeenCalledTimes(1)
+  })
+
+  it('leaves other keys alone', () => {
+    expect(press(buttons[0], 'Tab').defaultPrevented).toBe(false)
+    expect(document.activeElement).toBe(buttons[0])
+  })
+})
+
+describe('debounce', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('runs once with the last arguments after the calls stop', () => {
+    const callback = vi.fn()
+    const debounced = debounce(callback, 100)
+
+    debounced('a')
+    vi.advanceTimersByTime(60)
+    debounced('b')
+    vi.advanceTimersByTime(99)
+    expect(callback).not.toHaveBeenCalled()
+
+    vi.advanceTimersByTime(1)
+    expect(callback).toHaveBeenCalledTimes(1)
+    expect(callback).toHaveBeenCalledWith('b')
+  })
+})
+
+describe('normalizeSearchText', () => {
+  it.each([
+    ['Ọ̀ṣun State', 'osun state'],
+    ['  MALARIA  ', 'malaria'],
+    [undefined, ''],
+  ])('normalizes %j to %j', (text, expected) => {
+    expect(normalizeSearchText(text)).toBe(expected)
+  })
+})